@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+// cli.js - Command-line front end for the solver, scrambler and solution checker
+// Uses the same modules as the web app (no DOM, Three.js or audio), so it can script solution
+// generation and regression checks. Run `node cli.js help` for usage.
+import { existsSync, readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { Solver, usesKociembaTables } from './js/solver/Solver.js';
+import { TableCache } from './js/solver/TableCache.js';
+import { verifySolution } from './js/solver/SolutionVerifier.js';
+import { generateScramble, parseScrambleId, formatScrambleId, newSeed } from './js/solver/Scrambler.js';
+import { parseBatchInput, batchToCSV, batchToJSON, formatBatchSummary, formatBin } from './js/solver/BatchReport.js';
+import { CubeState } from './js/cube/CubeState.js';
+import { parseAlgorithm } from './js/cube/Notation.js';
+import { countMoves, formatMetrics } from './js/cube/MoveMetrics.js';
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  solve <facelets>           Solve a cube given as 54 face letters in URFDLB order
+  solve --scramble <alg|id>  Solve the cube a scramble (moves or a scramble ID) leaves
+  scramble                   Print a new scramble with its ID and facelets
+  verify <facelets|--scramble <alg|id>> --solution <alg>
+                             Check that a solution solves the cube (exit code 1 if not)
+  batch <file>               Solve every line of a file (facelets, a scramble ID or moves)
+                             and report move counts, phase lengths, times and statistics
+  stress                     Solve random cubes and report solutions that fail their check
+
+Options:
+  -m, --method <name>        kociemba (default), optimal, cfop, roux or zz
+  -t, --target <facelets>    Solve or verify towards this cube instead of the solved one
+      --neutral <colors|all> cfop, roux, zz: try these bottom colors (e.g. WY) and keep
+                             the shortest solution
+      --time-limit <ms>      How long the optimal search may run
+  -s, --seed <seed|id>       scramble: a scramble ID or a number; stress: the random seed
+      --type <state|moves>   scramble: random state (default) or 20 random moves
+  -n, --count <n>            stress: how many cubes (default 100)
+      --json                 Print JSON instead of text
+      --csv                  batch: print one CSV row per cube
+  -v, --verbose              Show the solver's log on stderr`;
+
+const FACELETS = /^[URFDLB]{54}$/;
+const TABLE_FILE = new URL('./js/solver/tables/kociemba-tables.bin', import.meta.url);
+
+// Exit codes
+const OK = 0;
+const FAILED = 1;
+const USAGE_ERROR = 2;
+
+class UsageError extends Error {}
+
+const print = (text) => process.stdout.write(text + '\n');
+
+function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            method: { type: 'string', short: 'm', default: 'kociemba' },
+            target: { type: 'string', short: 't' },
+            neutral: { type: 'string' },
+            'time-limit': { type: 'string' },
+            seed: { type: 'string', short: 's' },
+            type: { type: 'string', default: 'state' },
+            count: { type: 'string', short: 'n', default: '100' },
+            scramble: { type: 'string' },
+            solution: { type: 'string' },
+            json: { type: 'boolean', default: false },
+            csv: { type: 'boolean', default: false },
+            verbose: { type: 'boolean', short: 'v', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    // The solvers log progress; keep stdout for results
+    const log = values.verbose ? (...args) => console.error(...args) : () => {};
+    console.log = console.info = console.warn = console.debug = log;
+
+    const [command, ...args] = positionals;
+    if (!command || command === 'help' || values.help) {
+        print(USAGE);
+        return OK;
+    }
+
+    const commands = { solve, scramble, verify, batch, stress };
+    if (!commands[command]) {
+        throw new UsageError(`Unknown command "${command}"`);
+    }
+    if (!['kociemba', 'optimal', 'cfop', 'roux', 'zz'].includes(values.method)) {
+        throw new UsageError(`Unknown method "${values.method}"`);
+    }
+    return commands[command](new Solver(), args, values);
+}
+
+// ==================== COMMANDS ====================
+
+function solve(solver, args, values) {
+    const cube = readCube(solver, args[0], values.scramble);
+    const result = solveCube(solver, cube, values);
+    if (values.json) {
+        print(JSON.stringify(result, null, 2));
+    } else if (result.success) {
+        print(formatResult(result));
+    } else {
+        print(`Error: ${result.error}`);
+    }
+    return result.success ? OK : FAILED;
+}
+
+function scramble(solver, args, values) {
+    const type = values.type;
+    if (type !== 'state' && type !== 'moves') {
+        throw new UsageError(`Unknown scramble type "${type}" (expected state or moves)`);
+    }
+
+    let id = formatScrambleId(type, newSeed());
+    if (values.seed !== undefined) {
+        id = /^\d+$/.test(values.seed) ? formatScrambleId(type, Number(values.seed)) : values.seed;
+    }
+    if (parseScrambleId(id).type === 'state') prepareTables(solver);
+
+    const result = generateScramble(id, solver.kociemba);
+    if (!result.success) {
+        throw new UsageError(result.error);
+    }
+
+    const facelets = faceletsAfter(solver, result.scramble.join(' '));
+    if (values.json) {
+        print(JSON.stringify({ id: result.id, type: result.type, scramble: result.scramble.join(' '), facelets }, null, 2));
+    } else {
+        print(result.scramble.join(' '));
+        print(`ID:       ${result.id}`);
+        print(`Facelets: ${facelets}`);
+    }
+    return OK;
+}
+
+function verify(solver, args, values) {
+    if (values.solution === undefined) {
+        throw new UsageError('verify needs --solution');
+    }
+    const cube = readCube(solver, args[0], values.scramble);
+    const parsed = parseAlgorithm(values.solution);
+    if (!parsed.success) {
+        throw new UsageError(`Solution: ${parsed.error}`);
+    }
+
+    const target = values.target ? readFacelets(solver, values.target, 'Target') : null;
+    const check = verifySolution(cube.paintState, [{ name: 'Solution', moves: [values.solution] }], target);
+    const output = {
+        valid: check.valid,
+        facelets: cube.facelets,
+        solution: parsed.notation,
+        counts: countsOf(values.solution),
+        wrongStickers: check.wrongStickers,
+        residual: check.valid ? null : toFacelets(solver, check.residual),
+        error: check.error
+    };
+
+    if (values.json) {
+        print(JSON.stringify(output, null, 2));
+    } else if (check.valid) {
+        print(`OK: the solution reaches ${target ? 'the target' : 'the solved cube'} (${formatMetrics(output.counts)})`);
+    } else {
+        print(`FAIL: ${check.error}`);
+        print(`Ends in: ${output.residual}`);
+    }
+    return check.valid ? OK : FAILED;
+}
+
+function batch(solver, args, values) {
+    if (!args[0] || !existsSync(args[0])) {
+        throw new UsageError(args[0] ? `No such file: ${args[0]}` : 'batch needs a file');
+    }
+
+    const lines = parseBatchInput(readFileSync(args[0], 'utf8'));
+    const options = solveOptions(values);
+    if (usesKociembaTables(options) || lines.some(({ input }) => parseScrambleId(input).type === 'state')) {
+        prepareTables(solver);
+    }
+    const report = solver.solveBatch(lines.map(({ input }) => input), null, options);
+
+    if (values.csv) {
+        process.stdout.write(batchToCSV(report));
+    } else if (values.json) {
+        print(batchToJSON(report));
+    } else {
+        for (const r of report.results) {
+            const line = lines[r.index].line;
+            print(r.success
+                ? `${line}\tok\t${r.counts.HTM}\t${r.time.toFixed(0)}ms\t${r.solution}`
+                : `${line}\tfail\t-\t${r.time.toFixed(0)}ms\t${r.error}`);
+        }
+        print(formatSummary(report));
+    }
+    return report.summary.failed > 0 ? FAILED : OK;
+}
+
+function stress(solver, args, values) {
+    const count = parseInt(values.count, 10);
+    if (!(count > 0)) {
+        throw new UsageError(`--count must be a positive number, not "${values.count}"`);
+    }
+    const options = solveOptions(values);
+    if (values.seed !== undefined) options.seed = Number(values.seed);
+    if (usesKociembaTables(options)) prepareTables(solver);
+
+    const onProgress = values.json || !process.stderr.isTTY ? null : ({ done }) => {
+        process.stderr.write(`\r${done}/${count}`);
+    };
+    const result = solver.stressTest(count, onProgress, options);
+    if (onProgress) process.stderr.write('\n');
+
+    if (values.json) {
+        print(JSON.stringify(result, null, 2));
+    } else {
+        for (const f of result.failures) {
+            print(`FAIL cube ${f.index + 1} (${f.facelets}): ${f.error}`);
+        }
+        print(`${result.passed}/${result.count} solved correctly with ${options.method}, seed ${result.seed}` +
+            (result.passed ? `, ${result.averageLength.toFixed(1)} moves on average` : '') +
+            ` (${(result.time / 1000).toFixed(1)}s)`);
+    }
+    return result.failures.length > 0 ? FAILED : OK;
+}
+
+// ==================== HELPERS ====================
+
+function solveOptions(values) {
+    const options = { method: values.method };
+    if (values['time-limit'] !== undefined) options.timeLimit = Number(values['time-limit']);
+    if (values.neutral !== undefined) {
+        if (values.neutral !== 'all' && !/^[WYGBOR]+$/.test(values.neutral)) {
+            throw new UsageError(`--neutral takes color letters (W, Y, G, B, O, R) or all, not "${values.neutral}"`);
+        }
+        options.crossColors = values.neutral === 'all' ? true : [...values.neutral];
+    }
+    return options;
+}
+
+function solveCube(solver, cube, values) {
+    const options = solveOptions(values);
+    if (values.target) options.target = readFacelets(solver, values.target, 'Target');
+    if (usesKociembaTables(options)) prepareTables(solver);
+
+    const result = solver.solve(cube.paintState, null, options);
+    const output = {
+        success: result.success,
+        facelets: cube.facelets,
+        method: options.method,
+        solution: result.solution.join(' '),
+        counts: result.success ? countsOf(result.solution) : null,
+        phases: result.phases.map(phase => {
+            const entry = { name: phase.name, moves: phase.moves.join(' ') };
+            if (phase.steps) entry.steps = phase.steps.map(step => ({ moves: step.moves.join(' '), text: step.text }));
+            return entry;
+        }),
+        error: result.error
+    };
+    if (cube.scramble) output.scramble = cube.scramble;
+    if (result.optimal) output.optimal = result.optimal;
+    if (result.colorNeutral) output.colorNeutral = result.colorNeutral;
+    if (result.verification) {
+        output.verification = { phase: result.verification.phase, wrongStickers: result.verification.wrongStickers.length };
+    }
+    return output;
+}
+
+function formatResult(result) {
+    const lines = [result.solution || '(nothing to do)', formatMetrics(result.counts)];
+    if (result.optimal) {
+        lines.push(result.optimal.proven ? 'Proven optimal' : `Not proven optimal (at least ${result.optimal.lowerBound} moves)`);
+    }
+    if (result.colorNeutral) {
+        const { color, candidates } = result.colorNeutral;
+        lines.push('Bottom color: ' + candidates
+            .map(c => `${c.name} ${c.success ? c.length : 'failed'}${c.color === color ? ' (best)' : ''}`)
+            .join(', '));
+    }
+    const phases = result.phases.filter(phase => phase.moves);
+    const width = Math.max(...phases.map(p => p.name.length));
+    phases.forEach(phase => {
+        lines.push(`  ${phase.name.padEnd(width)}  ${phase.moves}`);
+        // A phase done in one step just gets its explanation
+        const steps = phase.steps || [];
+        steps.forEach(step => lines.push(`  ${''.padEnd(width)}    ${steps.length > 1 ? `${step.moves}: ` : ''}${step.text}`));
+    });
+    return lines.join('\n');
+}
+
+// The summary line, average phase lengths and the HTM histogram
+function formatSummary(report) {
+    const { summary } = report;
+    const lines = [`${formatBatchSummary(summary)} · ${(summary.time.total / 1000).toFixed(1)}s (${report.method})`];
+    if (summary.solved === 0) return lines.join('\n');
+
+    const width = Math.max(...summary.phases.map(p => p.name.length));
+    summary.phases.forEach(phase => lines.push(`  ${phase.name.padEnd(width)}  ${phase.mean.toFixed(1)}`));
+
+    const most = Math.max(...summary.histogram.map(bin => bin.count));
+    summary.histogram.forEach(bin => {
+        const bar = '#'.repeat(Math.round(bin.count / most * 40));
+        lines.push(`  ${formatBin(bin).padStart(7)} HTM  ${bar} ${bin.count || ''}`.trimEnd());
+    });
+    return lines.join('\n');
+}
+
+function countsOf(moves) {
+    const { HTM, QTM, STM, ETM } = countMoves(moves);
+    return { HTM, QTM, STM, ETM };
+}
+
+/**
+ * The cube to work on: facelets as given, or a scramble applied to the solved cube
+ * @returns {Object} - { paintState, facelets, scramble }
+ */
+function readCube(solver, facelets, scrambleText) {
+    if (facelets) {
+        return { paintState: readFacelets(solver, facelets, 'Cube'), facelets, scramble: null };
+    }
+    if (!scrambleText) {
+        throw new UsageError('Give the cube as 54 facelets or with --scramble');
+    }
+
+    if (parseScrambleId(scrambleText).type === 'state') prepareTables(solver);
+    const cube = solver.cubeFromText(scrambleText);
+    if (!cube.success) {
+        throw new UsageError(cube.error);
+    }
+    return { paintState: cube.paintState, facelets: toFacelets(solver, cube.paintState), scramble: cube.scramble };
+}
+
+function readFacelets(solver, facelets, what) {
+    if (!FACELETS.test(facelets)) {
+        throw new UsageError(`${what} must be 54 face letters (U R F D L B) in URFDLB order`);
+    }
+    return solver.toPaintState(facelets);
+}
+
+function toFacelets(solver, paintState) {
+    return solver.toFaceletString(paintState, solver.mapColorsToFaces(paintState));
+}
+
+function faceletsAfter(solver, moves) {
+    const cube = new CubeState();
+    cube.applyMoves(moves, false);
+    return toFacelets(solver, cube.getState());
+}
+
+// Load the pre-generated Kociemba tables if they have been built (tools/build-tables.mjs);
+// otherwise the solver generates them on first use
+function prepareTables(solver) {
+    if (solver.kociemba.hasTables() || !existsSync(TABLE_FILE)) return;
+    const file = readFileSync(TABLE_FILE);
+    const buffer = file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+    const tables = new TableCache({ url: null, useIndexedDB: false }).deserialize(buffer);
+    if (tables) solver.kociemba.setTables(tables);
+}
+
+// Output piped into e.g. head may close early; that isn't an error
+process.stdout.on('error', (e) => {
+    if (e.code !== 'EPIPE') throw e;
+    process.exit(process.exitCode || OK);
+});
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (e) {
+    if (!(e instanceof UsageError) && e.code !== 'ERR_PARSE_ARGS_UNKNOWN_OPTION' && e.code !== 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE') {
+        throw e;
+    }
+    console.error(`Error: ${e.message}\nRun "node cli.js help" for usage.`);
+    process.exitCode = USAGE_ERROR;
+}
@@ -1,4 +1,5 @@
 // CubeRenderer.js - 3D Cube with Correct Paint Validation
+import { parseMove, expandMove, NotationError } from './Notation.js';
 
 export class CubeRenderer {
     constructor(containerId) {
@@ -44,6 +45,8 @@ export class CubeRenderer {
             'F': new THREE.Vector3(0, 0, 1),
             'B': new THREE.Vector3(0, 0, -1)
         };
+        // Slice moves turn the same way as these faces
+        this.sliceFaces = { 'M': 'L', 'E': 'D', 'S': 'F' };
 
         // Paint state
         this.paintState = null;
@@ -101,6 +104,7 @@ export class CubeRenderer {
 
         this.cubeGroup = new THREE.Group();
         this.cubies = [];
+        this.highlighted = [];
 
         const cubieSize = 0.92;
         const gap = 1.0;
@@ -476,8 +480,41 @@ export class CubeRenderer {
         return JSON.parse(JSON.stringify(this.paintState));
     }
 
+    /**
+     * Make stickers glow, e.g. to point out pieces that need attention
+     * @param {Array} stickers - [{ face: 'U', index: 0-8 }]
+     * @param {number} [color] - emissive color (hex)
+     */
+    highlightStickers(stickers, color = 0xff00ff) {
+        this.cubies.forEach(cubie => {
+            cubie.material.forEach((material, matIdx) => {
+                const { faceName, stickerIndex } = this.getFaceAndIndex(cubie, matIdx);
+                if (!faceName) return;
+                if (stickers.some(s => s.face === faceName && s.index === stickerIndex)) {
+                    material.emissive.setHex(color);
+                    material.emissiveIntensity = 0.45;
+                    this.highlighted.push(material);
+                }
+            });
+        });
+    }
+
+    clearHighlights() {
+        this.highlighted.forEach(material => material.emissive.setHex(0x000000));
+        this.highlighted = [];
+    }
+
     // Animate move
+    /**
+     * @param {string} move - one move in WCA / SiGN notation: faces, slices, wide turns or rotations
+     * @throws {NotationError} if the move doesn't parse
+     */
     async animateMove(move, duration = 300) {
+        const parsed = parseMove(move);
+        if (!parsed) {
+            throw new NotationError(`Invalid move "${move}"`, 0);
+        }
+
         return new Promise(resolve => {
             if (this.isAnimating) {
                 this.animationQueue.push({ move, duration, resolve });
@@ -485,12 +522,12 @@ export class CubeRenderer {
             }
 
             this.isAnimating = true;
-            const face = move.charAt(0).toUpperCase();
-            const prime = move.includes("'");
-            const double = move.includes("2");
 
-            const angle = (prime ? 1 : -1) * Math.PI / 2 * (double ? 2 : 1);
-            const cubiesToRotate = this.getCubiesOnFace(face);
+            // Wide turns and rotations move several layers, all the same way as the first one
+            const layers = expandMove({ ...parsed, amount: 1 }).map(turn => turn.layer);
+            const quarterTurns = parsed.amount === 3 ? -1 : parsed.amount;
+            const angle = -Math.PI / 2 * quarterTurns;
+            const cubiesToRotate = layers.flatMap(layer => this.getCubiesOnFace(layer));
             const rotationGroup = new THREE.Group();
             this.scene.add(rotationGroup);
 
@@ -499,7 +536,8 @@ export class CubeRenderer {
                 rotationGroup.add(cubie);
             });
 
-            const axis = this.faceNormals[face].clone();
+            // Slices turn the same way as a face: M like L, E like D, S like F
+            const axis = this.faceNormals[this.sliceFaces[layers[0]] || layers[0]].clone();
             const startTime = Date.now();
 
             const animateRotation = () => {
@@ -554,6 +592,9 @@ export class CubeRenderer {
                 case 'D': return y === -1;
                 case 'F': return z === 1;
                 case 'B': return z === -1;
+                case 'M': return x === 0;
+                case 'E': return y === 0;
+                case 'S': return z === 0;
                 default: return false;
             }
         });
@@ -659,15 +700,15 @@ export class CubeRenderer {
         switch (face) {
             case 'U':
                 // x: -1,0,1 → col: 0,1,2
-                // z: 1,0,-1 → row: 0,1,2
+                // z: -1,0,1 → row: 0,1,2 (same layout as getFaceAndIndex)
                 col = coord1 + 1;
-                row = 1 - coord2;
+                row = coord2 + 1;
                 break;
             case 'D':
                 // x: -1,0,1 → col: 0,1,2
-                // z: -1,0,1 → row: 0,1,2
+                // z: 1,0,-1 → row: 0,1,2
                 col = coord1 + 1;
-                row = coord2 + 1;
+                row = 1 - coord2;
                 break;
             case 'F':
                 // x: -1,0,1 → col: 0,1,2
@@ -1,4 +1,160 @@
 // CubeState.js - Rubik's Cube State Management with Validation
+import { parseAlgorithm, isCompactAlgorithm, parseMoves, expandMove, formatMove, formatMoves, invertMoves } from './Notation.js';
+
+// Stickers carried along by a clockwise quarter turn of each layer: strip i moves to strip i + 1.
+// Slices turn like a face: M like L, E like D, S like F. Centers move with them.
+const LAYER_STRIPS = {
+    U: [[['B', 0], ['B', 1], ['B', 2]], [['R', 0], ['R', 1], ['R', 2]], [['F', 0], ['F', 1], ['F', 2]], [['L', 0], ['L', 1], ['L', 2]]],
+    D: [[['F', 6], ['F', 7], ['F', 8]], [['R', 6], ['R', 7], ['R', 8]], [['B', 6], ['B', 7], ['B', 8]], [['L', 6], ['L', 7], ['L', 8]]],
+    R: [[['U', 8], ['U', 5], ['U', 2]], [['B', 0], ['B', 3], ['B', 6]], [['D', 8], ['D', 5], ['D', 2]], [['F', 8], ['F', 5], ['F', 2]]],
+    L: [[['U', 0], ['U', 3], ['U', 6]], [['F', 0], ['F', 3], ['F', 6]], [['D', 0], ['D', 3], ['D', 6]], [['B', 8], ['B', 5], ['B', 2]]],
+    F: [[['U', 6], ['U', 7], ['U', 8]], [['R', 0], ['R', 3], ['R', 6]], [['D', 2], ['D', 1], ['D', 0]], [['L', 8], ['L', 5], ['L', 2]]],
+    B: [[['U', 2], ['U', 1], ['U', 0]], [['L', 0], ['L', 3], ['L', 6]], [['D', 6], ['D', 7], ['D', 8]], [['R', 8], ['R', 5], ['R', 2]]],
+    M: [[['U', 1], ['U', 4], ['U', 7]], [['F', 1], ['F', 4], ['F', 7]], [['D', 1], ['D', 4], ['D', 7]], [['B', 7], ['B', 4], ['B', 1]]],
+    E: [[['F', 3], ['F', 4], ['F', 5]], [['R', 3], ['R', 4], ['R', 5]], [['B', 3], ['B', 4], ['B', 5]], [['L', 3], ['L', 4], ['L', 5]]],
+    S: [[['U', 3], ['U', 4], ['U', 5]], [['R', 1], ['R', 4], ['R', 7]], [['D', 5], ['D', 4], ['D', 3]], [['L', 7], ['L', 4], ['L', 1]]]
+};
+
+/**
+ * Turn one layer a clockwise quarter turn, in place
+ * @param {Object} state - { U: [9], R: [9], F: [9], D: [9], L: [9], B: [9] } sticker arrays
+ * @param {string} layer - a face (URFDLB) or slice (MES); see Notation.expandMove for other moves
+ */
+export function turnLayer(state, layer) {
+    const face = state[layer];
+    if (face) {
+        const f = [...face];
+        face[0] = f[6]; face[1] = f[3]; face[2] = f[0];
+        face[3] = f[7]; face[4] = f[4]; face[5] = f[1];
+        face[6] = f[8]; face[7] = f[5]; face[8] = f[2];
+    }
+
+    const strips = LAYER_STRIPS[layer];
+    const buffer = strips[3].map(([f, i]) => state[f][i]);
+    for (let s = 3; s > 0; s--) {
+        for (let j = 0; j < 3; j++) {
+            const [dstFace, dstIdx] = strips[s][j];
+            const [srcFace, srcIdx] = strips[s - 1][j];
+            state[dstFace][dstIdx] = state[srcFace][srcIdx];
+        }
+    }
+    for (let j = 0; j < 3; j++) {
+        const [dstFace, dstIdx] = strips[0][j];
+        state[dstFace][dstIdx] = buffer[j];
+    }
+}
+
+// The cubie model every module shares, in Kociemba's order: corners URF, UFL, ULB, UBR, DFR, DLF, DBL, DRB
+// and edges UR, UF, UL, UB, DR, DF, DL, DB, FR, FL, BL, BR. A slot's stickers start on its U/D face (F/B for
+// the middle-layer edges), corners going clockwise, and its name lists their faces in that order.
+export const CORNER_SLOTS = [
+    { name: 'URF', stickers: [['U', 8], ['R', 0], ['F', 2]] },
+    { name: 'UFL', stickers: [['U', 6], ['F', 0], ['L', 2]] },
+    { name: 'ULB', stickers: [['U', 0], ['L', 0], ['B', 2]] },
+    { name: 'UBR', stickers: [['U', 2], ['B', 0], ['R', 2]] },
+    { name: 'DFR', stickers: [['D', 2], ['F', 8], ['R', 6]] },
+    { name: 'DLF', stickers: [['D', 0], ['L', 8], ['F', 6]] },
+    { name: 'DBL', stickers: [['D', 6], ['B', 8], ['L', 6]] },
+    { name: 'DRB', stickers: [['D', 8], ['R', 8], ['B', 6]] }
+];
+
+export const EDGE_SLOTS = [
+    { name: 'UR', stickers: [['U', 5], ['R', 1]] },
+    { name: 'UF', stickers: [['U', 7], ['F', 1]] },
+    { name: 'UL', stickers: [['U', 3], ['L', 1]] },
+    { name: 'UB', stickers: [['U', 1], ['B', 1]] },
+    { name: 'DR', stickers: [['D', 5], ['R', 7]] },
+    { name: 'DF', stickers: [['D', 1], ['F', 7]] },
+    { name: 'DL', stickers: [['D', 3], ['L', 7]] },
+    { name: 'DB', stickers: [['D', 7], ['B', 7]] },
+    { name: 'FR', stickers: [['F', 5], ['R', 3]] },
+    { name: 'FL', stickers: [['F', 3], ['L', 5]] },
+    { name: 'BL', stickers: [['B', 5], ['L', 3]] },
+    { name: 'BR', stickers: [['B', 3], ['R', 5]] }
+];
+
+// Facelet strings list the faces in this order, 9 stickers each (U 0-8, R 9-17, ... B 45-53)
+export const FACE_ORDER = ['U', 'R', 'F', 'D', 'L', 'B'];
+
+export function faceletIndex(face, index) {
+    return FACE_ORDER.indexOf(face) * 9 + index;
+}
+
+/**
+ * Read the pieces off a facelet string. cp[i] / ep[i] is the piece in slot i; co[i] is which of the slot's
+ * stickers shows the corner's U/D face (1 = twisted clockwise), eo[i] is 1 when the edge's first face is
+ * on the slot's second sticker. The same convention as KociembaSolver's CubieCube.
+ * @param {string} facelets - 54 face letters in URFDLB order
+ * @returns {Object} - { cp, co, ep, eo, error, slot }. On error the arrays are null and slot is
+ *   { type: 'corner'|'edge', index, problem: 'duplicate'|'impossible' } for the first bad piece
+ */
+export function faceletsToCubies(facelets) {
+    const fail = (type, index, problem) => {
+        const name = (type === 'corner' ? CORNER_SLOTS : EDGE_SLOTS)[index].name;
+        const error = problem === 'duplicate'
+            ? `The ${type} at ${name} has duplicate colors.`
+            : `The ${type} at ${name} is not a real ${type} piece.`;
+        return { cp: null, co: null, ep: null, eo: null, error, slot: { type, index, problem } };
+    };
+    const read = slot => slot.stickers.map(([face, index]) => facelets[faceletIndex(face, index)]);
+
+    const cp = [], co = [];
+    for (let i = 0; i < 8; i++) {
+        const colors = read(CORNER_SLOTS[i]);
+        if (new Set(colors).size !== 3) return fail('corner', i, 'duplicate');
+        const ori = colors.findIndex(c => c === 'U' || c === 'D');
+        const faces = [0, 1, 2].map(k => colors[(ori + k) % 3]).join('');
+        const piece = ori === -1 ? -1 : CORNER_SLOTS.findIndex(slot => slot.name === faces);
+        if (piece === -1) return fail('corner', i, 'impossible');
+        cp.push(piece);
+        co.push(ori);
+    }
+
+    const ep = [], eo = [];
+    for (let i = 0; i < 12; i++) {
+        const colors = read(EDGE_SLOTS[i]);
+        if (colors[0] === colors[1]) return fail('edge', i, 'duplicate');
+        const straight = EDGE_SLOTS.findIndex(slot => slot.name === colors.join(''));
+        const flipped = EDGE_SLOTS.findIndex(slot => slot.name === colors[1] + colors[0]);
+        if (straight === -1 && flipped === -1) return fail('edge', i, 'impossible');
+        ep.push(straight === -1 ? flipped : straight);
+        eo.push(straight === -1 ? 1 : 0);
+    }
+
+    return { cp, co, ep, eo, error: null, slot: null };
+}
+
+/**
+ * The inverse of faceletsToCubies; centers are U R F D L B
+ * @param {Object} cubies - { cp, co, ep, eo }
+ * @returns {string} - 54 face letters in URFDLB order
+ */
+export function cubiesToFacelets({ cp, co, ep, eo }) {
+    const f = [];
+    FACE_ORDER.forEach((face, i) => { f[9 * i + 4] = face; });
+    CORNER_SLOTS.forEach((slot, i) => {
+        const faces = CORNER_SLOTS[cp[i]].name;
+        slot.stickers.forEach(([face, index], k) => { f[faceletIndex(face, index)] = faces[(k + 3 - co[i]) % 3]; });
+    });
+    EDGE_SLOTS.forEach((slot, i) => {
+        const faces = EDGE_SLOTS[ep[i]].name;
+        slot.stickers.forEach(([face, index], k) => { f[faceletIndex(face, index)] = faces[(k + eo[i]) % 2]; });
+    });
+    return f.join('');
+}
+
+// 0 for an even permutation, 1 for an odd one
+export function permutationParity(perm) {
+    const seen = new Array(perm.length).fill(false);
+    let swaps = 0;
+    perm.forEach((_, start) => {
+        for (let i = start; !seen[i]; i = perm[i]) {
+            seen[i] = true;
+            if (perm[i] !== start) swaps++;
+        }
+    });
+    return swaps % 2;
+}
 
 export class CubeState {
     constructor() {
@@ -35,255 +191,39 @@ export class CubeState {
         this.state = JSON.parse(JSON.stringify(newState));
     }
 
-    // Face rotation helpers
-    rotateFaceCW(face) {
-        const f = this.state[face];
-        const temp = [...f];
-        f[0] = temp[6]; f[1] = temp[3]; f[2] = temp[0];
-        f[3] = temp[7]; f[4] = temp[4]; f[5] = temp[1];
-        f[6] = temp[8]; f[7] = temp[5]; f[8] = temp[2];
-    }
-
-    rotateFaceCCW(face) {
-        const f = this.state[face];
-        const temp = [...f];
-        f[0] = temp[2]; f[1] = temp[5]; f[2] = temp[8];
-        f[3] = temp[1]; f[4] = temp[4]; f[5] = temp[7];
-        f[6] = temp[0]; f[7] = temp[3]; f[8] = temp[6];
-    }
-
-    // === MOVE IMPLEMENTATIONS ===
-    R(prime = false) {
-        if (prime) {
-            this.rotateFaceCCW('R');
-            const temp = [this.state.U[2], this.state.U[5], this.state.U[8]];
-            this.state.U[2] = this.state.F[2];
-            this.state.U[5] = this.state.F[5];
-            this.state.U[8] = this.state.F[8];
-            this.state.F[2] = this.state.D[2];
-            this.state.F[5] = this.state.D[5];
-            this.state.F[8] = this.state.D[8];
-            this.state.D[2] = this.state.B[6];
-            this.state.D[5] = this.state.B[3];
-            this.state.D[8] = this.state.B[0];
-            this.state.B[0] = temp[2];
-            this.state.B[3] = temp[1];
-            this.state.B[6] = temp[0];
-        } else {
-            this.rotateFaceCW('R');
-            const temp = [this.state.U[2], this.state.U[5], this.state.U[8]];
-            this.state.U[2] = this.state.B[6];
-            this.state.U[5] = this.state.B[3];
-            this.state.U[8] = this.state.B[0];
-            this.state.B[0] = this.state.D[8];
-            this.state.B[3] = this.state.D[5];
-            this.state.B[6] = this.state.D[2];
-            this.state.D[2] = this.state.F[2];
-            this.state.D[5] = this.state.F[5];
-            this.state.D[8] = this.state.F[8];
-            this.state.F[2] = temp[0];
-            this.state.F[5] = temp[1];
-            this.state.F[8] = temp[2];
-        }
-    }
-
-    L(prime = false) {
-        if (prime) {
-            this.rotateFaceCCW('L');
-            const temp = [this.state.U[0], this.state.U[3], this.state.U[6]];
-            this.state.U[0] = this.state.B[8];
-            this.state.U[3] = this.state.B[5];
-            this.state.U[6] = this.state.B[2];
-            this.state.B[2] = this.state.D[6];
-            this.state.B[5] = this.state.D[3];
-            this.state.B[8] = this.state.D[0];
-            this.state.D[0] = this.state.F[0];
-            this.state.D[3] = this.state.F[3];
-            this.state.D[6] = this.state.F[6];
-            this.state.F[0] = temp[0];
-            this.state.F[3] = temp[1];
-            this.state.F[6] = temp[2];
-        } else {
-            this.rotateFaceCW('L');
-            const temp = [this.state.U[0], this.state.U[3], this.state.U[6]];
-            this.state.U[0] = this.state.F[0];
-            this.state.U[3] = this.state.F[3];
-            this.state.U[6] = this.state.F[6];
-            this.state.F[0] = this.state.D[0];
-            this.state.F[3] = this.state.D[3];
-            this.state.F[6] = this.state.D[6];
-            this.state.D[0] = this.state.B[8];
-            this.state.D[3] = this.state.B[5];
-            this.state.D[6] = this.state.B[2];
-            this.state.B[2] = temp[2];
-            this.state.B[5] = temp[1];
-            this.state.B[8] = temp[0];
-        }
-    }
-
-    U(prime = false) {
-        if (prime) {
-            this.rotateFaceCCW('U');
-            const temp = [this.state.F[0], this.state.F[1], this.state.F[2]];
-            this.state.F[0] = this.state.R[0];
-            this.state.F[1] = this.state.R[1];
-            this.state.F[2] = this.state.R[2];
-            this.state.R[0] = this.state.B[0];
-            this.state.R[1] = this.state.B[1];
-            this.state.R[2] = this.state.B[2];
-            this.state.B[0] = this.state.L[0];
-            this.state.B[1] = this.state.L[1];
-            this.state.B[2] = this.state.L[2];
-            this.state.L[0] = temp[0];
-            this.state.L[1] = temp[1];
-            this.state.L[2] = temp[2];
-        } else {
-            this.rotateFaceCW('U');
-            const temp = [this.state.F[0], this.state.F[1], this.state.F[2]];
-            this.state.F[0] = this.state.L[0];
-            this.state.F[1] = this.state.L[1];
-            this.state.F[2] = this.state.L[2];
-            this.state.L[0] = this.state.B[0];
-            this.state.L[1] = this.state.B[1];
-            this.state.L[2] = this.state.B[2];
-            this.state.B[0] = this.state.R[0];
-            this.state.B[1] = this.state.R[1];
-            this.state.B[2] = this.state.R[2];
-            this.state.R[0] = temp[0];
-            this.state.R[1] = temp[1];
-            this.state.R[2] = temp[2];
-        }
-    }
-
-    D(prime = false) {
-        if (prime) {
-            this.rotateFaceCCW('D');
-            const temp = [this.state.F[6], this.state.F[7], this.state.F[8]];
-            this.state.F[6] = this.state.L[6];
-            this.state.F[7] = this.state.L[7];
-            this.state.F[8] = this.state.L[8];
-            this.state.L[6] = this.state.B[6];
-            this.state.L[7] = this.state.B[7];
-            this.state.L[8] = this.state.B[8];
-            this.state.B[6] = this.state.R[6];
-            this.state.B[7] = this.state.R[7];
-            this.state.B[8] = this.state.R[8];
-            this.state.R[6] = temp[0];
-            this.state.R[7] = temp[1];
-            this.state.R[8] = temp[2];
-        } else {
-            this.rotateFaceCW('D');
-            const temp = [this.state.F[6], this.state.F[7], this.state.F[8]];
-            this.state.F[6] = this.state.R[6];
-            this.state.F[7] = this.state.R[7];
-            this.state.F[8] = this.state.R[8];
-            this.state.R[6] = this.state.B[6];
-            this.state.R[7] = this.state.B[7];
-            this.state.R[8] = this.state.B[8];
-            this.state.B[6] = this.state.L[6];
-            this.state.B[7] = this.state.L[7];
-            this.state.B[8] = this.state.L[8];
-            this.state.L[6] = temp[0];
-            this.state.L[7] = temp[1];
-            this.state.L[8] = temp[2];
-        }
-    }
-
-    F(prime = false) {
-        if (prime) {
-            this.rotateFaceCCW('F');
-            const temp = [this.state.U[6], this.state.U[7], this.state.U[8]];
-            this.state.U[6] = this.state.R[0];
-            this.state.U[7] = this.state.R[3];
-            this.state.U[8] = this.state.R[6];
-            this.state.R[0] = this.state.D[2];
-            this.state.R[3] = this.state.D[1];
-            this.state.R[6] = this.state.D[0];
-            this.state.D[0] = this.state.L[2];
-            this.state.D[1] = this.state.L[5];
-            this.state.D[2] = this.state.L[8];
-            this.state.L[2] = temp[0];
-            this.state.L[5] = temp[1];
-            this.state.L[8] = temp[2];
-        } else {
-            this.rotateFaceCW('F');
-            const temp = [this.state.U[6], this.state.U[7], this.state.U[8]];
-            this.state.U[6] = this.state.L[8];
-            this.state.U[7] = this.state.L[5];
-            this.state.U[8] = this.state.L[2];
-            this.state.L[2] = this.state.D[0];
-            this.state.L[5] = this.state.D[1];
-            this.state.L[8] = this.state.D[2];
-            this.state.D[0] = this.state.R[6];
-            this.state.D[1] = this.state.R[3];
-            this.state.D[2] = this.state.R[0];
-            this.state.R[0] = temp[2];
-            this.state.R[3] = temp[1];
-            this.state.R[6] = temp[0];
-        }
-    }
-
-    B(prime = false) {
-        if (prime) {
-            this.rotateFaceCCW('B');
-            const temp = [this.state.U[0], this.state.U[1], this.state.U[2]];
-            this.state.U[0] = this.state.L[6];
-            this.state.U[1] = this.state.L[3];
-            this.state.U[2] = this.state.L[0];
-            this.state.L[0] = this.state.D[6];
-            this.state.L[3] = this.state.D[7];
-            this.state.L[6] = this.state.D[8];
-            this.state.D[6] = this.state.R[8];
-            this.state.D[7] = this.state.R[5];
-            this.state.D[8] = this.state.R[2];
-            this.state.R[2] = temp[0];
-            this.state.R[5] = temp[1];
-            this.state.R[8] = temp[2];
-        } else {
-            this.rotateFaceCW('B');
-            const temp = [this.state.U[0], this.state.U[1], this.state.U[2]];
-            this.state.U[0] = this.state.R[2];
-            this.state.U[1] = this.state.R[5];
-            this.state.U[2] = this.state.R[8];
-            this.state.R[2] = this.state.D[8];
-            this.state.R[5] = this.state.D[7];
-            this.state.R[8] = this.state.D[6];
-            this.state.D[6] = this.state.L[0];
-            this.state.D[7] = this.state.L[3];
-            this.state.D[8] = this.state.L[6];
-            this.state.L[0] = temp[2];
-            this.state.L[3] = temp[1];
-            this.state.L[6] = temp[0];
-        }
-    }
-
+    /**
+     * Apply a move, or a short algorithm, in WCA / SiGN notation (see Notation.js)
+     * @param {string} move - e.g. "R", "U2", "Rw'", "M", "x", "(R U R' U')3"
+     * @throws {NotationError} if the move doesn't parse
+     */
     applyMove(move, addToHistory = true) {
-        const face = move.charAt(0).toUpperCase();
-        const prime = move.includes("'");
-        const double = move.includes("2");
-
-        const execute = () => {
-            switch (face) {
-                case 'R': this.R(prime); break;
-                case 'L': this.L(prime); break;
-                case 'U': this.U(prime); break;
-                case 'D': this.D(prime); break;
-                case 'F': this.F(prime); break;
-                case 'B': this.B(prime); break;
+        for (const parsed of parseMoves(move)) {
+            for (const { layer, amount } of expandMove(parsed)) {
+                for (let i = 0; i < amount; i++) turnLayer(this.state, layer);
             }
-        };
-
-        execute();
-        if (double) execute();
+        }
 
         if (addToHistory) {
             this.moveHistory.push(move);
         }
     }
 
+    /**
+     * Apply an algorithm. Groups, commutators and conjugates are kept whole in the history,
+     * so undo takes back "[R, U]" in one step; plain moves are recorded one by one.
+     * @param {string} moves - algorithm text
+     * @returns {Object} - parse result { success, moves, notation, error, position }; nothing is applied on error
+     */
     applyMoves(moves, addToHistory = true) {
-        const moveList = moves.split(/\s+/).filter(m => m);
-        moveList.forEach(move => this.applyMove(move, addToHistory));
+        const parsed = parseAlgorithm(moves);
+        if (!parsed.success) return parsed;
+
+        const keepWhole = isCompactAlgorithm(parsed.notation);
+        parsed.moves.forEach(move => this.applyMove(formatMove(move), addToHistory && !keepWhole));
+        if (addToHistory && keepWhole) {
+            this.moveHistory.push(parsed.notation);
+        }
+        return parsed;
     }
 
     undo() {
@@ -295,30 +235,17 @@ export class CubeState {
     }
 
     getInverseMove(move) {
-        if (move.includes("'")) return move.replace("'", "");
-        if (move.includes("2")) return move;
-        return move + "'";
-    }
-
-    scramble(length = 20) {
-        const moves = ['R', 'L', 'U', 'D', 'F', 'B'];
-        const modifiers = ['', "'", '2'];
-        const scrambleMoves = [];
-        let lastMove = '';
-
-        for (let i = 0; i < length; i++) {
-            let move;
-            do {
-                move = moves[Math.floor(Math.random() * moves.length)];
-            } while (move === lastMove);
-
-            lastMove = move;
-            const mod = modifiers[Math.floor(Math.random() * modifiers.length)];
-            const fullMove = move + mod;
-            scrambleMoves.push(fullMove);
-            this.applyMove(fullMove);
-        }
+        return formatMoves(invertMoves(parseMoves(move)));
+    }
 
+    /**
+     * Apply a scramble; generate one with solver/Scrambler.js
+     * @param {string|string[]} moves - algorithm text or move tokens
+     * @returns {string} - the scramble as text
+     */
+    scramble(moves) {
+        const scrambleMoves = parseMoves(moves).map(formatMove);
+        scrambleMoves.forEach(move => this.applyMove(move));
         return scrambleMoves.join(' ');
     }
 
@@ -422,20 +349,25 @@ export class CubeState {
 
         // 4. Parity Checks (Solvability)
 
+        // Mirrored corners pass the color checks above, and pieces can still be painted twice
+        const cubies = this.toCubies();
+        if (cubies.error) return { valid: false, errors: [cubies.error] };
+        const doubled = this.findDoubledPiece(cubies);
+        if (doubled) return { valid: false, errors: [doubled] };
+
         // Edge Orientation
-        const edgeFlip = this.checkEdgeOrientation();
-        if (edgeFlip !== 0) {
+        if (!this.checkEdgeOrientation().valid) {
             errors.push("Unsolvable: Odd number of flipped edges.");
         }
 
         // Corner Orientation
         const cornerTwist = this.checkCornerOrientation();
-        if (cornerTwist !== 0) {
-            errors.push("Unsolvable: One or more corners twisted.");
+        if (!cornerTwist.valid) {
+            errors.push(`Unsolvable: One corner is twisted ${cornerTwist.direction}.`);
         }
 
         // Permutation Parity
-        if (!this.checkPermutationParity()) {
+        if (!this.checkPermutationParity().valid) {
             errors.push("Unsolvable: Edge/Corner swap parity mismatch (two pieces swapped).");
         }
 
@@ -473,64 +405,131 @@ export class CubeState {
         return !hasOpposite;
     }
 
-    // Determine Edge Orientation (Sum of flips must be even)
-    checkEdgeOrientation() {
-        // Standard definition of edge orientation needs a reference frame
-        // Assuming Standard Color Scheme & Orientation: U=White, F=Green
-        // Edges in U/D layers are oriented if U/D color is on U/D face
-        // Middle layer edges oriented if F/B color is on F/B face
-        // This is complex to check generally on a raw sticker mapping.
-        // A simpler robust way works by looking at "Good" vs "Bad" edges relative to U/D.
-
-        // Simplified Logic: 
-        // 1. Identify each physical edge piece.
-        // 2. Determine its orientation status (0 or 1).
-        // Sum must be divisible by 2.
+    // "The White-Red edge is painted twice." for the first piece that appears in two slots, else null
+    findDoubledPiece(cubies) {
+        const name = faces => faces.map(face => this.getColorName(this.state[face][4])).join('-');
+        const corner = cubies.cp.find((piece, slot) => cubies.cp.indexOf(piece) !== slot);
+        if (corner !== undefined) return `The ${name([...CORNER_SLOTS[corner].name])} corner is painted twice.`;
+        const edge = cubies.ep.find((piece, slot) => cubies.ep.indexOf(piece) !== slot);
+        if (edge !== undefined) return `The ${name([...EDGE_SLOTS[edge].name])} edge is painted twice.`;
+        return null;
+    }
 
-        // We will delegate to the solver's rigorous check for this usually, 
-        // but for immediate feedback, we can use a heuristic or just basic color logic.
-        // Given complexity, we'll implement a basic check here or rely on the Solver's `validateInvariants`.
-        // Let's rely on permutation cycles for easier parity check for now.
+    /**
+     * Edge flips must add up to an even number (orientation as in faceletsToCubies)
+     * @returns {Object} - { invariant: 'edgeOrientation', valid, amount, slots, error }: amount is the flip
+     *   sum mod 2, slots names the slots holding flipped edges; error if the pieces can't be read
+     */
+    checkEdgeOrientation() {
+        const cubies = this.toCubies();
+        if (cubies.error) return { invariant: 'edgeOrientation', valid: false, amount: null, slots: [], error: cubies.error };
 
-        // For now, return 0 as strict EO check requires full cube mapping which is in Solver.js.
-        // The getValidationErrors calls checkPermutationParity which catches swaps.
-        // Twist/Flip needs full cubie recognition.
-        return 0;
+        const amount = cubies.eo.reduce((a, b) => a + b, 0) % 2;
+        const slots = EDGE_SLOTS.filter((_, i) => cubies.eo[i] === 1).map(slot => slot.name);
+        return { invariant: 'edgeOrientation', valid: amount === 0, amount, slots, error: null };
     }
 
+    /**
+     * Corner twists must add up to a multiple of 3
+     * @returns {Object} - { invariant: 'cornerOrientation', valid, amount, direction, slots, error }: amount is
+     *   the twist sum mod 3, which one corner twisted that way would explain (1 'clockwise', 2
+     *   'counter-clockwise'; direction is null when valid); slots names the slots holding twisted corners
+     */
     checkCornerOrientation() {
-        // Sum of corner twists must be divisible by 3.
-        // Similar to edges, requires mapping to specific cubie slots.
-        return 0; // Placeholder, real check delegated to Solver.js for now to avoid duplic logic.
+        const cubies = this.toCubies();
+        if (cubies.error) {
+            return { invariant: 'cornerOrientation', valid: false, amount: null, direction: null, slots: [], error: cubies.error };
+        }
+
+        const amount = cubies.co.reduce((a, b) => a + b, 0) % 3;
+        const direction = [null, 'clockwise', 'counter-clockwise'][amount];
+        const slots = CORNER_SLOTS.filter((_, i) => cubies.co[i] !== 0).map(slot => slot.name);
+        return { invariant: 'cornerOrientation', valid: amount === 0, amount, direction, slots, error: null };
     }
 
-    // Check if total parity is even (Edges + Corners permutation)
+    /**
+     * Corners and edges must be permuted with the same parity; a single swap of two pieces breaks it
+     * @returns {Object} - { invariant: 'permutationParity', valid, cornerParity, edgeParity, error }: each
+     *   parity is 0 (even) or 1 (odd); error if the pieces can't be read or one appears twice
+     */
     checkPermutationParity() {
-        // This is the "Swap Parity".
-        // If we can't fully map without complex logic, we rely on the Solver.
-        // BUT, we can do a quick sticker count check which we did above.
-        return true;
+        const cubies = this.toCubies();
+        const error = cubies.error || this.findDoubledPiece(cubies);
+        if (error) return { invariant: 'permutationParity', valid: false, cornerParity: null, edgeParity: null, error };
+
+        const cornerParity = permutationParity(cubies.cp);
+        const edgeParity = permutationParity(cubies.ep);
+        return { invariant: 'permutationParity', valid: cornerParity === edgeParity, cornerParity, edgeParity, error: null };
     }
 
-    // ... (Existing helpers below) ...
+    // === CUBIES ===
+
+    /**
+     * The stickers as face letters, each color read as the face whose center has it
+     * @returns {string|null} - 54 letters in URFDLB order; null if two centers share a color or a
+     *   sticker matches no center
+     */
+    toFacelets() {
+        const faces = {};
+        for (const face of FACE_ORDER) {
+            const color = this.state[face][4];
+            if (faces[color]) return null;
+            faces[color] = face;
+        }
+        const letters = FACE_ORDER.flatMap(face => this.state[face].map(color => faces[color]));
+        return letters.includes(undefined) ? null : letters.join('');
+    }
+
+    /**
+     * Paint the cube from face letters, each letter in the color its face's center has now
+     * @param {string} facelets - 54 letters in URFDLB order
+     * @returns {Object} - { success, error }
+     */
+    fromFacelets(facelets) {
+        if (!/^[URFDLB]{54}$/.test(facelets)) {
+            return { success: false, error: 'A facelet string is 54 letters, each one of U, R, F, D, L, B.' };
+        }
+        const colors = Object.fromEntries(FACE_ORDER.map(face => [face, this.state[face][4]]));
+        FACE_ORDER.forEach((face, f) => {
+            this.state[face] = [...facelets.slice(f * 9, f * 9 + 9)].map(letter => colors[letter]);
+        });
+        return { success: true, error: null };
+    }
+
+    /**
+     * The pieces in the shared cubie model (see faceletsToCubies), colors read by the centers
+     * @returns {Object} - { cp, co, ep, eo, error, slot }
+     */
+    toCubies() {
+        const facelets = this.toFacelets();
+        if (!facelets) {
+            return { cp: null, co: null, ep: null, eo: null, error: 'Every sticker must match exactly one center.', slot: null };
+        }
+        return faceletsToCubies(facelets);
+    }
+
+    /**
+     * Place the pieces in the colors of the current centers, so fromCubies(toCubies()) changes nothing
+     * @param {Object} cubies - { cp, co, ep, eo } as toCubies returns them
+     * @returns {Object} - { success, error }
+     */
+    fromCubies(cubies) {
+        const fits = (values, length, limit) => Array.isArray(values) && values.length === length &&
+            values.every(v => Number.isInteger(v) && v >= 0 && v < limit);
+        const { cp, co, ep, eo } = cubies;
+        if (!fits(cp, 8, 8) || !fits(co, 8, 3) || !fits(ep, 12, 12) || !fits(eo, 12, 2)) {
+            return { success: false, error: 'Cubies need cp and co for 8 corners, ep and eo for 12 edges.' };
+        }
+        return this.fromFacelets(cubiesToFacelets(cubies));
+    }
 
+    // Each piece's sticker colors, slot by slot in the shared cubie order (U/D sticker first)
     getEdges() {
-        const s = this.state;
-        return [
-            [s.U[1], s.B[1]], [s.U[3], s.L[1]], [s.U[5], s.R[1]], [s.U[7], s.F[1]],
-            [s.D[1], s.F[7]], [s.D[3], s.L[7]], [s.D[5], s.R[7]], [s.D[7], s.B[7]],
-            [s.F[3], s.L[5]], [s.F[5], s.R[3]], [s.B[3], s.R[5]], [s.B[5], s.L[3]]
-        ];
+        return EDGE_SLOTS.map(slot => slot.stickers.map(([face, index]) => this.state[face][index]));
     }
 
     getCorners() {
-        const s = this.state;
-        return [
-            [s.U[0], s.L[0], s.B[2]], [s.U[2], s.B[0], s.R[2]],
-            [s.U[6], s.F[0], s.L[2]], [s.U[8], s.R[0], s.F[2]],
-            [s.D[0], s.L[8], s.F[6]], [s.D[2], s.F[8], s.R[6]],
-            [s.D[6], s.B[8], s.L[6]], [s.D[8], s.R[8], s.B[6]]
-        ];
+        return CORNER_SLOTS.map(slot => slot.stickers.map(([face, index]) => this.state[face][index]));
     }
 }
 
@@ -0,0 +1,64 @@
+// MoveMetrics.js - Counts move sequences in the standard turn metrics
+//   - HTM (half turn): any face turn is 1, slice turns are 2 (two faces move)
+//   - QTM (quarter turn): half turns count 2, slice quarter turns 2, slice half turns 4
+//   - STM (slice turn): any face, wide or slice turn is 1
+//   - ETM (execution turn): every move is 1, cube rotations included
+// Cube rotations (x, y, z) count as 0 in every metric except ETM.
+import { parseAlgorithm } from './Notation.js';
+
+export const METRICS = ['HTM', 'QTM', 'STM', 'ETM'];
+
+export const METRIC_NAMES = {
+    HTM: 'Half Turn Metric',
+    QTM: 'Quarter Turn Metric',
+    STM: 'Slice Turn Metric',
+    ETM: 'Execution Turn Metric'
+};
+
+/**
+ * @param {string|string[]} moves - algorithm text (see Notation.js) or an array of move tokens
+ * @returns {Object} - { HTM, QTM, STM, ETM, error, position }; counts are 0 if the moves don't parse
+ */
+export function countMoves(moves) {
+    const counts = { HTM: 0, QTM: 0, STM: 0, ETM: 0, error: null, position: null };
+    const parsed = parseAlgorithm(Array.isArray(moves) ? moves.join(' ') : moves);
+    if (!parsed.success) {
+        return { ...counts, error: parsed.error, position: parsed.position };
+    }
+
+    for (const { type, amount } of parsed.moves) {
+        if (amount === 0) continue; // e.g. U4
+        const quarterTurns = amount === 2 ? 2 : 1;
+
+        counts.ETM += 1;
+        if (type === 'rotation') continue;
+        counts.STM += 1;
+        if (type === 'slice') {
+            counts.HTM += 2;
+            counts.QTM += 2 * quarterTurns;
+        } else {
+            counts.HTM += 1;
+            counts.QTM += quarterTurns;
+        }
+    }
+    return counts;
+}
+
+/**
+ * Metrics for each phase of a solution and for the whole thing
+ * @param {Array} phases - [{ name, moves }]
+ * @returns {Object} - { phases: [{ name, counts }], total: counts }
+ */
+export function measurePhases(phases) {
+    return {
+        phases: phases.map(phase => ({ name: phase.name, counts: countMoves(phase.moves) })),
+        total: countMoves(phases.flatMap(phase => phase.moves))
+    };
+}
+
+// "20 HTM · 26 QTM · 20 STM · 20 ETM"
+export function formatMetrics(counts, metrics = METRICS) {
+    return metrics.map(metric => `${counts[metric]} ${metric}`).join(' · ');
+}
+
+export default countMoves;
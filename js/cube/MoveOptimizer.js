@@ -0,0 +1,122 @@
+// MoveOptimizer.js - Shortens move sequences without changing what they do
+//   - Turns about the same axis commute (R, L and M; U, D and E; ...), so they are merged and
+//     cancelled even when they aren't adjacent: R L R' -> L, U D U2 D' -> U'
+//   - Each run of same-axis turns is written in a fixed order (U before D before E, ...)
+//   - Optionally, known longer subsequences are replaced by shorter ones: R M' -> r, r R' -> M'
+import { parseMoves, expandMove, formatMove } from './Notation.js';
+
+// Layers turning about each axis, in the order they are written
+const AXIS_LAYERS = {
+    x: ['R', 'L', 'M', 'r', 'l', 'x'],
+    y: ['U', 'D', 'E', 'u', 'd', 'y'],
+    z: ['F', 'B', 'S', 'f', 'b', 'z']
+};
+
+const LAYER_AXIS = {};
+const LAYER_ORDER = {};
+Object.entries(AXIS_LAYERS).forEach(([axis, layers]) => {
+    layers.forEach((layer, i) => {
+        LAYER_AXIS[layer] = axis;
+        LAYER_ORDER[layer] = i;
+    });
+});
+
+// A wide turn is the face turn plus the slice next to it: R M' -> r, L M -> l, ...
+// Written for a quarter turn; half and inverse turns scale with it.
+const KNOWN_SEQUENCES = ['r', 'l', 'u', 'd', 'f', 'b'].map(wide => ({
+    from: expandMove({ layer: wide, amount: 1 }),
+    to: wide
+}));
+
+/**
+ * @param {string|string[]} moves - algorithm text (see Notation.js) or an array of move tokens
+ * @param {Object} [options]
+ * @param {boolean} [options.replaceSequences] - also swap known subsequences for shorter ones
+ * @returns {string[]} - the optimized moves
+ * @throws {NotationError} if the moves don't parse
+ */
+export function optimizeMoves(moves, options = {}) {
+    return optimizePhases([{ moves }], options)[0].moves;
+}
+
+/**
+ * Optimizes a phased solution as one sequence, so moves also cancel across phase boundaries.
+ * Each remaining move stays in the earliest phase that contributed to it.
+ * @param {Array} phases - [{ name, moves, ... }]
+ * @param {Object} [options] - see optimizeMoves
+ * @returns {Array} - copies of the phases with optimized moves
+ */
+export function optimizePhases(phases, options = {}) {
+    // Each group is a run of turns about one axis: { axis, layers: Map(layer -> { amount, phase }) }
+    const groups = [];
+
+    phases.forEach((phase, phaseIdx) => {
+        for (const move of parseMoves(phase.moves)) {
+            if (move.amount === 0) continue;
+
+            const axis = LAYER_AXIS[move.layer];
+            let group = groups[groups.length - 1];
+            if (!group || group.axis !== axis) {
+                group = { axis, layers: new Map() };
+                groups.push(group);
+            }
+            addTurn(group, move.layer, move.amount, phaseIdx);
+
+            // A fully cancelled group lets its neighbours meet, e.g. R U U' R'
+            if (group.layers.size === 0) groups.pop();
+        }
+    });
+
+    const result = phases.map(phase => ({ ...phase, moves: [] }));
+    for (const group of groups) {
+        const layers = options.replaceSequences ? shortenGroup(group.layers) : group.layers;
+        [...layers.entries()]
+            .sort(([a, turnA], [b, turnB]) => turnA.phase - turnB.phase || LAYER_ORDER[a] - LAYER_ORDER[b])
+            .forEach(([layer, { amount, phase }]) => {
+                result[phase].moves.push(formatMove({ layer, amount }));
+            });
+    }
+    return result;
+}
+
+function addTurn(group, layer, amount, phase) {
+    const turn = group.layers.get(layer);
+    if (!turn) {
+        group.layers.set(layer, { amount, phase });
+        return;
+    }
+    turn.amount = (turn.amount + amount) % 4;
+    turn.phase = Math.min(turn.phase, phase);
+    if (turn.amount === 0) group.layers.delete(layer);
+}
+
+// Split wide turns into face + slice, then rebuild them from the known sequences;
+// this also finds things like r R' -> M'. Keeps the original if nothing got shorter.
+function shortenGroup(layers) {
+    const split = { layers: new Map() };
+    for (const [layer, { amount, phase }] of layers) {
+        const known = KNOWN_SEQUENCES.find(seq => seq.to === layer);
+        if (!known) {
+            addTurn(split, layer, amount, phase);
+            continue;
+        }
+        known.from.forEach(part => addTurn(split, part.layer, (part.amount * amount) % 4, phase));
+    }
+
+    for (const { from, to } of KNOWN_SEQUENCES) {
+        const [face, slice] = from.map(part => split.layers.get(part.layer));
+        if (!face || !slice) continue;
+        for (let k = 1; k <= 3; k++) {
+            if (face.amount === (from[0].amount * k) % 4 && slice.amount === (from[1].amount * k) % 4) {
+                split.layers.delete(from[0].layer);
+                split.layers.delete(from[1].layer);
+                addTurn(split, to, k, Math.min(face.phase, slice.phase));
+                break;
+            }
+        }
+    }
+
+    return split.layers.size < layers.size ? split.layers : layers;
+}
+
+export default optimizeMoves;
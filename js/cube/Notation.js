@@ -0,0 +1,243 @@
+// Notation.js - WCA / SiGN move notation
+//   - Face turns: U R F D L B
+//   - Wide turns: Rw or r (the face and the slice next to it)
+//   - Slices: M (turns like L), E (like D), S (like F)
+//   - Rotations: x (like R), y (like U), z (like F)
+//   - Suffixes: ' (inverse), 2, 3, ... (R3 = R', R2' = R2)
+//   - Repetition groups: (R U R' U')3, (R U)' for the inverse
+//   - Commutators [A, B] = A B A' B' and conjugates [A: B] = A B A'; they nest and take
+//     suffixes like groups: [R: [U, R']]2
+// Whitespace between moves is optional, so RUR'U' also parses.
+
+export class NotationError extends Error {
+    constructor(message, position) {
+        super(message);
+        this.name = 'NotationError';
+        this.position = position; // 0-based index into the text
+    }
+}
+
+// The basic layer turns (faces and slices) that make up each move, for a clockwise quarter turn
+const MOVE_LAYERS = {
+    U: [['U', 1]], R: [['R', 1]], F: [['F', 1]], D: [['D', 1]], L: [['L', 1]], B: [['B', 1]],
+    M: [['M', 1]], E: [['E', 1]], S: [['S', 1]],
+    r: [['R', 1], ['M', -1]], l: [['L', 1], ['M', 1]],
+    u: [['U', 1], ['E', -1]], d: [['D', 1], ['E', 1]],
+    f: [['F', 1], ['S', 1]], b: [['B', 1], ['S', -1]],
+    x: [['R', 1], ['M', -1], ['L', -1]],
+    y: [['U', 1], ['E', -1], ['D', -1]],
+    z: [['F', 1], ['S', 1], ['B', -1]]
+};
+
+const MAX_MOVES = 10000;
+const SUFFIXES = ['0', '', '2', "'"]; // by amount; U0 (from U4) does nothing
+const PRIMES = "'’′";
+
+/**
+ * Parse a single move, e.g. "R", "U2", "Rw'", "M2", "x'"
+ * @param {string} token
+ * @returns {Object|null} - { layer, type: 'face'|'wide'|'slice'|'rotation', amount: 0-3 clockwise
+ *   quarter turns }, null if the token isn't exactly one move. Wide turns use the SiGN letter (r, not Rw).
+ */
+export function parseMove(token) {
+    const parser = { text: token, pos: 0 };
+    const move = readMove(parser);
+    return move && parser.pos === token.length ? move : null;
+}
+
+/**
+ * Parse a whole algorithm, expanding repetition groups, commutators and conjugates
+ * @param {string} text
+ * @returns {Object} - { success, moves: object[], notation: string, error: string, position: 0-based
+ *   index of the problem }. notation is the compact form, tidied up: "[R,U]" -> "[R, U]"
+ */
+export function parseAlgorithm(text) {
+    const parser = { text, pos: 0 };
+    try {
+        const { moves, parts } = parseSequence(parser, null);
+        return { success: true, moves, notation: parts.join(' '), error: null, position: null };
+    } catch (e) {
+        if (!(e instanceof NotationError)) throw e;
+        return { success: false, moves: [], notation: '', error: e.message, position: e.position };
+    }
+}
+
+/**
+ * Whether an algorithm uses groups, commutators or conjugates, i.e. reads differently once expanded
+ * @param {string} text - algorithm text that parses
+ * @returns {boolean}
+ */
+export function isCompactAlgorithm(text) {
+    return /[()[\]]/.test(text);
+}
+
+/**
+ * Like parseAlgorithm, but throws a NotationError for bad input
+ * @param {string|string[]} moves - algorithm text or an array of move tokens
+ * @returns {object[]} - parsed moves
+ */
+export function parseMoves(moves) {
+    const result = parseAlgorithm(Array.isArray(moves) ? moves.join(' ') : moves);
+    if (!result.success) throw new NotationError(result.error, result.position);
+    return result.moves;
+}
+
+export function formatMove(move) {
+    return move.layer + SUFFIXES[move.amount];
+}
+
+export function formatMoves(moves) {
+    return moves.map(formatMove).join(' ');
+}
+
+export function invertMove(move) {
+    return { ...move, amount: (4 - move.amount) % 4 };
+}
+
+export function invertMoves(moves) {
+    return moves.slice().reverse().map(invertMove);
+}
+
+/**
+ * The face and slice turns a move is made of: r = R M', x = R M' L'
+ * @param {Object} move - parsed move
+ * @returns {Array} - [{ layer: one of URFDLBMES, amount: 0-3 }]
+ */
+export function expandMove(move) {
+    return MOVE_LAYERS[move.layer].map(([layer, direction]) => ({
+        layer,
+        amount: (direction * move.amount + 4) % 4
+    }));
+}
+
+// Reads moves up to the end of the text or the token that closes `open`:
+// ")" for a group, "," / ":" / "]" for a bracket. Returns the expanded moves and the
+// compact text of each item.
+function parseSequence(parser, open) {
+    const moves = [];
+    const parts = [];
+    for (;;) {
+        skipWhitespace(parser);
+        const { text, pos } = parser;
+
+        if (pos >= text.length) {
+            if (open) {
+                throw new NotationError(`Missing "${open.close}" for the "${open.char}" at position ${open.position + 1}`, open.position);
+            }
+            return { moves, parts };
+        }
+
+        const ch = text[pos];
+        if (ch === ')' || ch === ']' || ch === ',' || ch === ':') {
+            if (!open || !open.ends.includes(ch)) {
+                throw new NotationError(`Unexpected "${ch}" at position ${pos + 1}`, pos);
+            }
+            return { moves, parts };
+        }
+
+        if (ch === '(' || ch === '[') {
+            parser.pos++;
+            const group = ch === '(' ? parseGroup(parser, pos) : parseBracket(parser, pos);
+            const suffixStart = parser.pos;
+            const { count, inverse } = readSuffix(parser);
+            const body = inverse ? invertMoves(group.moves) : group.moves;
+            if (moves.length + body.length * count > MAX_MOVES) {
+                throw new NotationError(`The group at position ${pos + 1} expands to more than ${MAX_MOVES} moves`, pos);
+            }
+            if (body.length > 0) {
+                for (let i = 0; i < count; i++) moves.push(...body);
+            }
+            parts.push(group.text + text.slice(suffixStart, parser.pos));
+            continue;
+        }
+
+        const move = readMove(parser);
+        if (!move) {
+            throw new NotationError(`Unexpected "${ch}" at position ${pos + 1}`, pos);
+        }
+        if (moves.length >= MAX_MOVES) {
+            throw new NotationError(`Algorithm is longer than ${MAX_MOVES} moves`, pos);
+        }
+        moves.push(move);
+        parts.push(text.slice(pos, parser.pos));
+    }
+}
+
+// (A)
+function parseGroup(parser, position) {
+    const inner = parseSequence(parser, { char: '(', close: ')', ends: ')', position });
+    parser.pos++; // the ")"
+    return { moves: inner.moves, text: `(${inner.parts.join(' ')})` };
+}
+
+// [A, B] = A B A' B', [A: B] = A B A'
+function parseBracket(parser, position) {
+    const open = { char: '[', close: ']', position };
+    const first = parseSequence(parser, { ...open, ends: ',:]' });
+    const separator = parser.text[parser.pos];
+    if (separator === ']') {
+        throw new NotationError(`Expected "," (commutator) or ":" (conjugate) in the "[" at position ${position + 1}`, parser.pos);
+    }
+    parser.pos++;
+    const second = parseSequence(parser, { ...open, ends: ']' });
+    parser.pos++; // the "]"
+
+    const a = first.moves;
+    const b = second.moves;
+    const moves = separator === ','
+        ? [...a, ...b, ...invertMoves(a), ...invertMoves(b)]
+        : [...a, ...b, ...invertMoves(a)];
+    if (moves.length > MAX_MOVES) {
+        throw new NotationError(`The group at position ${position + 1} expands to more than ${MAX_MOVES} moves`, position);
+    }
+    const space = separator === ',' ? ', ' : ': ';
+    return { moves, text: `[${first.parts.join(' ')}${space}${second.parts.join(' ')}]` };
+}
+
+function readMove(parser) {
+    const { text, pos } = parser;
+    const letter = text[pos];
+    if (!letter || !MOVE_LAYERS[letter]) return null;
+
+    let layer = letter;
+    let type = 'face';
+    parser.pos++;
+    if ('URFDLB'.includes(letter) && text[parser.pos] === 'w') {
+        layer = letter.toLowerCase();
+        parser.pos++;
+    }
+
+    if ('xyz'.includes(layer)) type = 'rotation';
+    else if ('MES'.includes(layer)) type = 'slice';
+    else if (layer === layer.toLowerCase()) type = 'wide';
+
+    const { count, inverse } = readSuffix(parser);
+    const turns = count % 4;
+    return { layer, type, amount: inverse ? (4 - turns) % 4 : turns };
+}
+
+// A count and/or a prime, in either order: 2, ', 2', '2
+function readSuffix(parser) {
+    const { text } = parser;
+    let inverse = false;
+    if (PRIMES.includes(text[parser.pos] || '_')) {
+        inverse = true;
+        parser.pos++;
+    }
+
+    const start = parser.pos;
+    while (parser.pos < text.length && text[parser.pos] >= '0' && text[parser.pos] <= '9') parser.pos++;
+    const count = parser.pos > start ? parseInt(text.slice(start, parser.pos), 10) : 1;
+
+    if (!inverse && PRIMES.includes(text[parser.pos] || '_')) {
+        inverse = true;
+        parser.pos++;
+    }
+    return { count, inverse };
+}
+
+function skipWhitespace(parser) {
+    while (parser.pos < parser.text.length && /\s/.test(parser.text[parser.pos])) parser.pos++;
+}
+
+export default parseAlgorithm;
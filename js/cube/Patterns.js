@@ -0,0 +1,26 @@
+// Patterns.js - Well-known pretty patterns, used as targets for the solver
+// Every algorithm uses face turns only, so the centers stay put and the pattern
+// can be reached from any cube with the usual color scheme.
+import { CubeState } from './CubeState.js';
+
+export const PATTERNS = [
+    { id: 'checkerboard', name: 'Checkerboard', algorithm: 'U2 D2 F2 B2 L2 R2' },
+    { id: 'superflip', name: 'Superflip', algorithm: "U R2 F B R B2 R U2 L B2 R U' D' R2 F R' L B2 U2 F2" },
+    { id: 'six-spot', name: 'Six Spot', algorithm: "U D' R L' F B' U D'" },
+    { id: 'cube-in-cube', name: 'Cube in a Cube', algorithm: "F L F U' R U F2 L2 U' L' B D' B' L2 U" }
+];
+
+/**
+ * @param {string} id - one of PATTERNS
+ * @returns {Object|null} - the pattern's stickers { U: [9 colors], ... } (same format as a paint state)
+ */
+export function getPatternState(id) {
+    const pattern = PATTERNS.find(p => p.id === id);
+    if (!pattern) return null;
+
+    const cube = new CubeState();
+    cube.applyMoves(pattern.algorithm, false);
+    return cube.getState();
+}
+
+export default PATTERNS;
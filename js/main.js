@@ -4,22 +4,40 @@ import { CubeState } from './cube/CubeState.js';
 import { CubeRenderer } from './cube/CubeRenderer.js';
 import { Controls } from './ui/Controls.js';
 import { Tutorial } from './ui/Tutorial.js';
-import { Solver } from './solver/Solver.js';
+import { SolverService } from './solver/SolverService.js';
+import { countMoves, measurePhases, formatMetrics, METRIC_NAMES } from './cube/MoveMetrics.js';
+import { PATTERNS, getPatternState } from './cube/Patterns.js';
+import { parseBatchInput, batchToCSV, batchToJSON, formatBatchSummary, formatBin } from './solver/BatchReport.js';
+import { recognizeLastLayer } from './solver/LastLayerRecognizer.js';
+import { renderLastLayer } from './ui/LastLayerReadout.js';
 import soundManager from './audio/SoundManager.js';
 
+const STEP_HIGHLIGHT = 0xe8a54b; // Pieces the current solution step works on
+const CULPRIT_HIGHLIGHT = 0xff3b30; // Pieces that likely make a painted cube unsolvable
+
 class RubiksCubeApp {
     constructor() {
         this.cubeState = null;
         this.renderer = null;
         this.controls = null;
         this.tutorial = null;
-        this.solver = null;
+        this.solverService = null;
         this.currentTab = 'play';
         this.currentSolution = [];
         this.currentPhases = [];
         this.solutionIndex = 0;
+        this.highlightedStep = null; // "phase:step" whose pieces are highlighted while stepping
         this.paintHistory = [];
         this.currentPhaseIndex = 0;
+        this.solverMethod = 'kociemba';
+        this.solveTarget = null; // { name, state } to solve to instead of the solved cube
+        this.batchReport = null; // Last Solver.solveBatch result, for export
+        this.showingBadEdges = false; // ZZ: highlight edges that need an F/B quarter turn
+        this.colorNeutral = false; // CFOP, Roux, ZZ: try several bottom colors and keep the shortest
+        this.crossColors = ['W', 'Y', 'R', 'O', 'B', 'G']; // Bottom colors to try when color neutral
+        this.optimalTimeLimit = 30000; // ms
+        this.bestSoFar = null; // Best solution streamed by the optimal search
+        this.inferenceTimer = null; // Pending sticker inference, run once painting pauses
 
         // Session state preservation (resets on page refresh only)
         this.savedPlayState = null;      // Saved cube state for Play mode
@@ -40,11 +58,12 @@ class RubiksCubeApp {
     setup() {
         this.cubeState = new CubeState();
         this.renderer = new CubeRenderer('cube-container');
-        this.controls = new Controls(this.cubeState, this.renderer, (move) => {
-            this.onMove(move);
-        });
+        this.solverService = new SolverService();
+        this.controls = new Controls(this.cubeState, this.renderer,
+            (move) => this.onMove(move),
+            (options) => this.solverService.scramble(options),
+            (state, color) => this.solverService.findCrosses(state, color));
         this.tutorial = new Tutorial(this.cubeState, this.renderer);
-        this.solver = new Solver();
 
         this.setupTabs();
         this.setupSolverPanel();
@@ -80,27 +99,15 @@ class RubiksCubeApp {
         // Wait a moment for the renderer to be ready
         await this.delay(300);
 
-        // Generate a random scramble (15-20 moves)
-        const moves = ['U', 'D', 'R', 'L', 'F', 'B'];
-        const modifiers = ['', "'", '2'];
-        const scrambleLength = 15 + Math.floor(Math.random() * 6);
+        // Random-state, like the Scramble button; the first one waits for the solver tables
+        const result = await this.controls.getScramble();
 
-        let lastMove = '';
-        for (let i = 0; i < scrambleLength; i++) {
-            // Avoid same face twice in a row
-            let move;
-            do {
-                move = moves[Math.floor(Math.random() * moves.length)];
-            } while (move === lastMove);
+        // Leave the cube alone if it was turned, scrambled or painted in the meantime
+        if (this.currentTab !== 'play' || this.controls.isScrambling || !this.cubeState.isSolved()) return;
 
-            const modifier = modifiers[Math.floor(Math.random() * modifiers.length)];
-            const fullMove = move + modifier;
-
-            // Apply to state (instant, no animation for initial scramble)
-            this.cubeState.applyMove(fullMove);
-
-            lastMove = move;
-        }
+        // Apply to state (instant, no animation for initial scramble)
+        this.cubeState.scramble(result.scramble);
+        this.controls.showScramble(result);
 
         // Sync renderer with scrambled state
         this.renderer.syncWithState(this.cubeState);
@@ -148,6 +155,7 @@ class RubiksCubeApp {
         } else if (previousTab === 'solver') {
             // Save solver paint state  
             this.savedSolverPaintState = this.renderer.getPaintState();
+            this.setBadEdgesVisible(false);
         }
 
         if (tabName === 'solver') {
@@ -185,6 +193,52 @@ class RubiksCubeApp {
         this.updateViewportHint();
     }
 
+    // Solve to the solved cube, a pattern, or a cube painted earlier
+    setupTargetPicker() {
+        const picker = document.getElementById('target-picker');
+        if (!picker) return;
+
+        const paintedBtn = picker.querySelector('[data-target="painted"]');
+        PATTERNS.forEach(pattern => {
+            const btn = document.createElement('button');
+            btn.className = 'method-btn';
+            btn.dataset.target = pattern.id;
+            btn.title = pattern.algorithm;
+            btn.textContent = pattern.name;
+            picker.insertBefore(btn, paintedBtn);
+        });
+
+        picker.querySelectorAll('.method-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const id = btn.dataset.target;
+                if (id === 'painted') {
+                    // The cube as painted now becomes the target; paint the start state next
+                    const paintState = this.renderer.getPaintState();
+                    const unpainted = Object.values(paintState).flat().filter(c => c === 'U').length;
+                    if (unpainted > 0) {
+                        this.showToast(`Paint the whole target cube first. ${unpainted} stickers remaining.`, 'warning');
+                        return;
+                    }
+                    this.solveTarget = { name: 'the painted cube', state: paintState };
+                    this.showToast('Target saved. Now paint the cube you start from.', 'info');
+                } else if (id === 'solved') {
+                    this.solveTarget = null;
+                } else {
+                    const pattern = PATTERNS.find(p => p.id === id);
+                    this.solveTarget = { name: pattern.name, state: getPatternState(id) };
+                }
+
+                picker.querySelectorAll('.method-btn').forEach(b => b.classList.toggle('active', b === btn));
+                const status = document.getElementById('target-status');
+                if (status) status.textContent = `Solving to ${this.solveTarget ? this.solveTarget.name : 'the solved cube'}`;
+                this.clearSolution();
+
+                soundManager.init();
+                soundManager.playClickSound();
+            });
+        });
+    }
+
     // Restore a saved paint state to the renderer
     restorePaintState(paintState) {
         if (!paintState) return;
@@ -271,6 +325,7 @@ class RubiksCubeApp {
         const playSolutionBtn = document.getElementById('play-solution');
         const stepSolutionBtn = document.getElementById('step-solution');
         const undoPaintBtn = document.getElementById('undo-paint-btn');
+        const badEdgesBtn = document.getElementById('bad-edges-btn');
 
         // Enhanced color picker with counts
         document.querySelectorAll('.color-swatch-enhanced').forEach(swatch => {
@@ -286,6 +341,30 @@ class RubiksCubeApp {
             });
         });
 
+        // Solving method
+        document.querySelectorAll('#method-picker .method-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                document.querySelectorAll('#method-picker .method-btn').forEach(b => b.classList.remove('active'));
+                e.currentTarget.classList.add('active');
+                this.solverMethod = e.currentTarget.dataset.method;
+
+                // Bad edges only mean something for ZZ
+                const isZZ = this.solverMethod === 'zz';
+                if (badEdgesBtn) badEdgesBtn.style.display = isZZ ? '' : 'none';
+                if (!isZZ) this.setBadEdgesVisible(false);
+
+                // Only the methods that start on the bottom face can pick its color
+                const colorNeutralEl = document.getElementById('color-neutral');
+                if (colorNeutralEl) colorNeutralEl.style.display = ['cfop', 'roux', 'zz'].includes(this.solverMethod) ? '' : 'none';
+
+                soundManager.init();
+                soundManager.playClickSound();
+            });
+        });
+
+        this.setupColorNeutral();
+        this.setupTargetPicker();
+
         // Keyboard shortcuts for colors (1-6)
         document.addEventListener('keydown', (e) => {
             if (this.currentTab !== 'solver') return;
@@ -301,10 +380,24 @@ class RubiksCubeApp {
             }
         });
 
+        document.getElementById('practice-crosses-btn')?.addEventListener('click', () => this.practiceCrosses());
+
         if (solveBtn) {
             solveBtn.addEventListener('click', () => this.solveCube());
         }
 
+        const cancelSolveBtn = document.getElementById('cancel-solve-btn');
+        if (cancelSolveBtn) {
+            cancelSolveBtn.addEventListener('click', () => this.solverService.cancel());
+        }
+
+        this.setupBatchPanel();
+
+        const stressTestBtn = document.getElementById('stress-test-btn');
+        if (stressTestBtn) {
+            stressTestBtn.addEventListener('click', () => this.runStressTest());
+        }
+
         if (resetInputBtn) {
             resetInputBtn.addEventListener('click', () => {
                 this.renderer.resetCube(true);
@@ -312,6 +405,7 @@ class RubiksCubeApp {
                     this.onPaintSticker(face, idx, color, error);
                 });
                 this.paintHistory = [];
+                this.setBadEdgesVisible(false);
                 this.clearSolution();
                 this.updateColorCounts();
                 this.updateSolverStatus('Cube reset. Paint your cube state.', 'painting');
@@ -323,6 +417,33 @@ class RubiksCubeApp {
             undoPaintBtn.addEventListener('click', () => this.undoPaint());
         }
 
+        // Commutators and conjugates in the solution: compact or as plain moves
+        document.getElementById('expand-solution')?.addEventListener('change', () => {
+            if (this.currentPhases.length > 0) this.showSolution(this.currentSolution, this.currentPhases);
+        });
+
+        if (badEdgesBtn) {
+            badEdgesBtn.addEventListener('click', () => {
+                this.setBadEdgesVisible(!this.showingBadEdges);
+                if (this.showingBadEdges) {
+                    const paintState = this.renderer.getPaintState();
+                    const unpainted = Object.values(paintState).flat().filter(c => c === 'U').length;
+                    const result = this.solverService.findBadEdges(paintState);
+                    if (unpainted > 0) {
+                        this.showToast(`Bad edges will show once every sticker is painted. ${unpainted} remaining.`, 'info');
+                    } else if (!result.success) {
+                        this.showToast(result.error, 'warning');
+                    } else if (result.edges.length === 0) {
+                        this.showToast('All edges are oriented - no bad edges', 'info');
+                    } else {
+                        this.showToast(`${result.edges.length} bad edges: ${result.edges.map(e => e.name).join(', ')}`, 'info');
+                    }
+                }
+                soundManager.init();
+                soundManager.playClickSound();
+            });
+        }
+
         if (playSolutionBtn) {
             playSolutionBtn.addEventListener('click', () => this.playSolution());
         }
@@ -358,6 +479,7 @@ class RubiksCubeApp {
         });
 
         this.updateColorCounts();
+        this.updatePaintHighlights();
 
         if (navigator.vibrate) {
             navigator.vibrate(10);
@@ -414,9 +536,137 @@ class RubiksCubeApp {
             });
 
             this.updateColorCounts();
+            this.updatePaintHighlights();
+        }
+    }
+
+    setBadEdgesVisible(visible) {
+        this.showingBadEdges = visible;
+        const btn = document.getElementById('bad-edges-btn');
+        if (btn) {
+            btn.classList.toggle('active', visible);
+            btn.textContent = visible ? 'Hide Bad Edges' : 'Show Bad Edges';
+        }
+        this.updatePaintHighlights();
+    }
+
+    // Re-highlight after every paint: the likely culprits of an unsolvable cube, and ZZ bad edges if asked for.
+    // Nothing is shown until the cube is fully painted
+    updatePaintHighlights() {
+        this.renderer.clearHighlights();
+        this.updateDiagnosis();
+        this.scheduleInference();
+        if (!this.showingBadEdges) return;
+
+        const result = this.solverService.findBadEdges(this.renderer.getPaintState());
+        if (result.success) {
+            this.renderer.highlightStickers(result.edges.flatMap(e => e.stickers));
+        }
+    }
+
+    // An unsolvable painting gets its likely culprits named and highlighted, each with a one-click repaint
+    updateDiagnosis() {
+        const section = document.getElementById('diagnosis-section');
+        const diagnosisEl = document.getElementById('diagnosis');
+        if (!section || !diagnosisEl) return;
+
+        const diagnosis = this.currentTab === 'solver'
+            ? this.solverService.diagnoseState(this.renderer.getPaintState())
+            : null;
+        if (!diagnosis || !diagnosis.success || diagnosis.solvable) {
+            section.style.display = 'none';
+            diagnosisEl.innerHTML = '';
+            return;
+        }
+
+        section.style.display = '';
+        diagnosisEl.innerHTML = diagnosis.issues.map((issue, i) => `
+            <div class="diagnosis-issue">
+                <strong>${issue.message}</strong>
+                ${issue.culprits.map((culprit, j) => `
+                    <div class="diagnosis-culprit">
+                        <span>${j === 0 ? 'Likely' : 'Or'} the ${culprit.piece} at ${culprit.slot}</span>
+                        ${culprit.fix ? `<button class="action-btn diagnosis-fix" data-issue="${i}" data-culprit="${j}">${culprit.fix.label}</button>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+
+        diagnosisEl.querySelectorAll('.diagnosis-fix').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const { fix } = diagnosis.issues[btn.dataset.issue].culprits[btn.dataset.culprit];
+                this.paintStickers(fix.paints);
+                this.showToast(`Repainted ${fix.paints.length} stickers`, 'success');
+            });
+        });
+        this.renderer.highlightStickers(diagnosis.issues.flatMap(issue => issue.culprits.flatMap(c => c.stickers)), CULPRIT_HIGHLIGHT);
+    }
+
+    // Counting completions can take a few hundred ms on a sparsely painted cube, so wait for a pause in painting
+    scheduleInference() {
+        clearTimeout(this.inferenceTimer);
+        this.inferenceTimer = setTimeout(() => this.updateInference(), 150);
+    }
+
+    // A partly painted cube shows how many cubes it could still be, and can have its forced stickers filled in
+    updateInference() {
+        const section = document.getElementById('inference-section');
+        const statusEl = document.getElementById('inference-status');
+        const fillBtn = document.getElementById('fill-forced-btn');
+        if (!section || !statusEl || !fillBtn) return;
+
+        const paintState = this.renderer.getPaintState();
+        const unpainted = Object.values(paintState).flat().filter(c => c === 'U').length;
+        const inference = this.currentTab === 'solver' && unpainted > 0 && unpainted < 54
+            ? this.solverService.inferState(paintState)
+            : null;
+        if (!inference) {
+            section.style.display = 'none';
+            return;
+        }
+
+        section.style.display = '';
+        fillBtn.style.display = 'none';
+        if (!inference.success) {
+            statusEl.textContent = inference.error;
+        } else if (inference.completions === 0n) {
+            statusEl.textContent = 'No real cube matches these stickers. Check the ones painted so far.';
+        } else {
+            const cubes = inference.completions === 1n
+                ? 'only one possible cube'
+                : `${inference.completions.toLocaleString()} possible cubes`;
+            const forced = inference.forced.length;
+            statusEl.textContent = `${unpainted} stickers unpainted, ${cubes}. ` +
+                (forced > 0 ? `${forced} of them can only be one color.` : 'None of them is forced yet.');
+            if (forced > 0) {
+                fillBtn.style.display = '';
+                fillBtn.textContent = inference.completions === 1n ? 'Fill In the Rest' : `Fill ${forced} Forced Stickers`;
+                fillBtn.onclick = () => {
+                    this.paintStickers(inference.forced);
+                    this.showToast(`Filled in ${forced} stickers`, 'success');
+                };
+            }
         }
     }
 
+    // Repaint stickers as if clicked one by one, so Undo takes them back
+    paintStickers(paints) {
+        paints.forEach(({ face, index, color }) => {
+            this.paintHistory.push({ face, index, color, previousColor: this.renderer.paintState[face][index] });
+            this.renderer.paintState[face][index] = color;
+            this.renderer.cubies.forEach(cubie => {
+                const { x, y, z } = cubie.userData;
+                const faceInfo = this.getFaceFromPosition(face, index, x, y, z);
+                if (faceInfo.matches) {
+                    cubie.material[faceInfo.materialIndex].color.setHex(this.renderer.colors[color]);
+                }
+            });
+        });
+
+        this.updateColorCounts();
+        this.updatePaintHighlights();
+    }
+
     updateColorCounts() {
         const counts = this.renderer.getColorCounts();
         let totalPainted = 0;
@@ -456,10 +706,33 @@ class RubiksCubeApp {
             this.showToast('Too many of one color! Check color counts.', 'warning');
             this.updateSolverStatus(`Painted ${totalPainted}/54 stickers`, 'painting');
         } else if (allComplete) {
-            this.updateSolverStatus('✓ All colors complete! Click "Solve My Cube"', 'ready');
+            // Twisted corners, flipped edges and swapped pieces show up as soon as the last sticker is painted
+            const paintedCube = new CubeState();
+            paintedCube.setState(this.renderer.getPaintState());
+            const validation = paintedCube.getValidationErrors();
+            if (validation.valid) {
+                this.updateSolverStatus('✓ All colors complete! Click "Solve My Cube"', 'ready');
+            } else {
+                this.updateSolverStatus(`⚠ ${validation.errors[0]}`, 'painting');
+            }
         } else {
             this.updateSolverStatus(`Painted ${totalPainted}/54 stickers`, 'painting');
         }
+
+        this.updateSolverLastLayer(allComplete);
+    }
+
+    // Painted cubes with the first two layers done get their OLL / PLL case named
+    updateSolverLastLayer(allComplete) {
+        const section = document.getElementById('solver-last-layer-section');
+        const readoutEl = document.getElementById('solver-last-layer');
+        if (!section || !readoutEl) return;
+
+        section.style.display = allComplete ? '' : 'none';
+        if (allComplete) {
+            readoutEl.innerHTML = renderLastLayer(recognizeLastLayer(this.renderer.getPaintState()),
+                'The first two layers are not solved');
+        }
     }
 
     updateSolverStatus(message, state = '') {
@@ -508,9 +781,19 @@ class RubiksCubeApp {
             });
         });
 
+        // Missing stickers are fine as long as the painted ones pin down a single cube
         if (unpaintedCount > 0) {
-            this.showToast(`Please paint all stickers. ${unpaintedCount} remaining.`, 'warning');
-            return;
+            const inference = this.solverService.inferState(paintState);
+            if (!inference.success || inference.completions !== 1n) {
+                let reason = 'No real cube matches the painted stickers.';
+                if (!inference.success) reason = inference.error;
+                else if (inference.completions > 1n) reason = `They could still be ${inference.completions.toLocaleString()} different cubes.`;
+                this.showToast(`${unpaintedCount} stickers unpainted. ${reason}`, 'warning');
+                return;
+            }
+            this.paintStickers(inference.forced);
+            this.showToast(`Filled in the ${unpaintedCount} unpainted stickers`, 'info');
+            return this.solveCube();
         }
 
         // Apply to cube state
@@ -524,26 +807,52 @@ class RubiksCubeApp {
             return;
         }
 
-        if (tempCube.isSolved()) {
-            this.showSolution(['Already solved! 🎉'], []);
+        const target = this.solveTarget;
+        const atTarget = target
+            ? Object.keys(target.state).every(face => target.state[face].every((c, i) => paintState[face][i] === c))
+            : tempCube.isSolved();
+        if (atTarget) {
+            this.showSolution([target ? 'Already at the target! 🎉' : 'Already solved! 🎉'], []);
             return;
         }
 
+        // The highlighted stickers move away once the solution starts animating
+        this.setBadEdgesVisible(false);
+
         // Show loading overlay
         const loadingOverlay = document.getElementById('loading-overlay');
+        const optimal = this.solverMethod === 'optimal';
+        this.bestSoFar = null;
+        this.updateSolveProgress(null);
+        const cancelSolveBtn = document.getElementById('cancel-solve-btn');
+        if (cancelSolveBtn) cancelSolveBtn.textContent = optimal ? 'Stop & Use Best' : 'Cancel';
         if (loadingOverlay) loadingOverlay.classList.add('active');
 
         this.updateSolverStatus('Calculating solution...', 'solving');
 
-        // Allow UI to render loader
-        await this.delay(50);
-
         try {
-            // Get paint state and solve
-            const result = this.solver.solve(paintState);
+            // Solve in the background, streaming progress to the overlay
+            const result = await this.solverService.solve(paintState, (progress) => {
+                if (progress.stage === 'best') this.bestSoFar = progress.solution;
+                this.updateSolveProgress(progress);
+            }, { ...this.getSolveOptions(), target: target?.state });
 
             if (loadingOverlay) loadingOverlay.classList.remove('active');
 
+            if (result.cancelled) {
+                if (optimal && this.bestSoFar) {
+                    this.showBestSoFar(this.bestSoFar);
+                } else {
+                    this.updateSolverStatus('Solve cancelled', 'painting');
+                }
+                return;
+            }
+
+            if (!result.success && result.verification) {
+                this.showSolutionFailure(result.verification);
+                return;
+            }
+
             if (!result.success) {
                 this.showSolutionError(result.error || 'Could not find solution.');
                 this.updateSolverStatus('Solve failed - check cube state', 'painting');
@@ -551,7 +860,7 @@ class RubiksCubeApp {
             }
 
             if (result.solution.length === 0) {
-                this.showSolution(['Already solved! 🎉'], []);
+                this.showSolution([target ? 'Already at the target! 🎉' : 'Already solved! 🎉'], []);
                 return;
             }
 
@@ -561,7 +870,14 @@ class RubiksCubeApp {
             this.currentPhaseIndex = 0;
 
             this.showSolution(result.solution, result.phases);
-            this.updateSolverStatus(`Solution found: ${result.solution.length} moves`, 'ready');
+            this.showCrossComparison(result.colorNeutral);
+            if (result.optimal) {
+                this.updateSolverStatus(result.optimal.proven
+                    ? `Optimal solution: ${result.solution.length} moves (proven)`
+                    : `Best found: ${result.solution.length} moves (not proven optimal)`, 'ready');
+            } else {
+                this.updateSolverStatus(`Solution found: ${countMoves(result.solution).HTM} moves (HTM)`, 'ready');
+            }
 
             // Activate first phase
             this.updatePhaseIndicator(0, 'active');
@@ -573,39 +889,212 @@ class RubiksCubeApp {
         }
     }
 
+    // The painted cube goes to Play mode, where its crosses can be played and undone
+    practiceCrosses() {
+        const tempCube = new CubeState();
+        tempCube.setState(this.renderer.getPaintState());
+        const validation = tempCube.getValidationErrors();
+        if (!validation.valid) {
+            this.showToast(validation.errors[0] || 'Paint a valid cube first.', 'warning');
+            return;
+        }
+
+        this.switchTab('play');
+        this.controls.loadState(tempCube.getState());
+        this.controls.findCrosses();
+    }
+
+    // Options for every solve from the panel: method, optimal time limit and color neutrality
+    getSolveOptions() {
+        return {
+            method: this.solverMethod,
+            timeLimit: this.optimalTimeLimit,
+            crossColors: this.colorNeutral ? this.crossColors : null
+        };
+    }
+
+    setupColorNeutral() {
+        const toggle = document.getElementById('color-neutral-toggle');
+        const picker = document.getElementById('cross-colors');
+        if (!toggle || !picker) return;
+
+        picker.classList.toggle('disabled', !toggle.checked);
+        toggle.addEventListener('change', () => {
+            this.colorNeutral = toggle.checked;
+            picker.classList.toggle('disabled', !toggle.checked);
+        });
+
+        picker.querySelectorAll('.cross-color').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const color = btn.dataset.color;
+                const chosen = this.crossColors.includes(color);
+                // At least one color has to stay
+                if (chosen && this.crossColors.length === 1) return;
+                this.crossColors = chosen ? this.crossColors.filter(c => c !== color) : [...this.crossColors, color];
+                btn.classList.toggle('active', !chosen);
+                soundManager.init();
+                soundManager.playClickSound();
+            });
+        });
+    }
+
+    // Move counts for every bottom color a color-neutral solve tried, the chosen one marked
+    showCrossComparison(colorNeutral) {
+        const comparisonEl = document.getElementById('cross-comparison');
+        if (!comparisonEl) return;
+        if (!colorNeutral) {
+            comparisonEl.style.display = 'none';
+            comparisonEl.innerHTML = '';
+            return;
+        }
+
+        const hex = color => `#${this.renderer.colors[color].toString(16).padStart(6, '0')}`;
+        comparisonEl.style.display = 'flex';
+        comparisonEl.innerHTML = colorNeutral.candidates.map(c => `
+            <span class="cross-result${c.color === colorNeutral.color ? ' best' : ''}" title="${c.success ? `${c.name} on the bottom${c.rotation ? ` (${c.rotation})` : ''}` : c.error}">
+                <span class="cross-dot" style="--swatch-color: ${hex(c.color)}"></span>
+                ${c.success ? `${c.length} HTM` : 'failed'}
+            </span>
+        `).join('');
+    }
+
+    // Describe solver progress in the loading overlay (null resets it)
+    updateSolveProgress(progress) {
+        const statusEl = document.getElementById('loading-status');
+        const fillEl = document.getElementById('loading-progress-fill');
+
+        let message = 'Finding optimal moves';
+        let percent = 0;
+
+        if (progress) {
+            switch (progress.stage) {
+                case 'tables':
+                    message = `Preparing tables... ${progress.percent}%`;
+                    percent = progress.percent;
+                    break;
+                case 'search':
+                    // Method solvers (CFOP...) name their stage instead of numbering it
+                    message = typeof progress.phase === 'string'
+                        ? `Solving ${progress.phase}...`
+                        : `Searching phase ${progress.phase} at depth ${progress.depth}`;
+                    percent = 100;
+                    break;
+                case 'neutral':
+                    message = `Trying the ${new CubeState().getColorName(progress.color).toLowerCase()} bottom (${progress.done + 1} of ${progress.count})...`;
+                    percent = Math.round(progress.done / progress.count * 100);
+                    break;
+                case 'phase2':
+                    message = `Reached phase 2 after ${progress.phase1Length} moves`;
+                    percent = 100;
+                    break;
+                case 'solution':
+                    message = `Found ${progress.length} moves, looking for shorter...`;
+                    percent = 100;
+                    break;
+                case 'optimal':
+                    message = `Checking for ${progress.depth}-move solutions (best so far: ${progress.bestLength} moves)`;
+                    percent = 100;
+                    break;
+                case 'best':
+                    message = `Best so far: ${progress.solution.length} moves${progress.optimal ? ' (optimal)' : ''}`;
+                    percent = 100;
+                    break;
+                case 'batch':
+                    message = `Solved ${progress.done} of ${progress.count} cubes` +
+                        (progress.failed ? ` (${progress.failed} failed)` : '');
+                    percent = Math.round(progress.done / progress.count * 100);
+                    break;
+                case 'stress':
+                    message = `Solved ${progress.done} of ${progress.count} random cubes` +
+                        (progress.failed ? ` (${progress.failed} failed)` : '');
+                    percent = Math.round(progress.done / progress.count * 100);
+                    break;
+            }
+        }
+
+        if (statusEl) statusEl.textContent = message;
+        if (fillEl) fillEl.style.width = `${percent}%`;
+    }
+
+    // Show the best solution from an optimal search that was stopped early
+    showBestSoFar(moves) {
+        if (moves.length === 0) {
+            this.showSolution(['Already solved! 🎉'], []);
+            return;
+        }
+
+        this.currentSolution = moves;
+        this.currentPhases = [{
+            name: 'Best Found',
+            icon: '⏱️',
+            moves: [...moves],
+            description: 'Search stopped before optimality was proven'
+        }];
+        this.solutionIndex = 0;
+        this.currentPhaseIndex = 0;
+
+        this.showSolution(moves, this.currentPhases);
+        this.updateSolverStatus(`Best found: ${moves.length} moves (not proven optimal)`, 'ready');
+        this.updatePhaseIndicator(0, 'active');
+    }
+
     showSolution(moves, phases = []) {
         const solutionMoves = document.getElementById('solution-moves');
         const solutionControls = document.getElementById('solution-controls');
         const moveCount = document.getElementById('move-count');
+        const solutionMetrics = document.getElementById('solution-metrics');
         const phasesContainer = document.getElementById('solution-phases-container');
+        const hasMoves = moves.length > 0 && !moves[0].includes('🎉');
+        this.showCrossComparison(null);
 
-        // Update move count badge
+        // Update move count badge (HTM) and the full metrics line
+        const counts = countMoves(hasMoves ? moves : []);
         if (moveCount) {
-            if (moves.length > 0 && !moves[0].includes('🎉')) {
-                moveCount.textContent = `${moves.length} moves`;
-                moveCount.style.display = 'inline';
-            } else {
-                moveCount.style.display = 'none';
-            }
+            moveCount.textContent = `${counts.HTM} HTM`;
+            moveCount.title = METRIC_NAMES.HTM;
+            moveCount.style.display = hasMoves ? 'inline' : 'none';
         }
+        if (solutionMetrics) {
+            solutionMetrics.textContent = formatMetrics(counts);
+            solutionMetrics.style.display = hasMoves ? 'block' : 'none';
+        }
+
+        // The expand toggle only matters when some phase has a compact notation
+        const expandOption = document.getElementById('expand-solution-option');
+        const hasNotation = hasMoves && phases.some(phase => phase.notation);
+        const expand = document.getElementById('expand-solution')?.checked;
+        if (expandOption) expandOption.style.display = hasNotation ? '' : 'none';
 
         // Show phase-grouped solution if phases available
         if (phases && phases.length > 0 && phasesContainer) {
             phasesContainer.style.display = 'flex';
-            phasesContainer.innerHTML = phases.map((phase, idx) => `
+            const phaseMetrics = measurePhases(phases).phases;
+            phasesContainer.innerHTML = phases.map((phase, idx) => {
+                const phaseCounts = phaseMetrics[idx].counts;
+                let phaseMoves;
+                if (phase.notation && !expand) {
+                    phaseMoves = `<span class="phase-notation" title="${phase.moves.join(' ')}">${phase.notation}</span>`;
+                } else if (phase.steps) {
+                    phaseMoves = this.renderSteps(phase.steps);
+                } else {
+                    phaseMoves = phase.moves.map((m, mIdx) =>
+                        `<span class="solution-move" data-move-idx="${mIdx}">${m}</span>`
+                    ).join('');
+                }
+                return `
                 <div class="solution-phase" data-phase-idx="${idx}">
                     <div class="phase-header">
                         <span class="phase-icon">${phase.icon}</span>
                         <span class="phase-title">${phase.name}</span>
-                        <span class="phase-move-count">${phase.moves.length} moves</span>
+                        <span class="phase-move-count" title="${formatMetrics(phaseCounts)}">${phaseCounts.HTM} HTM</span>
                     </div>
                     <div class="phase-moves">
-                        ${phase.moves.map((m, mIdx) =>
-                `<span class="solution-move" data-move-idx="${mIdx}">${m}</span>`
-            ).join('')}
+                        ${phaseMoves}
                     </div>
+                    <div class="phase-metrics">${formatMetrics(phaseCounts)}</div>
                 </div>
-            `).join('');
+            `;
+            }).join('');
 
             // Hide simple moves display
             if (solutionMoves) {
@@ -629,6 +1118,217 @@ class RubiksCubeApp {
         }
     }
 
+    // One row per explained step: its moves, then what they achieve
+    renderSteps(steps) {
+        let offset = 0;
+        return `<div class="phase-steps">${steps.map((step, sIdx) => {
+            const moves = step.moves.map((m, i) =>
+                `<span class="solution-move" data-move-idx="${offset + i}">${m}</span>`
+            ).join('');
+            offset += step.moves.length;
+            const notation = step.notation ? ` <span class="step-notation">${step.notation}</span>` : '';
+            return `
+                <div class="solution-step" data-step-idx="${sIdx}">
+                    <div class="step-moves">${moves}</div>
+                    <div class="step-text">${step.text}${notation}</div>
+                </div>
+            `;
+        }).join('')}</div>`;
+    }
+
+    // Glow the pieces the current step works on; they keep glowing as they move into place
+    updateStepHighlight(phaseIdx, moveInPhase) {
+        const steps = this.currentPhases[phaseIdx]?.steps;
+        let stepIdx = -1;
+        if (steps) {
+            let end = 0;
+            stepIdx = steps.findIndex(step => moveInPhase < (end += step.moves.length));
+        }
+
+        const key = stepIdx >= 0 ? `${phaseIdx}:${stepIdx}` : null;
+        if (key === this.highlightedStep) return;
+        this.highlightedStep = key;
+
+        this.renderer.clearHighlights();
+        document.querySelectorAll('.solution-step').forEach(el => el.classList.remove('active'));
+        if (!key) return;
+
+        this.renderer.highlightStickers(steps[stepIdx].stickers, STEP_HIGHLIGHT);
+        const stepEl = document.querySelector(
+            `.solution-phase[data-phase-idx="${phaseIdx}"] .solution-step[data-step-idx="${stepIdx}"]`);
+        if (stepEl) {
+            stepEl.classList.add('active');
+            stepEl.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    }
+
+    clearStepHighlight() {
+        this.highlightedStep = null;
+        this.renderer.clearHighlights();
+        document.querySelectorAll('.solution-step').forEach(el => el.classList.remove('active'));
+    }
+
+    // A solution that didn't survive its replay is never shown; say which phase went wrong instead
+    showSolutionFailure(verification) {
+        this.clearSolution();
+        this.showSolutionError(verification.error);
+        this.updateSolverStatus('Solve failed - the solution did not check out', 'painting');
+
+        const solutionMoves = document.getElementById('solution-moves');
+        if (!solutionMoves) return;
+        const faces = [...new Set(verification.wrongStickers.map(s => s.face))];
+        solutionMoves.innerHTML = `
+            <div class="solution-failure">
+                <strong>Solution check failed${verification.phase ? ` in ${verification.phase}` : ''}</strong>
+                <span>${verification.error}</span>
+                <span class="failure-detail">The ${verification.solution.length}-move solution was discarded.${faces.length ? ` Wrong stickers were left on ${faces.join(', ')}.` : ''}</span>
+            </div>
+        `;
+    }
+
+    setupBatchPanel() {
+        const input = document.getElementById('batch-input');
+        const fileInput = document.getElementById('batch-file');
+        const solveBtn = document.getElementById('batch-solve-btn');
+        const csvBtn = document.getElementById('batch-csv-btn');
+        const jsonBtn = document.getElementById('batch-json-btn');
+
+        if (fileInput && input) {
+            fileInput.addEventListener('change', async () => {
+                const file = fileInput.files[0];
+                if (!file) return;
+                input.value = await file.text();
+                fileInput.value = '';
+            });
+        }
+        if (solveBtn) {
+            solveBtn.addEventListener('click', () => this.runBatch());
+        }
+
+        // File names carry the method and date, so reports from different runs can be compared
+        const fileName = (ext) => `batch-${this.batchReport.method}-${new Date().toISOString().slice(0, 10)}.${ext}`;
+        if (csvBtn) {
+            csvBtn.addEventListener('click', () => {
+                if (this.batchReport) this.downloadFile(fileName('csv'), batchToCSV(this.batchReport), 'text/csv');
+            });
+        }
+        if (jsonBtn) {
+            jsonBtn.addEventListener('click', () => {
+                if (this.batchReport) this.downloadFile(fileName('json'), batchToJSON(this.batchReport), 'application/json');
+            });
+        }
+    }
+
+    // Solve a pasted or loaded list of cubes and show the statistics
+    async runBatch() {
+        const input = document.getElementById('batch-input');
+        const lines = parseBatchInput(input ? input.value : '');
+        if (lines.length === 0) {
+            this.showToast('Paste or load some scrambles first, one per line.', 'warning');
+            return;
+        }
+
+        const loadingOverlay = document.getElementById('loading-overlay');
+        const cancelSolveBtn = document.getElementById('cancel-solve-btn');
+        if (cancelSolveBtn) cancelSolveBtn.textContent = 'Cancel';
+        this.updateSolveProgress(null);
+        if (loadingOverlay) loadingOverlay.classList.add('active');
+
+        const report = await this.solverService.solveBatch(lines.map(l => l.input),
+            (progress) => this.updateSolveProgress(progress), this.getSolveOptions());
+        if (loadingOverlay) loadingOverlay.classList.remove('active');
+        if (report.cancelled) return;
+
+        this.batchReport = report;
+        this.showBatchReport(report);
+    }
+
+    showBatchReport(report) {
+        const { summary } = report;
+        const container = document.getElementById('batch-report');
+        const summaryEl = document.getElementById('batch-summary');
+        const phasesEl = document.getElementById('batch-phases');
+        const histogramEl = document.getElementById('batch-histogram');
+        if (container) container.style.display = 'block';
+
+        if (summaryEl) {
+            summaryEl.classList.toggle('error', summary.failed > 0);
+            summaryEl.textContent = `${formatBatchSummary(summary)} · ${(summary.time.mean / 1000).toFixed(2)}s per solve`;
+            summaryEl.title = report.results.filter(r => !r.success).map(r => `${r.index + 1}: ${r.error}`).join('\n');
+        }
+        if (phasesEl) {
+            phasesEl.textContent = summary.phases.map(p => `${p.name} ${p.mean.toFixed(1)}`).join(' · ');
+        }
+        if (histogramEl) {
+            const most = Math.max(1, ...summary.histogram.map(bin => bin.count));
+            histogramEl.innerHTML = summary.histogram.map(bin => `
+                <div class="histogram-row" title="${bin.count} solves of ${formatBin(bin)} moves (HTM)">
+                    <span class="histogram-label">${formatBin(bin)}</span>
+                    <span class="histogram-track"><span class="histogram-bar" style="width: ${(bin.count / most * 100).toFixed(0)}%"></span></span>
+                    <span class="histogram-count">${bin.count || ''}</span>
+                </div>
+            `).join('');
+        }
+    }
+
+    downloadFile(name, text, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // Solve random cubes with the selected method, checking every solution
+    async runStressTest() {
+        const countInput = document.getElementById('stress-count');
+        const statusEl = document.getElementById('stress-status');
+        const failuresEl = document.getElementById('stress-failures');
+        const count = Math.max(1, Math.min(1000, parseInt(countInput?.value, 10) || 20));
+        if (countInput) countInput.value = count;
+
+        const loadingOverlay = document.getElementById('loading-overlay');
+        const cancelSolveBtn = document.getElementById('cancel-solve-btn');
+        if (cancelSolveBtn) cancelSolveBtn.textContent = 'Cancel';
+        this.updateSolveProgress(null);
+        if (loadingOverlay) loadingOverlay.classList.add('active');
+        if (failuresEl) failuresEl.innerHTML = '';
+        if (statusEl) {
+            statusEl.classList.remove('error');
+            statusEl.textContent = `Solving ${count} random cubes...`;
+        }
+
+        const result = await this.solverService.stressTest(count,
+            (progress) => this.updateSolveProgress(progress), this.getSolveOptions());
+        if (loadingOverlay) loadingOverlay.classList.remove('active');
+
+        if (result.cancelled) {
+            if (statusEl) statusEl.textContent = 'Stress test cancelled';
+            return;
+        }
+
+        const failed = result.failures.length;
+        if (statusEl) {
+            statusEl.classList.toggle('error', failed > 0);
+            statusEl.textContent = `${result.passed}/${result.count} solved correctly` +
+                (result.passed ? ` · ${result.averageLength.toFixed(1)} moves on average` : '') +
+                ` · ${(result.time / 1000).toFixed(1)}s`;
+        }
+        if (failuresEl) {
+            // The facelets reproduce a failing cube; the seed reproduces the whole run
+            failuresEl.innerHTML = result.failures.map(f =>
+                `<li title="${f.facelets}">Cube ${f.index + 1}: ${f.error}</li>`
+            ).join('');
+        }
+        if (failed > 0) {
+            console.warn(`Stress test (seed ${result.seed}): ${failed} failures`, result.failures);
+            this.showToast(`${failed} of ${result.count} solutions failed their check.`, 'error');
+        } else {
+            this.showToast(`All ${result.count} solutions check out.`, 'success');
+        }
+    }
+
     showSolutionError(message) {
         this.showToast(message, 'error');
     }
@@ -676,6 +1376,7 @@ class RubiksCubeApp {
         const solutionControls = document.getElementById('solution-controls');
         const phasesContainer = document.getElementById('solution-phases-container');
         const moveCount = document.getElementById('move-count');
+        const solutionMetrics = document.getElementById('solution-metrics');
 
         if (solutionMoves) {
             solutionMoves.style.display = 'block';
@@ -695,10 +1396,18 @@ class RubiksCubeApp {
             moveCount.style.display = 'none';
         }
 
+        if (solutionMetrics) {
+            solutionMetrics.style.display = 'none';
+        }
+
+        const expandOption = document.getElementById('expand-solution-option');
+        if (expandOption) expandOption.style.display = 'none';
+
         this.currentSolution = [];
         this.currentPhases = [];
         this.solutionIndex = 0;
         this.currentPhaseIndex = 0;
+        this.highlightedStep = null;
     }
 
     async playSolution() {
@@ -739,6 +1448,7 @@ class RubiksCubeApp {
                         if (idx === i) el.classList.add('current');
                     });
                 }
+                this.updateStepHighlight(phaseIdx, i);
 
                 // Play move sound
                 soundManager.init();
@@ -754,6 +1464,7 @@ class RubiksCubeApp {
         }
 
         this.solutionIndex = this.currentSolution.length;
+        this.clearStepHighlight();
         this.updateSolverStatus('Solution complete! 🎉', 'ready');
 
         // Play solved celebration sound
@@ -806,6 +1517,7 @@ class RubiksCubeApp {
                         if (idx === moveInPhase) el.classList.add('current');
                     });
                 }
+                this.updateStepHighlight(pIdx, moveInPhase);
 
                 // Mark previous phases complete
                 document.querySelectorAll('.solution-phase').forEach((el, idx) => {
@@ -831,6 +1543,7 @@ class RubiksCubeApp {
         if (remaining > 0) {
             this.updateSolverStatus(`${remaining} moves remaining`, 'solving');
         } else {
+            this.clearStepHighlight();
             this.updateSolverStatus('Solution complete! 🎉', 'ready');
             document.querySelectorAll('.phase-step').forEach(step => {
                 step.classList.remove('active');
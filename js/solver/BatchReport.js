@@ -0,0 +1,123 @@
+// BatchReport.js - Statistics for a batch of solves (see Solver.solveBatch), and CSV / JSON export
+// Used by the Solver panel and cli.js, so reports from either compare directly.
+import { METRICS } from '../cube/MoveMetrics.js';
+
+const MAX_BINS = 20;
+
+/**
+ * Split a pasted list or text file into cubes: one per line, blank lines and # comments skipped
+ * @param {string} text
+ * @returns {Array} - [{ line: 1-based line number, input }]
+ */
+export function parseBatchInput(text) {
+    return text.split(/\r?\n/)
+        .map((line, i) => ({ line: i + 1, input: line.replace(/#.*/, '').trim() }))
+        .filter(({ input }) => input);
+}
+
+// Phases of one kind share a name once the case is dropped: "OLL (Sune)" -> "OLL"
+export function phaseKey(name) {
+    return name.replace(/\s*\(.*\)$/, '');
+}
+
+/**
+ * @param {Array} results - Solver.solveBatch results
+ * @returns {Object} - { count, solved, failed, moves: { HTM: stats, ... }, time: stats (ms),
+ *   phases: [{ name, mean }], histogram: [{ min, max, count }] (HTM) }. stats is { mean, median, min, max }
+ */
+export function summarizeBatch(results) {
+    const solved = results.filter(r => r.success);
+    const moves = {};
+    METRICS.forEach(metric => {
+        moves[metric] = stats(solved.map(r => r.counts[metric]));
+    });
+
+    // Phase lengths in the order the phases come, averaged over the solves that have them
+    const phaseLengths = new Map();
+    solved.forEach(r => r.phases.forEach(({ name, length }) => {
+        const key = phaseKey(name);
+        if (!phaseLengths.has(key)) phaseLengths.set(key, []);
+        phaseLengths.get(key).push(length);
+    }));
+
+    // Bins are one move wide unless the lengths spread over more than MAX_BINS moves
+    const histogram = [];
+    if (solved.length > 0) {
+        const { min, max } = moves.HTM;
+        const width = Math.ceil((max - min + 1) / MAX_BINS);
+        for (let from = min; from <= max; from += width) {
+            const to = Math.min(from + width - 1, max);
+            const count = solved.filter(r => r.counts.HTM >= from && r.counts.HTM <= to).length;
+            histogram.push({ min: from, max: to, count });
+        }
+    }
+
+    return {
+        count: results.length,
+        solved: solved.length,
+        failed: results.length - solved.length,
+        moves,
+        time: { ...stats(results.map(r => r.time)), total: results.reduce((sum, r) => sum + r.time, 0) },
+        phases: [...phaseLengths].map(([name, lengths]) => ({ name, mean: stats(lengths).mean })),
+        histogram
+    };
+}
+
+/**
+ * One row per solve: input, solution, move counts, solve time, then the length of each phase
+ * @param {Object} report - Solver.solveBatch result
+ * @returns {string}
+ */
+export function batchToCSV(report) {
+    const phaseNames = report.summary.phases.map(p => p.name);
+    const header = ['index', 'input', 'success', 'solution', ...METRICS, 'time_ms', ...phaseNames, 'error'];
+    const rows = report.results.map(r => {
+        const phases = new Map(r.phases.map(p => [phaseKey(p.name), p.length]));
+        return [
+            r.index + 1,
+            r.input,
+            r.success,
+            r.solution,
+            ...METRICS.map(metric => r.success ? r.counts[metric] : ''),
+            r.time.toFixed(1),
+            ...phaseNames.map(name => phases.has(name) ? phases.get(name) : ''),
+            r.error || ''
+        ];
+    });
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+export function batchToJSON(report) {
+    return JSON.stringify(report, null, 2);
+}
+
+// "Solved 98/100 · 57.3 HTM mean · 56 median · 41-74"
+export function formatBatchSummary(summary) {
+    if (summary.solved === 0) return `Solved 0/${summary.count}`;
+    const { mean, median, min, max } = summary.moves.HTM;
+    return `Solved ${summary.solved}/${summary.count} · ${mean.toFixed(1)} HTM mean · ${median} median · ${min}-${max}`;
+}
+
+// "42" or "42-44"
+export function formatBin(bin) {
+    return bin.min === bin.max ? String(bin.min) : `${bin.min}-${bin.max}`;
+}
+
+function stats(values) {
+    if (values.length === 0) return { mean: 0, median: 0, min: 0, max: 0 };
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return {
+        mean: sorted.reduce((sum, v) => sum + v, 0) / sorted.length,
+        median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+        min: sorted[0],
+        max: sorted[sorted.length - 1]
+    };
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export default summarizeBatch;
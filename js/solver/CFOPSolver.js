@@ -0,0 +1,160 @@
+// CFOPSolver.js - Solves the way a speedcuber would: Cross, F2L, OLL, PLL
+//   - Cross: optimal (at most 8 moves) D-face cross from a pattern table
+//   - F2L: each corner/edge pair is searched directly; the shortest remaining pair goes next
+//   - OLL / PLL: full 57 + 21 algorithm sets (see LastLayerAlgorithms)
+// The cross is always built on D, so the standard last-layer algorithms apply as written.
+import { MOVE_NAMES } from './KociembaSolver.js';
+import { PatternTable, stateFromCubie, searchStage, applyMoves, lastMoveIndex, LAST_LAYER } from './PieceSearch.js';
+import { recognizeOLL, recognizePLL, getOLLName, getPLLName } from './LastLayerAlgorithms.js';
+
+const ALL_MOVES = MOVE_NAMES.map((_, m) => m);
+// D turns would break the cross
+const F2L_MOVES = ALL_MOVES.filter(m => Math.floor(m / 3) !== 3);
+
+// Cross edges DR, DF, DL, DB
+const CROSS_EDGES = [4, 5, 6, 7];
+
+// Each slot: its corner and middle-layer edge, plus the two cross edges next to it.
+// Tracking those cross edges makes the pair table also keep the cross intact.
+const SLOTS = [
+    { name: 'Front-Right', corner: 4, edge: 8, crossEdges: [4, 5] },  // DFR, FR
+    { name: 'Front-Left', corner: 5, edge: 9, crossEdges: [5, 6] },   // DLF, FL
+    { name: 'Back-Left', corner: 6, edge: 10, crossEdges: [6, 7] },   // DBL, BL
+    { name: 'Back-Right', corner: 7, edge: 11, crossEdges: [7, 4] }   // DRB, BR
+];
+
+const MAX_CROSS_DEPTH = 8;
+const MAX_PAIR_DEPTH = 14;
+
+export class CFOPSolver {
+    constructor() {
+        this.onProgress = null;
+        this.crossTable = null;
+        this.slotTables = null;
+    }
+
+    reportProgress(info) {
+        if (this.onProgress) this.onProgress(info);
+    }
+
+    hasTables() {
+        return this.crossTable !== null;
+    }
+
+    // A few seconds of breadth-first search; small enough not to need caching
+    initTables() {
+        if (this.hasTables()) return;
+
+        console.time('Init CFOP Tables');
+        this.reportProgress({ stage: 'tables', percent: 0, table: 'Cross' });
+        this.crossTable = new PatternTable([], CROSS_EDGES, ALL_MOVES).build();
+
+        this.slotTables = SLOTS.map((slot, i) => {
+            this.reportProgress({ stage: 'tables', percent: Math.round((i + 1) * 20), table: `F2L ${slot.name}` });
+            return new PatternTable([slot.corner], [...slot.crossEdges, slot.edge], F2L_MOVES).build();
+        });
+        this.reportProgress({ stage: 'tables', percent: 100, table: 'F2L' });
+        console.timeEnd('Init CFOP Tables');
+    }
+
+    /**
+     * @param {CubieCube} cube - a solvable cube
+     * @returns {Object} - { success, solution: string[], phases: object[], error }
+     */
+    solve(cube) {
+        this.initTables();
+
+        let state = stateFromCubie(cube);
+        const phases = [];
+        const addPhase = (phase) => {
+            phases.push(phase);
+            state = applyMoves(state, phase.moves);
+        };
+
+        // Cross
+        this.reportProgress({ stage: 'search', phase: 'Cross', depth: 0 });
+        const cross = searchStage(state, [this.crossTable], ALL_MOVES, { maxDepth: MAX_CROSS_DEPTH });
+        if (!cross) {
+            return { success: false, solution: [], phases: [], error: 'Could not find the cross.' };
+        }
+        addPhase({
+            name: 'Cross',
+            icon: '➕',
+            moves: cross,
+            description: 'Solving the four bottom edges',
+            targets: { corners: [], edges: CROSS_EDGES }
+        });
+
+        // F2L: of the unsolved pairs, insert whichever takes the fewest moves
+        const solvedSlots = [];
+        for (let n = 1; n <= SLOTS.length; n++) {
+            this.reportProgress({ stage: 'search', phase: `F2L ${n}`, depth: 0 });
+            const lastMove = lastMoveIndex(phases);
+
+            let best = null;
+            let bestSlot = -1;
+            for (let s = 0; s < SLOTS.length; s++) {
+                if (solvedSlots.includes(s)) continue;
+                const tables = [this.slotTables[s], ...solvedSlots.map(i => this.slotTables[i])];
+                const maxDepth = best ? best.length - 1 : MAX_PAIR_DEPTH;
+                const moves = searchStage(state, tables, F2L_MOVES, { maxDepth, lastMove });
+                if (moves && (!best || moves.length < best.length)) {
+                    best = moves;
+                    bestSlot = s;
+                    // Already solved, nothing can beat that
+                    if (best.length === 0) break;
+                }
+            }
+            if (!best) {
+                return { success: false, solution: [], phases: [], error: `Could not solve F2L pair ${n}.` };
+            }
+
+            solvedSlots.push(bestSlot);
+            addPhase({
+                name: `F2L ${n}`,
+                icon: '🧩',
+                moves: best,
+                description: `Pairing and inserting the ${SLOTS[bestSlot].name} corner and edge`,
+                targets: { corners: [SLOTS[bestSlot].corner], edges: [SLOTS[bestSlot].edge] }
+            });
+        }
+
+        // OLL
+        const oll = recognizeOLL(state);
+        if (!oll) {
+            return { success: false, solution: [], phases: [], error: 'Could not recognise the OLL case.' };
+        }
+        addPhase({
+            name: oll.case ? `OLL (${getOLLName(oll.case)})` : 'OLL (skip)',
+            icon: '🟨',
+            moves: oll.moves,
+            notation: oll.notation,
+            description: oll.case ? `Orienting the last layer: OLL ${oll.case.number}` : 'Last layer already oriented',
+            targets: LAST_LAYER
+        });
+
+        // PLL
+        const pll = recognizePLL(state);
+        if (!pll) {
+            return { success: false, solution: [], phases: [], error: 'Could not recognise the PLL case.' };
+        }
+        addPhase({
+            name: pll.case ? `PLL (${getPLLName(pll.case)})` : 'PLL (skip)',
+            icon: '✨',
+            moves: pll.moves,
+            notation: pll.notation,
+            description: pll.case ? `Permuting the last layer: ${getPLLName(pll.case)}` : 'Last layer only needs a final turn',
+            targets: LAST_LAYER
+        });
+
+        // Skips are kept as empty phases so the breakdown always shows every stage
+        return {
+            success: true,
+            solution: phases.flatMap(p => p.moves),
+            phases,
+            error: null
+        };
+    }
+}
+
+export default CFOPSolver;
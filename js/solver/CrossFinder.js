@@ -0,0 +1,100 @@
+// CrossFinder.js - Every optimal cross, and the shortest X-crosses, for inspection practice
+//   - Cross: the four bottom edges, at most 8 moves; every shortest solution is found
+//   - X-cross: the cross and one F2L pair in one go, tried for each of the four slots
+// Like CFOPSolver this works on D; other colors are rotated down first (see Solver.findCrosses).
+import { MOVE_NAMES } from './KociembaSolver.js';
+import { PatternTable, searchAll } from './PieceSearch.js';
+
+const ALL_MOVES = MOVE_NAMES.map((_, m) => m);
+
+// Cross edges DR, DF, DL, DB
+const CROSS_EDGES = [4, 5, 6, 7];
+
+// Each slot's corner and middle-layer edge, with the cross edges next to it (as in CFOPSolver)
+const SLOTS = [
+    { name: 'Front-Right', corner: 4, edge: 8, crossEdges: [4, 5] },  // DFR, FR
+    { name: 'Front-Left', corner: 5, edge: 9, crossEdges: [5, 6] },   // DLF, FL
+    { name: 'Back-Left', corner: 6, edge: 10, crossEdges: [6, 7] },   // DBL, BL
+    { name: 'Back-Right', corner: 7, edge: 11, crossEdges: [7, 4] }   // DRB, BR
+];
+
+const MAX_CROSS_DEPTH = 8;
+// A few X-crosses need more, but by then the plain cross plus a pair is just as good
+const MAX_XCROSS_DEPTH = 10;
+// Some crosses have dozens of optimal solutions; all are counted, but a practice list only shows the first few
+const MAX_SOLUTIONS = 12;
+
+export class CrossFinder {
+    constructor() {
+        this.onProgress = null;
+        this.crossTable = null;
+        this.pairTables = null;
+    }
+
+    reportProgress(info) {
+        if (this.onProgress) this.onProgress(info);
+    }
+
+    hasTables() {
+        return this.crossTable !== null;
+    }
+
+    // Each pair table also tracks the two cross edges beside its slot, so it never undercounts an X-cross
+    initTables() {
+        if (this.hasTables()) return;
+
+        this.reportProgress({ stage: 'tables', percent: 0, table: 'Cross' });
+        this.crossTable = new PatternTable([], CROSS_EDGES, ALL_MOVES).build();
+        this.pairTables = SLOTS.map((slot, i) => {
+            this.reportProgress({ stage: 'tables', percent: Math.round((i + 1) * 20), table: `X-cross ${slot.name}` });
+            return new PatternTable([slot.corner], [...slot.crossEdges, slot.edge], ALL_MOVES).build();
+        });
+        this.reportProgress({ stage: 'tables', percent: 100, table: 'X-cross' });
+    }
+
+    /**
+     * @param {Uint8Array} state - per-piece state (see PieceSearch)
+     * @returns {Object} - { cross: { length, total, truncated, solutions: string[][] }, xcross: { length,
+     *   total, truncated, solutions: [{ slot, moves: string[] }] } }. xcross.length is null if no X-cross is
+     *   within MAX_XCROSS_DEPTH. total counts every optimal solution; solutions keeps the first
+     *   MAX_SOLUTIONS, and truncated says whether that dropped any
+     */
+    find(state) {
+        this.initTables();
+
+        this.reportProgress({ stage: 'search', phase: 'Cross', depth: 0 });
+        const cross = searchAll(state, [this.crossTable], ALL_MOVES, { maxDepth: MAX_CROSS_DEPTH });
+
+        // Each slot is searched no deeper than the best slot so far
+        let best = null;
+        let xcrosses = [];
+        SLOTS.forEach((slot, s) => {
+            this.reportProgress({ stage: 'search', phase: `X-cross ${slot.name}`, depth: 0 });
+            const maxDepth = best ?? MAX_XCROSS_DEPTH;
+            const found = searchAll(state, [this.crossTable, this.pairTables[s]], ALL_MOVES, { maxDepth });
+            if (found.length === 0) return;
+
+            const length = found[0].length;
+            if (best === null || length < best) {
+                best = length;
+                xcrosses = [];
+            }
+            xcrosses.push(...found.map(moves => ({ slot: slot.name, moves })));
+        });
+
+        return {
+            cross: { length: cross.length > 0 ? cross[0].length : null, ...shortList(cross) },
+            xcross: { length: best, ...shortList(xcrosses) }
+        };
+    }
+}
+
+function shortList(solutions) {
+    return {
+        total: solutions.length,
+        truncated: solutions.length > MAX_SOLUTIONS,
+        solutions: solutions.slice(0, MAX_SOLUTIONS)
+    };
+}
+
+export default CrossFinder;
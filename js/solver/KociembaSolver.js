@@ -1,7 +1,22 @@
+// Pieces, facelets and orientation follow the cubie model in CubeState.js (corners URF, UFL, ... edges UR, UF, ...)
+import { faceletsToCubies, cubiesToFacelets, permutationParity } from '../cube/CubeState.js';
+
+// Rotate arr[left..right] one step to the left / right (used by the permutation coordinates)
+function rotateLeft(arr, left, right) {
+    const temp = arr[left];
+    for (let i = left; i < right; i++) arr[i] = arr[i + 1];
+    arr[right] = temp;
+}
+
+function rotateRight(arr, left, right) {
+    const temp = arr[right];
+    for (let i = right; i > left; i--) arr[i] = arr[i - 1];
+    arr[left] = temp;
+}
 
 // --- Helper: CubieCube ---
 // Represents cube state at the cubie level (Permutations & Orientations)
-class CubieCube {
+export class CubieCube {
     constructor() {
         // Corner Permutation (cp) and Orientation (co)
         this.cp = [0, 1, 2, 3, 4, 5, 6, 7];
@@ -11,6 +26,15 @@ class CubieCube {
         this.eo = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
     }
 
+    clone() {
+        const c = new CubieCube();
+        c.cp = [...this.cp];
+        c.co = [...this.co];
+        c.ep = [...this.ep];
+        c.eo = [...this.eo];
+        return c;
+    }
+
     // Multiply this * move
     multiply(move) {
         const newCube = new CubieCube();
@@ -27,6 +51,69 @@ class CubieCube {
         return newCube;
     }
 
+    // The cube that undoes this one: this * this.inverse() is solved
+    inverse() {
+        const inv = new CubieCube();
+        for (let i = 0; i < 8; i++) {
+            inv.cp[this.cp[i]] = i;
+            inv.co[this.cp[i]] = (3 - this.co[i]) % 3;
+        }
+        for (let i = 0; i < 12; i++) {
+            inv.ep[this.ep[i]] = i;
+            inv.eo[this.ep[i]] = this.eo[i];
+        }
+        return inv;
+    }
+
+    /**
+     * Build a CubieCube from a 54-character facelet string (face letters URFDLB)
+     * @param {string} facelets - e.g. "UUUUUUUUURRRRRRRRRFFFFFFFFFDDDDDDDDDLLLLLLLLLBBBBBBBBB"
+     * @returns {CubieCube}
+     */
+    static fromFacelets(facelets) {
+        if (typeof facelets !== 'string' || facelets.length !== 54) {
+            throw new Error('Facelet string must contain exactly 54 stickers.');
+        }
+
+        const cubies = faceletsToCubies(facelets);
+        if (cubies.error) {
+            throw new Error(cubies.error);
+        }
+
+        const cc = new CubieCube();
+        cc.cp = cubies.cp;
+        cc.co = cubies.co;
+        cc.ep = cubies.ep;
+        cc.eo = cubies.eo;
+        return cc;
+    }
+
+    // Inverse of fromFacelets
+    toFacelets() {
+        return cubiesToFacelets(this);
+    }
+
+    /**
+     * Check that this is a reachable cube state
+     * @returns {string|null} - error message, or null if solvable
+     */
+    verify() {
+        if (new Set(this.cp).size !== 8) return 'Some corner pieces appear more than once.';
+        if (new Set(this.ep).size !== 12) return 'Some edge pieces appear more than once.';
+        if (this.co.reduce((a, b) => a + b, 0) % 3 !== 0) return 'A corner is twisted.';
+        if (this.eo.reduce((a, b) => a + b, 0) % 2 !== 0) return 'An edge is flipped.';
+        if (this.getCornerParity() !== this.getEdgeParity()) return 'Two pieces are swapped (parity error).';
+        return null;
+    }
+
+    getCornerParity() {
+        return permutationParity(this.cp);
+    }
+
+    getEdgeParity() {
+        return permutationParity(this.ep);
+    }
+
     // --- Coordinate Methods ---
     getTwist() {
         let ret = 0;
@@ -64,46 +151,181 @@ class CubieCube {
         this.eo[11] = (2 - flipParity % 2) % 2;
     }
 
+    // Positions of the slice edges FR(8), FL(9), BL(10), BR(11), ignoring their order (0..494)
     getSlice() {
-        let ret = 0;
+        return Math.floor(this.getSliceSorted() / 24);
+    }
+
+    setSlice(slice) {
+        this.setSliceSorted(slice * 24);
+    }
+
+    // Positions and order of the slice edges (0..11879). Below 24 in phase 2.
+    getSliceSorted() {
+        let a = 0;
         let x = 0;
-        // Slice edges are FR(8), FL(9), BL(10), BR(11)
-        // Check positions of these edges
-        for (let i = 11; i >= 0; i--) {
-            if (this.ep[i] >= 8 && this.ep[i] <= 11) {
-                ret += Cnk(11 - i, x);
-                x++;
+        const edge4 = [];
+        for (let j = 11; j >= 0; j--) {
+            if (this.ep[j] >= 8) {
+                a += Cnk(11 - j, x + 1);
+                edge4[3 - x++] = this.ep[j];
             }
         }
-        return ret;
+        let b = 0;
+        for (let j = 3; j > 0; j--) {
+            let k = 0;
+            while (edge4[j] !== j + 8) {
+                rotateLeft(edge4, 0, j);
+                k++;
+            }
+            b = (j + 1) * b + k;
+        }
+        return 24 * a + b;
     }
 
-    setSlice(slice) {
-        let x = 4;
-        this.ep.fill(-1); // Mark all as empty
-        // Place slice edges
-        for (let i = 0; i < 12; i++) {
-            if (slice >= Cnk(11 - i, x)) {
-                slice -= Cnk(11 - i, x);
-                // Not a slice edge here
-            } else {
-                // Should be a slice edge
-                this.ep[i] = 8; // Placeholder, simplified logic (need exact permutation for phase 2 but phase 1 only cares about position)
-                x--;
-                // Correct logic for setSlice is slightly more involved to reconstruct original permutation, 
-                // but for Phase 1 we only need to know WHICH slots have slice edges.
-                // We mark slice slots with 8 (base slice index).
+    setSliceSorted(idx) {
+        const sliceEdge = [8, 9, 10, 11];
+        const otherEdge = [0, 1, 2, 3, 4, 5, 6, 7];
+        let b = idx % 24;
+        let a = Math.floor(idx / 24);
+
+        this.ep.fill(-1);
+        for (let j = 1; j < 4; j++) {
+            let k = b % (j + 1);
+            b = Math.floor(b / (j + 1));
+            while (k-- > 0) rotateRight(sliceEdge, 0, j);
+        }
+        let x = 3;
+        for (let j = 0; j < 12; j++) {
+            if (a - Cnk(11 - j, x + 1) >= 0) {
+                this.ep[j] = sliceEdge[3 - x];
+                a -= Cnk(11 - j, x-- + 1);
             }
         }
-        // Fill the rest with non-slice
-        let other = 0;
-        let sl = 8;
-        for (let i = 0; i < 12; i++) {
-            if (this.ep[i] === 8) {
-                this.ep[i] = sl++;
-            } else {
-                this.ep[i] = other++;
+        x = 0;
+        for (let j = 0; j < 12; j++) {
+            if (this.ep[j] === -1) this.ep[j] = otherEdge[x++];
+        }
+    }
+
+    // Full corner permutation as a Lehmer code (0..40319)
+    getCornerPerm() {
+        let idx = 0;
+        for (let i = 0; i < 8; i++) {
+            let smaller = 0;
+            for (let j = i + 1; j < 8; j++) {
+                if (this.cp[j] < this.cp[i]) smaller++;
             }
+            idx = idx * (8 - i) + smaller;
+        }
+        return idx;
+    }
+
+    setCornerPerm(idx) {
+        const digits = [];
+        for (let i = 7; i >= 0; i--) {
+            digits[i] = idx % (8 - i);
+            idx = Math.floor(idx / (8 - i));
+        }
+        const remaining = [0, 1, 2, 3, 4, 5, 6, 7];
+        for (let i = 0; i < 8; i++) {
+            this.cp[i] = remaining.splice(digits[i], 1)[0];
+        }
+    }
+
+    // Positions and order of the corners URF..DLF (0..20159)
+    getURFtoDLF() {
+        let a = 0;
+        let x = 0;
+        const corner6 = [];
+        for (let j = 0; j < 8; j++) {
+            if (this.cp[j] <= 5) {
+                a += Cnk(j, x + 1);
+                corner6[x++] = this.cp[j];
+            }
+        }
+        let b = 0;
+        for (let j = 5; j > 0; j--) {
+            let k = 0;
+            while (corner6[j] !== j) {
+                rotateLeft(corner6, 0, j);
+                k++;
+            }
+            b = (j + 1) * b + k;
+        }
+        return 720 * a + b;
+    }
+
+    setURFtoDLF(idx) {
+        const corner6 = [0, 1, 2, 3, 4, 5];
+        const otherCorner = [6, 7];
+        let b = idx % 720;
+        let a = Math.floor(idx / 720);
+
+        this.cp.fill(-1);
+        for (let j = 1; j < 6; j++) {
+            let k = b % (j + 1);
+            b = Math.floor(b / (j + 1));
+            while (k-- > 0) rotateRight(corner6, 0, j);
+        }
+        let x = 5;
+        for (let j = 7; j >= 0; j--) {
+            if (a - Cnk(j, x + 1) >= 0) {
+                this.cp[j] = corner6[x];
+                a -= Cnk(j, x-- + 1);
+            }
+        }
+        x = 0;
+        for (let j = 0; j < 8; j++) {
+            if (this.cp[j] === -1) this.cp[j] = otherCorner[x++];
+        }
+    }
+
+    // Positions and order of the edges UR..DF (0..665279). Below 20160 in phase 2.
+    getURtoDF() {
+        let a = 0;
+        let x = 0;
+        const edge6 = [];
+        for (let j = 0; j < 12; j++) {
+            if (this.ep[j] <= 5) {
+                a += Cnk(j, x + 1);
+                edge6[x++] = this.ep[j];
+            }
+        }
+        let b = 0;
+        for (let j = 5; j > 0; j--) {
+            let k = 0;
+            while (edge6[j] !== j) {
+                rotateLeft(edge6, 0, j);
+                k++;
+            }
+            b = (j + 1) * b + k;
+        }
+        return 720 * a + b;
+    }
+
+    setURtoDF(idx) {
+        const edge6 = [0, 1, 2, 3, 4, 5];
+        const otherEdge = [6, 7, 8, 9, 10, 11];
+        let b = idx % 720;
+        let a = Math.floor(idx / 720);
+
+        this.ep.fill(-1);
+        for (let j = 1; j < 6; j++) {
+            let k = b % (j + 1);
+            b = Math.floor(b / (j + 1));
+            while (k-- > 0) rotateRight(edge6, 0, j);
+        }
+        let x = 5;
+        for (let j = 11; j >= 0; j--) {
+            if (a - Cnk(j, x + 1) >= 0) {
+                this.ep[j] = edge6[x];
+                a -= Cnk(j, x-- + 1);
+            }
+        }
+        x = 0;
+        for (let j = 0; j < 12; j++) {
+            if (this.ep[j] === -1) this.ep[j] = otherEdge[x++];
         }
     }
 }
@@ -127,25 +349,18 @@ function Cnk(n, k) {
 }
 
 // Basic moves definitions (U, R, F, D, L, B)
+// cp[i] / ep[i] is the piece that moves INTO position i
 const basicMoves = [];
 (function initBasicMoves() {
     // U Move
     const U = new CubieCube();
     U.cp = [3, 0, 1, 2, 4, 5, 6, 7];
     U.co = [0, 0, 0, 0, 0, 0, 0, 0];
-    U.ep = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]; // Edges need correct permutation for U
-    // U: UB(3)->UR(0), UR(0)->UF(1), UF(1)->UL(2), UL(2)->UB(3)
-    U.ep[0] = 3; U.ep[1] = 0; U.ep[2] = 1; U.ep[3] = 2;
+    U.ep = [3, 0, 1, 2, 4, 5, 6, 7, 8, 9, 10, 11];
     basicMoves.push(U);
 
     // R Move
     const R = new CubieCube();
-    // R: URF(0)->UBR(3)->DRB(7)->DFR(4)
-    // Perm: 0->3, 3->7, 7->4, 4->0 (Wait, standard is src->dst index mapping)
-    // cp[i] is "which piece is at position i" or "where piece i went"?
-    // Standard Kociemba: cp[i] is content of corner i.
-    // URF(0) is now replaced by DFR(4). So cp[0] = 4.
-    // UBR(3) is replaced by URF(0). So cp[3] = 0.
     R.cp = [4, 1, 2, 0, 7, 5, 6, 3];
     R.co = [2, 0, 0, 1, 1, 0, 0, 2];
     R.ep = [8, 1, 2, 3, 11, 5, 6, 7, 4, 9, 10, 0];
@@ -176,21 +391,53 @@ const basicMoves = [];
     basicMoves.push(L);
 
     // B Move
+    // B Corners: UBR(3) <- DRB(7) <- DBL(6) <- ULB(2) <- UBR(3)
+    // B Edges: UB(3) <- BR(11) <- DB(7) <- BL(10) <- UB(3)
     const B = new CubieCube();
-    B.cp = [0, 1, 3, 7, 4, 5, 6, 2];
-    B.co = [0, 0, 1, 2, 0, 0, 0, 1];
-    B.ep = [0, 0, 2, 11, 4, 5, 6, 10, 8, 9, 3, 7]; // Wait, logic check
-    // B Edges: UB(3), BL(10), DB(7), BR(11) -> 3->10, 10->7, 7->11, 11->3
-    // ep[3]=11; ep[10]=3; ep[7]=10; ep[11]=7;
-    // B.ep array should be:
+    B.cp = [0, 1, 3, 7, 4, 5, 2, 6];
+    B.co = [0, 0, 1, 2, 0, 0, 2, 1];
     B.ep = [0, 1, 2, 11, 4, 5, 6, 10, 8, 9, 3, 7];
     B.eo = [0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 1, 1];
     basicMoves.push(B);
 })();
 
+// Turns: U, U2, U', R, R2, R', F, F2, F', D, D2, D', L, L2, L', B, B2, B'
+export const MOVE_NAMES = ['U', 'U2', "U'", 'R', 'R2', "R'", 'F', 'F2', "F'", 'D', 'D2', "D'", 'L', 'L2', "L'", 'B', 'B2', "B'"];
+
+// All 18 moves as CubieCubes, indexed like MOVE_NAMES
+export const MOVE_CUBES = [];
+for (const m of basicMoves) {
+    const m2 = m.multiply(m);
+    MOVE_CUBES.push(m, m2, m2.multiply(m));
+}
+
+// Same face twice, or opposite faces in non-canonical order
+// Axes: 0(U), 1(R), 2(F), 3(D), 4(L), 5(B)
+export function isRedundantMove(m, lastMove) {
+    if (lastMove === -1) return false;
+    const axis = Math.floor(m / 3);
+    const lastAxis = Math.floor(lastMove / 3);
+    if (axis === lastAxis) return true;
+    // Opposite faces commute: only allow U before D, R before L, F before B
+    return axis + 3 === lastAxis;
+}
+
+// Moves allowed in phase 2: U, U2, U', D, D2, D' and the half turns R2, F2, L2, B2
+const PHASE2_MOVES = [0, 1, 2, 4, 7, 9, 10, 11, 13, 16];
+
+// Last moves that may end a phase 1 solution (quarter turns of R, F, L, B).
+// Anything else would already be a phase 2 move, giving a shorter phase 1.
+const PHASE1_FINAL_MOVES = new Set([3, 5, 6, 8, 12, 14, 15, 17]);
+
+// Bump whenever a coordinate definition or move/pruning table layout changes,
+// so cached and pre-generated tables are rebuilt instead of silently misused
+export const TABLE_VERSION = 1;
+
 export class KociembaSolver {
     constructor() {
         this.timeout = 3000; // ms
+        this.maxLength = 22; // First pass only looks for solutions up to this length
+        this.maxNodes = 1000000; // Search budget for improving on the first solution found
 
         // --- CONSTANTS ---
         this.N_TWIST = 2187; // 3^7
@@ -199,42 +446,45 @@ export class KociembaSolver {
         this.N_FAR = 495;    // Same as slice
         this.N_URFtoDLF = 20160; // 8!/2!
         this.N_URtoDF = 20160; // 8!/2! (Phase 2 edges)
+        this.N_SLICE_SORTED = 24; // 4! (Phase 2 slice edge permutation)
+        this.N_PARITY = 2;
 
-        // Turns: U, U2, U', R, R2, R', F, F2, F', D, D2, D', L, L2, L', B, B2, B'
-        this.moves = ['U', 'U2', "U'", 'R', 'R2', "R'", 'F', 'F2', "F'", 'D', 'D2', "D'", 'L', 'L2', "L'", 'B', 'B2', "B'"];
-
-        this.moveCube = []; // All 18 moves as CubieCubes
-        this.initMoveCubes();
+        this.moves = MOVE_NAMES;
+        this.moveCube = MOVE_CUBES; // All 18 moves as CubieCubes
 
         // Tables
         this.twistMove = null;
         this.flipMove = null;
         this.sliceMove = null;
-        this.twistFlipPrun = null; // Pruning table for alignment
         this.sliceTwistPrun = null; // Heuristic for phase 1
         this.sliceFlipPrun = null;
 
         // Phase 2 Tables
+        this.URFtoDLFMove = null;
+        this.URtoDFMove = null;
+        this.sliceSortedMove = null;
+        this.parityMove = null;
+        this.sliceURFtoDLFParityPrun = null;
+        this.sliceURtoDFParityPrun = null;
+        this.phase1TablesInitialized = false;
         this.phase2TablesInitialized = false;
 
-        // Initialize Phase 1 tables immediately
-        this.initPhase1Tables();
+        // Optional progress callback: ({ stage, ... }) => void
+        // Tables are built lazily by solve() so their progress can be reported too
+        this.onProgress = null;
     }
 
-    initMoveCubes() {
-        // Generate all 18 moves
-        for (let i = 0; i < 6; i++) {
-            const m = basicMoves[i];
-            const m2 = m.multiply(m);
-            const m3 = m2.multiply(m);
-            this.moveCube.push(m);  // X
-            this.moveCube.push(m2); // X2
-            this.moveCube.push(m3); // X'
-        }
+    reportProgress(info) {
+        if (this.onProgress) this.onProgress(info);
+    }
+
+    // Phase 1 builds 5 tables, phase 2 builds 6
+    reportTableProgress(step, table) {
+        this.reportProgress({ stage: 'tables', percent: Math.round(step / 11 * 100), table });
     }
 
     initPhase1Tables() {
-        if (this.twistMove) return;
+        if (this.phase1TablesInitialized) return;
 
         console.time('Init Phase 1 Tables');
 
@@ -245,6 +495,7 @@ export class KociembaSolver {
             const res = c.multiply(this.moveCube[m]);
             return res.getTwist();
         });
+        this.reportTableProgress(1, 'Twist moves');
 
         this.flipMove = this.createMoveTable(this.N_FLIP, (i, m) => {
             const c = new CubieCube();
@@ -252,6 +503,7 @@ export class KociembaSolver {
             const res = c.multiply(this.moveCube[m]);
             return res.getFlip();
         });
+        this.reportTableProgress(2, 'Flip moves');
 
         this.sliceMove = this.createMoveTable(this.N_SLICE, (i, m) => {
             const c = new CubieCube();
@@ -259,69 +511,193 @@ export class KociembaSolver {
             const res = c.multiply(this.moveCube[m]);
             return res.getSlice();
         });
+        this.reportTableProgress(3, 'Slice moves');
 
         // 2. Pruning Tables
-        // Distance from solved state (0)
-        // Table size: N_SLICE * N_TWIST / 8 or full?
-        // JS Int8Array is efficient.
-        this.sliceTwistPrun = this.createPruningTable(this.N_SLICE * this.N_TWIST / 2 + 100);
-        this.initPruningTable(this.sliceTwistPrun, this.N_SLICE, this.N_TWIST, this.sliceMove, this.twistMove);
-
-        // Optional: SliceFlipPrun
+        // Distance from solved state (0), 4 bits per entry
+        this.sliceTwistPrun = this.createPruningTable(this.N_SLICE * this.N_TWIST);
+        this.initPruningTable(this.sliceTwistPrun, [
+            { size: this.N_SLICE, move: this.sliceMove },
+            { size: this.N_TWIST, move: this.twistMove }
+        ]);
+        this.reportTableProgress(4, 'Slice/twist pruning');
+
+        this.sliceFlipPrun = this.createPruningTable(this.N_SLICE * this.N_FLIP);
+        this.initPruningTable(this.sliceFlipPrun, [
+            { size: this.N_SLICE, move: this.sliceMove },
+            { size: this.N_FLIP, move: this.flipMove }
+        ]);
+        this.reportTableProgress(5, 'Slice/flip pruning');
+
+        this.phase1TablesInitialized = true;
         console.timeEnd('Init Phase 1 Tables');
     }
 
-    createMoveTable(size, logicFn) {
+    initPhase2Tables() {
+        if (this.phase2TablesInitialized) return;
+
+        console.time('Init Phase 2 Tables');
+
+        // 1. Move Tables (only phase 2 moves keep these coordinates in range)
+        this.URFtoDLFMove = this.createMoveTable(this.N_URFtoDLF, (i, m) => {
+            const c = new CubieCube();
+            c.setURFtoDLF(i);
+            return c.multiply(this.moveCube[m]).getURFtoDLF();
+        }, PHASE2_MOVES);
+        this.reportTableProgress(6, 'Corner permutation moves');
+
+        this.URtoDFMove = this.createMoveTable(this.N_URtoDF, (i, m) => {
+            const c = new CubieCube();
+            c.setURtoDF(i);
+            return c.multiply(this.moveCube[m]).getURtoDF();
+        }, PHASE2_MOVES);
+        this.reportTableProgress(7, 'Edge permutation moves');
+
+        this.sliceSortedMove = this.createMoveTable(this.N_SLICE_SORTED, (i, m) => {
+            const c = new CubieCube();
+            c.setSliceSorted(i);
+            return c.multiply(this.moveCube[m]).getSliceSorted();
+        }, PHASE2_MOVES);
+        this.reportTableProgress(8, 'Slice permutation moves');
+
+        // Quarter turns flip the permutation parity, half turns keep it
+        this.parityMove = this.createMoveTable(this.N_PARITY, (i, m) => {
+            return m % 3 === 1 ? i : 1 - i;
+        });
+        this.reportTableProgress(9, 'Parity moves');
+
+        // 2. Pruning Tables
+        this.sliceURFtoDLFParityPrun = this.createPruningTable(this.N_SLICE_SORTED * this.N_URFtoDLF * this.N_PARITY);
+        this.initPruningTable(this.sliceURFtoDLFParityPrun, [
+            { size: this.N_SLICE_SORTED, move: this.sliceSortedMove },
+            { size: this.N_URFtoDLF, move: this.URFtoDLFMove },
+            { size: this.N_PARITY, move: this.parityMove }
+        ], PHASE2_MOVES);
+        this.reportTableProgress(10, 'Corner permutation pruning');
+
+        this.sliceURtoDFParityPrun = this.createPruningTable(this.N_SLICE_SORTED * this.N_URtoDF * this.N_PARITY);
+        this.initPruningTable(this.sliceURtoDFParityPrun, [
+            { size: this.N_SLICE_SORTED, move: this.sliceSortedMove },
+            { size: this.N_URtoDF, move: this.URtoDFMove },
+            { size: this.N_PARITY, move: this.parityMove }
+        ], PHASE2_MOVES);
+        this.reportTableProgress(11, 'Edge permutation pruning');
+
+        this.phase2TablesInitialized = true;
+        console.timeEnd('Init Phase 2 Tables');
+    }
+
+    // Typed array length of every table, keyed by property name
+    getTableSizes() {
+        return {
+            twistMove: this.N_TWIST * 18,
+            flipMove: this.N_FLIP * 18,
+            sliceMove: this.N_SLICE * 18,
+            sliceTwistPrun: Math.ceil(this.N_SLICE * this.N_TWIST / 2),
+            sliceFlipPrun: Math.ceil(this.N_SLICE * this.N_FLIP / 2),
+            URFtoDLFMove: this.N_URFtoDLF * 18,
+            URtoDFMove: this.N_URtoDF * 18,
+            sliceSortedMove: this.N_SLICE_SORTED * 18,
+            parityMove: this.N_PARITY * 18,
+            sliceURFtoDLFParityPrun: Math.ceil(this.N_SLICE_SORTED * this.N_URFtoDLF * this.N_PARITY / 2),
+            sliceURtoDFParityPrun: Math.ceil(this.N_SLICE_SORTED * this.N_URtoDF * this.N_PARITY / 2)
+        };
+    }
+
+    hasTables() {
+        return this.phase1TablesInitialized && this.phase2TablesInitialized;
+    }
+
+    /**
+     * Build (if needed) and return all tables, e.g. for caching
+     * @returns {Object} - { tableName: Int16Array | Uint8Array }
+     */
+    getTables() {
+        this.initPhase1Tables();
+        this.initPhase2Tables();
+
+        const tables = {};
+        for (const name of Object.keys(this.getTableSizes())) {
+            tables[name] = this[name];
+        }
+        return tables;
+    }
+
+    /**
+     * Use previously built tables instead of generating them
+     * @param {Object} tables - as returned by getTables()
+     * @returns {boolean} - false (and nothing changed) if any table is missing or the wrong size
+     */
+    setTables(tables) {
+        const sizes = this.getTableSizes();
+        for (const [name, size] of Object.entries(sizes)) {
+            const table = tables[name];
+            const type = name.endsWith('Prun') ? Uint8Array : Int16Array;
+            if (!(table instanceof type) || table.length !== size) {
+                return false;
+            }
+        }
+
+        for (const name of Object.keys(sizes)) {
+            this[name] = tables[name];
+        }
+        this.phase1TablesInitialized = true;
+        this.phase2TablesInitialized = true;
+        return true;
+    }
+
+    // Entries for moves not in `allowedMoves` are left at -1
+    createMoveTable(size, logicFn, allowedMoves = null) {
         const table = new Int16Array(size * 18);
+        const moves = allowedMoves || [...Array(18).keys()];
+        if (allowedMoves) table.fill(-1);
         for (let i = 0; i < size; i++) {
-            for (let m = 0; m < 18; m++) {
+            for (const m of moves) {
                 table[i * 18 + m] = logicFn(i, m);
             }
         }
         return table;
     }
 
-    createPruningTable(size) {
-        return new Int8Array(size).fill(-1);
+    createPruningTable(entries) {
+        // 4 bits per entry, 0xF marks "not yet visited"
+        return new Uint8Array(Math.ceil(entries / 2)).fill(0xFF);
     }
 
-    // BFS to fill pruning table
-    initPruningTable(table, size1, size2, moveTable1, moveTable2) {
-        // Table index = idx1 * size2 + idx2
-        const total = size1 * size2;
-        table.fill(-1);
+    /**
+     * BFS from the solved state (all coordinates 0) to fill a pruning table
+     * @param {Uint8Array} table - 4-bit packed distances
+     * @param {Object[]} dims - [{ size, move }] coordinates combined into the table index
+     * @param {number[]} allowedMoves - move indices to expand with (defaults to all 18)
+     */
+    initPruningTable(table, dims, allowedMoves = null) {
+        const moves = allowedMoves || [...Array(18).keys()];
+        const total = dims.reduce((n, d) => n * d.size, 1);
+        const coords = new Array(dims.length);
 
         let depth = 0;
-        let visited = 0;
-
-        // Queue for BFS [idx1, idx2]
-        // To save memory/allocations in JS, we can use two arrays for current/next depth
+        let visited = 1;
         let currentLevel = [0]; // Starting state is always 0 (solved)
-
         this.setPruning(table, 0, 0);
-        visited++;
 
-        while (visited < total && depth < 12) { // Phase 1 max depth usually ~12
+        while (visited < total && currentLevel.length > 0) {
             const nextLevel = [];
 
             for (const packed of currentLevel) {
-                // Unpack
-                const idx1 = Math.floor(packed / size2);
-                const idx2 = packed % size2;
-
-                // Try all 18 moves
-                for (let m = 0; m < 18; m++) {
-                    const new1 = moveTable1[idx1 * 18 + m];
-                    const new2 = moveTable2[idx2 * 18 + m];
-                    const newPacked = new1 * size2 + new2;
-
-                    if (this.getPruning(table, newPacked) === 0xF) { // 0xF is -1 (unvisited) in 4-bit width? 
-                        // Wait, getPruning logic uses 4 bits. -1 cast to 4 bits is 15 (0xF).
-                        // Initialize table with -1 (0xFF in int8).
-                        // Let's ensure setPruning/getPruning treats -1 correctly.
-                        // Actually, I initialized with -1. 
-                        // table[i] >> ... & 0xF -> if byte is -1 (0xFF), then 0xF is correct.
+                // Unpack (last dimension varies fastest)
+                let rest = packed;
+                for (let d = dims.length - 1; d >= 0; d--) {
+                    coords[d] = rest % dims[d].size;
+                    rest = Math.floor(rest / dims[d].size);
+                }
 
+                for (const m of moves) {
+                    let newPacked = 0;
+                    for (let d = 0; d < dims.length; d++) {
+                        newPacked = newPacked * dims[d].size + dims[d].move[coords[d] * 18 + m];
+                    }
+
+                    if (this.getPruning(table, newPacked) === 0xF) {
                         this.setPruning(table, newPacked, depth + 1);
                         visited++;
                         nextLevel.push(newPacked);
@@ -336,122 +712,190 @@ export class KociembaSolver {
 
     getPruning(table, index) {
         // 4 bits per entry. index/2
-        const val = (table[index >> 1] >> ((index & 1) << 2)) & 0xF;
-        return val;
+        return (table[index >> 1] >> ((index & 1) << 2)) & 0xF;
     }
 
     setPruning(table, index, value) {
         const shift = (index & 1) << 2;
-        // Clear 4 bits
-        table[index >> 1] &= ~(0xF << shift);
-        // Set 4 bits
-        table[index >> 1] |= (value & 0xF) << shift;
+        // Clear 4 bits, then set them
+        table[index >> 1] = (table[index >> 1] & ~(0xF << shift)) | ((value & 0xF) << shift);
     }
 
-    // IDA* Search
-    phase1Search(cc) {
-        const twist = cc.getTwist();
-        const flip = cc.getFlip();
-        const slice = cc.getSlice();
+    isRedundant(m, lastMove) {
+        return isRedundantMove(m, lastMove);
+    }
 
-        const maxDepth = 12; // Phase 1 is typically max 12 moves
-        for (let depth = 0; depth <= maxDepth; depth++) {
-            this.solutionStack = [];
-            const found = this.search(twist, flip, slice, 0, depth, -1);
-            if (found) {
-                return this.solutionStack.join(' ');
+    // --- IDA* Search ---
+
+    phase1Search(twist, flip, slice, g, bound, lastMove) {
+        if (this.shouldStop()) return true;
+
+        const h = Math.max(
+            this.getPruning(this.sliceTwistPrun, slice * this.N_TWIST + twist),
+            this.getPruning(this.sliceFlipPrun, slice * this.N_FLIP + flip)
+        );
+        if (g + h > bound) return false;
+
+        // Goal: Twist=0, Flip=0, Slice=0 (pruning value is 0 only there)
+        if (h === 0) {
+            if (g === bound && (g === 0 || PHASE1_FINAL_MOVES.has(lastMove))) {
+                return this.phase2Start(lastMove);
             }
+            if (g === bound) return false;
         }
-        return null;
-    }
 
-    search(twist, flip, slice, g, bound, lastMove) {
-        // Heuristic
-        const splitIdx = slice * this.N_TWIST + twist;
-        const dist = this.getPruning(this.sliceTwistPrun, splitIdx);
+        for (let m = 0; m < 18; m++) {
+            if (this.isRedundant(m, lastMove)) continue;
+
+            this.solutionStack.push(m);
+            const found = this.phase1Search(
+                this.twistMove[twist * 18 + m],
+                this.flipMove[flip * 18 + m],
+                this.sliceMove[slice * 18 + m],
+                g + 1, bound, m
+            );
+            this.solutionStack.pop();
+            if (found) return true;
+        }
+        return false;
+    }
 
-        const h = dist === 15 ? 0 : dist;
+    // Run phase 2 from the state reached by the current phase 1 moves.
+    // Returns true when the search should stop.
+    phase2Start(lastMove) {
+        const depth1 = this.solutionStack.length;
+        let cc = this.cube;
+        for (const m of this.solutionStack) {
+            cc = cc.multiply(this.moveCube[m]);
+        }
 
-        const f = g + h;
-        if (f > bound) return false;
+        const urfToDlf = cc.getURFtoDLF();
+        const urToDf = cc.getURtoDF();
+        const sliceSorted = cc.getSliceSorted();
+        const parity = cc.getCornerParity();
 
-        // Check for goal: Twist=0, Flip=0, Slice=0
-        // Wait, standard Kociemba Phase 1 goal is just Twist=0, Flip=0, Slice=0
-        if (twist === 0 && flip === 0 && slice === 0) {
-            return true;
+        if (!this.phase2Reached) {
+            this.phase2Reached = true;
+            this.reportProgress({ stage: 'phase2', phase1Length: depth1 });
         }
 
-        // Generate moves
-        for (let m = 0; m < 18; m++) {
-            // Pruning: Don't do inverse of last move, nor same axis twice
-            // Moves: 0-2 (U), 3-5 (R), 6-8 (F), 9-11 (D), 12-14 (L), 15-17 (B)
-            if (lastMove !== -1) {
-                const axis = Math.floor(m / 3);
-                const lastAxis = Math.floor(lastMove / 3);
-                if (axis === lastAxis) continue;
-                // Specific Commutativity: U D is allowed, D U is not (enforces canonical order)
-                // Axes: 0(U), 1(R), 2(F), 3(D), 4(L), 5(B)
-                // Canonical: 0,3 (U,D) -> 3 before 0 disallowed? No, just avoid duplicates.
-                // Standard: if axis == lastAxis, skip.
-                // If symmetric axis (U/D, F/B, R/L), enforce order: e.g., only U then D, never D then U.
-                if (axis === 3 && lastAxis === 0) continue; // D then U -> skip (do U then D)
-                if (axis === 5 && lastAxis === 2) continue; // B then F -> skip
-                if (axis === 4 && lastAxis === 1) continue; // L then R -> skip
+        // Only accept solutions shorter than the best so far (phase 2 never needs more than 18)
+        const limit = Math.min((this.best ? this.best.length - 1 : this.lengthLimit) - depth1, 18);
+        for (let depth2 = 0; depth2 <= limit; depth2++) {
+            this.phase2Stack = [];
+            if (this.phase2Search(urfToDlf, urToDf, sliceSorted, parity, 0, depth2, lastMove)) {
+                const moves = [...this.solutionStack, ...this.phase2Stack];
+                this.best = {
+                    length: moves.length,
+                    phase1: this.solutionStack.map(m => this.moves[m]),
+                    phase2: this.phase2Stack.map(m => this.moves[m])
+                };
+                this.reportProgress({ stage: 'solution', length: moves.length });
+                break;
             }
+        }
+        return this.shouldStop();
+    }
 
-            const nTwist = this.twistMove[twist * 18 + m];
-            const nFlip = this.flipMove[flip * 18 + m];
-            const nSlice = this.sliceMove[slice * 18 + m];
-
-            this.solutionStack.push(this.moves[m]);
-            if (this.search(nTwist, nFlip, nSlice, g + 1, bound, m)) {
+    phase2Search(urfToDlf, urToDf, sliceSorted, parity, g, bound, lastMove) {
+        const h = Math.max(
+            this.getPruning(this.sliceURFtoDLFParityPrun, (sliceSorted * this.N_URFtoDLF + urfToDlf) * 2 + parity),
+            this.getPruning(this.sliceURtoDFParityPrun, (sliceSorted * this.N_URtoDF + urToDf) * 2 + parity)
+        );
+        if (g + h > bound) return false;
+        if (h === 0) return true; // Both tables are 0 only at the solved state
+
+        for (const m of PHASE2_MOVES) {
+            if (this.isRedundant(m, lastMove)) continue;
+
+            this.phase2Stack.push(m);
+            if (this.phase2Search(
+                this.URFtoDLFMove[urfToDlf * 18 + m],
+                this.URtoDFMove[urToDf * 18 + m],
+                this.sliceSortedMove[sliceSorted * 18 + m],
+                this.parityMove[parity * 18 + m],
+                g + 1, bound, m
+            )) {
                 return true;
             }
-            this.solutionStack.pop();
+            this.phase2Stack.pop();
         }
         return false;
     }
 
-    // Replaced logic helpers with inline in initPhase1Tables
+    // Once a solution exists, keep improving it until the node budget or the timeout runs out
+    shouldStop() {
+        if (this.stopped) return true;
+        if (!this.best) return false;
+        if ((++this.nodeCount & 0x3FF) === 0 && Date.now() > this.deadline) {
+            this.stopped = true;
+        }
+        if (this.nodeCount > this.maxNodes) {
+            this.stopped = true;
+        }
+        return this.stopped;
+    }
 
-    // Placeholder for toCubieCube - this method would convert facelets to a CubieCube object
-    // It's assumed to be implemented elsewhere or will be added.
+    // Convert a facelet string (face letters URFDLB, as produced by Solver.toFaceletString) to a CubieCube
     toCubieCube(facelets) {
-        // Example placeholder implementation:
-        // In a real scenario, this would parse the facelets string/array
-        // and construct a CubieCube instance.
-        // For now, let's assume it returns a solved cube or throws an error for invalid input.
-        // This is a critical part that needs proper implementation based on facelet representation.
-        // For the purpose of this edit, we'll assume it exists and works.
-        // If facelets is a string, it might look like "UUUUUUUUURRRRRRRRRFFFFFFFFFDDDDDDDDDLLLLLLLLLBBBBBBBBB"
-        // This would need to be mapped to corner and edge permutations/orientations.
-
-        // For now, let's return a solved cube for demonstration or throw an error if not implemented.
-        // throw new Error("toCubieCube method not implemented for KociembaSolver.");
-        return new CubieCube(); // Assuming a solved cube for now, or a proper implementation exists.
+        return CubieCube.fromFacelets(facelets);
     }
 
+    /**
+     * Two-phase solve
+     * @param {string} facelets - 54 face letters in URFDLB order
+     * @returns {Object} - { success, solution: string, phase1: string[], phase2: string[], error }
+     */
     solve(facelets) {
         if (!this.phase1TablesInitialized) {
             this.initPhase1Tables();
         }
+        if (!this.phase2TablesInitialized) {
+            this.initPhase2Tables();
+        }
 
         try {
             const cc = this.toCubieCube(facelets);
-            // Phase 1 Search
-            const phase1 = this.phase1Search(cc);
-
-            if (phase1) {
-                console.log("Kociemba Phase 1 Solved:", phase1);
-                // TODO: Implement Phase 2 search.
-                // Phase 2 involves solving the cube from the reduced state (Twist=0, Flip=0, Slice=0)
-                // using only U, D, R2, L2, F2, B2 moves.
-                // Since Phase 2 is not yet implemented, we cannot return this as a full solution
-                // because the cube is not solved, only reduced.
-                // We return a specific message to let Solver.js know we did our best but need fallback.
-                return { success: false, solution: phase1, error: "Phase 2 not implemented" };
+            const error = cc.verify();
+            if (error) {
+                return { success: false, solution: null, error };
             }
-            return { success: false, solution: null, error: "Phase 1 search failed" };
+
+            this.cube = cc;
+            this.best = null;
+            this.nodeCount = 0;
+            this.stopped = false;
+            this.deadline = Date.now() + this.timeout;
+            this.solutionStack = [];
+            this.phase2Reached = false;
+
+            const twist = cc.getTwist();
+            const flip = cc.getFlip();
+            const slice = cc.getSlice();
+
+            // Relax the length limit until something is found (practically never needed past 22)
+            for (this.lengthLimit = this.maxLength; !this.best; this.lengthLimit += 2) {
+                // Phase 1 is at most 12 moves, and can't be longer than the best full solution
+                for (let depth = 0; depth <= 12; depth++) {
+                    if (this.best && depth >= this.best.length) break;
+                    this.reportProgress({ stage: 'search', phase: 1, depth });
+                    if (this.phase1Search(twist, flip, slice, 0, depth, -1)) break;
+                }
+            }
+
+            if (!this.best) {
+                return { success: false, solution: null, error: 'Search failed' };
+            }
+
+            const moves = [...this.best.phase1, ...this.best.phase2];
+            console.log(`Kociemba solved in ${moves.length} moves (${this.best.phase1.length} + ${this.best.phase2.length})`);
+            return {
+                success: true,
+                solution: moves.join(' '),
+                phase1: this.best.phase1,
+                phase2: this.best.phase2,
+                error: null
+            };
         } catch (e) {
             console.error("Kociemba Error", e);
             return { success: false, solution: null, error: e.message };
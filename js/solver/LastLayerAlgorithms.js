@@ -0,0 +1,365 @@
+// LastLayerAlgorithms.js - OLL/PLL/CMLL/COLL algorithm sets and last-layer case recognition
+// Algorithms are written with face turns only (wide and slice moves rewritten) so every
+// step can be animated by the renderer. Numbers and names follow the usual speedcubing charts;
+// the ones that are commutators or conjugates are written that way (see Notation.js).
+import { MOVE_NAMES } from './KociembaSolver.js';
+import { applyMove, STATE_SIZE } from './PieceSearch.js';
+import { parseMoves, formatMove, isCompactAlgorithm } from '../cube/Notation.js';
+
+// All 57 OLL cases, named by shape group
+export const OLL_CASES = [
+    { number: 1, name: 'Dot', algorithm: "R U2 R2 F R F' U2 R' F R F'" },
+    { number: 2, name: 'Dot', algorithm: "[F: [R, U]] [B: [U, L]]" },
+    { number: 3, name: 'Dot', algorithm: "[B: [U, L]] U' [F: [R, U]]" },
+    { number: 4, name: 'Dot', algorithm: "[B: [U, L]] U [F: [R, U]]" },
+    { number: 5, name: 'Square', algorithm: "L' B2 R B R' B L" },
+    { number: 6, name: 'Square', algorithm: "L F2 R' F' R F' L'" },
+    { number: 7, name: 'Small Lightning', algorithm: "L F R' F R F2 L'" },
+    { number: 8, name: 'Small Lightning', algorithm: "R' F' L F' L' F2 R" },
+    { number: 9, name: 'Fish', algorithm: "R U R' U' R' F R2 U R' U' F'" },
+    { number: 10, name: 'Fish', algorithm: "R U R' U R' F R F' R U2 R'" },
+    { number: 11, name: 'Small Lightning', algorithm: "L F R' F R' D R D' R F2 L'" },
+    { number: 12, name: 'Small Lightning', algorithm: "R' L R' F' R F' R' F2 R F' R L'" },
+    { number: 13, name: 'Knight Move', algorithm: "F U R U' R2 F' R U R U' R'" },
+    { number: 14, name: 'Knight Move', algorithm: "R' F R U R' F' R F U' F'" },
+    { number: 15, name: 'Knight Move', algorithm: "L' B' L R' U' R U L' B L" },
+    { number: 16, name: 'Knight Move', algorithm: "L F L' R U R' U' L F' L'" },
+    { number: 17, name: 'Dot', algorithm: "R U R' U R' F R F' U2 R' F R F'" },
+    { number: 18, name: 'Dot', algorithm: "L F R' F R F2 L2 B' R B' R' B2 L" },
+    { number: 19, name: 'Dot', algorithm: "R L' B R B R' B' R' L R' F R F'" },
+    { number: 20, name: 'Dot', algorithm: "L F R' F' R2 L2 B R B' R' B' R' L" },
+    { number: 21, name: 'H', algorithm: "R U2 R' U' R U R' U' R U' R'" },
+    { number: 22, name: 'Pi', algorithm: "R U2 R2 U' R2 U' R2 U2 R" },
+    { number: 23, name: 'Headlights', algorithm: "R2 D' R U2 R' D R U2 R" },
+    { number: 24, name: 'Chameleon', algorithm: "[L, [F: R']]" },
+    { number: 25, name: 'Bowtie', algorithm: "[[F': L], R']" },
+    { number: 26, name: 'Antisune', algorithm: "R U2 R' U' R U' R'" },
+    { number: 27, name: 'Sune', algorithm: "R U R' U R U2 R'" },
+    { number: 28, name: 'Corners Oriented', algorithm: "L F R' F' R L' U R U' R'" },
+    { number: 29, name: 'Awkward', algorithm: "R U R' U' R U' R' F' U' F R U R'" },
+    { number: 30, name: 'Awkward', algorithm: "F U R U2 R' U' R U2 R' U' F'" },
+    { number: 31, name: 'P Shape', algorithm: "R' U' F U R U' R' F' R" },
+    { number: 32, name: 'P Shape', algorithm: "L U F' U' L' U L F L'" },
+    { number: 33, name: 'T Shape', algorithm: "[R, U] [R', F]" },
+    { number: 34, name: 'C Shape', algorithm: "R U R2 U' R' F R U R U' F'" },
+    { number: 35, name: 'Fish', algorithm: "R U2 R2 F R F' R U2 R'" },
+    { number: 36, name: 'W Shape', algorithm: "L' U' L U' L' U L U L F' L' F" },
+    { number: 37, name: 'Fish', algorithm: "[F, R'] [U, R]" },
+    { number: 38, name: 'W Shape', algorithm: "R U R' U R U' R' U' R' F R F'" },
+    { number: 39, name: 'Big Lightning', algorithm: "L F' L' U' L U F U' L'" },
+    { number: 40, name: 'Big Lightning', algorithm: "R' F R U R' U' F' U R" },
+    { number: 41, name: 'Awkward', algorithm: "R U R' U R U2 R' F R U R' U' F'" },
+    { number: 42, name: 'Awkward', algorithm: "R' U' R U' R' U2 R F R U R' U' F'" },
+    { number: 43, name: 'P Shape', algorithm: "R' U' F' U F R" },
+    { number: 44, name: 'P Shape', algorithm: "[F: [U, R]]" },
+    { number: 45, name: 'T Shape', algorithm: "[F: [R, U]]" },
+    { number: 46, name: 'C Shape', algorithm: "R' U' R' F R F' U R" },
+    { number: 47, name: 'Small L', algorithm: "R' U' R' F R F' R' F R F' U R" },
+    { number: 48, name: 'Small L', algorithm: "[F: [R, U]2]" },
+    { number: 49, name: 'Small L', algorithm: "L F' L2 B L2 F L2 B' L" },
+    { number: 50, name: 'Small L', algorithm: "L' B L2 F' L2 B' L2 F L'" },
+    { number: 51, name: 'I Shape', algorithm: "[F: [U, R]2]" },
+    { number: 52, name: 'I Shape', algorithm: "R U R' U R U' B U' B' R'" },
+    { number: 53, name: 'Small L', algorithm: "L' B' R B' R' B R B' R' B2 L" },
+    { number: 54, name: 'Small L', algorithm: "L F R' F R F' R' F R F2 L'" },
+    { number: 55, name: 'I Shape', algorithm: "R U2 R2 U' R U' R' U2 F R F'" },
+    { number: 56, name: 'I Shape', algorithm: "F R U R' U' R F' L F R' F' L'" },
+    { number: 57, name: 'Corners Oriented', algorithm: "R U R' U' R' L F R F' L'" }
+];
+
+// All 21 PLL cases
+export const PLL_CASES = [
+    { name: 'Aa', algorithm: "[R': [F, R' B2 R]]" },
+    { name: 'Ab', algorithm: "[R': [R' B2 R, F]]" },
+    { name: 'E', algorithm: "[[R: B'], F] [[R: B], F]" },
+    { name: 'F', algorithm: "R' U' F' R U R' U' R' F R2 U' R' U' R U R' U R" },
+    { name: 'Ga', algorithm: "R2 U R' U R' U' R U' R2 U' D R' U R D'" },
+    { name: 'Gb', algorithm: "R' U' R U D' R2 U R' U R U' R U' R2 D" },
+    { name: 'Gc', algorithm: "R2 U' R U' R U R' U R2 U D' R U' R' D" },
+    { name: 'Gd', algorithm: "R U R' U' D R2 U' R U' R' U R' U R2 D'" },
+    { name: 'H', algorithm: "R2 L2 D R2 L2 U2 R2 L2 D R2 L2" },
+    { name: 'Ja', algorithm: "R' U L' U2 R U' R' U2 R L" },
+    { name: 'Jb', algorithm: "R U R' F' R U R' U' R' F R2 U' R'" },
+    { name: 'Na', algorithm: "R U R' U R U R' F' R U R' U' R' F R2 U' R' U2 R U' R'" },
+    { name: 'Nb', algorithm: "R' U R U' R' F' U' F R U R' F R' F' R U' R" },
+    { name: 'Ra', algorithm: "R U' R' U' R U R D R' U' R D' R' U2 R'" },
+    { name: 'Rb', algorithm: "R2 F R U R U' R' F' R U2 R' U2 R" },
+    { name: 'T', algorithm: "R U R' U' R' F R2 U' R' U' R U R' F'" },
+    { name: 'Ua', algorithm: "R U' R U R U R U' R' U' R2" },
+    { name: 'Ub', algorithm: "R2 U R U R' U' R' U' R' U R'" },
+    { name: 'V', algorithm: "R' U R' U' R D' R' D R' U D' R2 U' R2 D R2" },
+    { name: 'Y', algorithm: "F R U' R' U' R U R' F' R U R' U' R' F R F'" },
+    { name: 'Z', algorithm: "R' L F R2 L2 B R2 L2 F R' L D2 R2 L2" }
+];
+
+// All 42 CMLL cases: the last-layer corners in one algorithm that keeps the two Roux blocks
+// (it may move the M-slice edges, LSE solves them anyway). Grouped by OCLL shape:
+// O (oriented), H, Pi, U (Headlights), T (Chameleon), S (Sune), AS (Antisune), L (Bowtie)
+// Cases are numbered within each shape by this table; CMLL charts don't agree on an order
+export const CMLL_CASES = [
+    { set: 'O', number: 1, algorithm: "R' U L' U2 R U' R' U2 R L" },
+    { set: 'O', number: 2, algorithm: "[[R: B'], F] [[R: B], F]" },
+    { set: 'H', number: 1, algorithm: "R U2 R' U' R U R' U' R U' R'" },
+    { set: 'H', number: 2, algorithm: "R U2 R2 F R F' U2 R' F R F'" },
+    { set: 'H', number: 3, algorithm: "L' U' L U' L' U' R U' L U R'" },
+    { set: 'H', number: 4, algorithm: "F R U R' U' R U R' U' R U R' U' F'" },
+    { set: 'Pi', number: 1, algorithm: "R U2 R2 U' R2 U' R2 U2 R" },
+    { set: 'Pi', number: 2, algorithm: "R U2 R' U' R U R' U2 R' F R F'" },
+    { set: 'Pi', number: 3, algorithm: "R U' L' U R' U L U L' U L" },
+    { set: 'Pi', number: 4, algorithm: "F R' F' R U2 F R' F' R2 U2 R'" },
+    { set: 'Pi', number: 5, algorithm: "F R' F' R U2 R U' R' U R U2 R'" },
+    { set: 'Pi', number: 6, algorithm: "R U R' U R U' B U' B' R'" },
+    { set: 'U', number: 1, algorithm: "R2 F U' F U F2 R2 U' R' F R" },
+    { set: 'U', number: 2, algorithm: "F R2 D R' U R D' R2 U' F'" },
+    { set: 'U', number: 3, algorithm: "R2 D R' U2 R D' R' U2 R'" },
+    { set: 'U', number: 4, algorithm: "L2 D' L U2 L' D L U2 L" },
+    { set: 'U', number: 5, algorithm: "F U R U2 R' U R U2 R' U' F'" },
+    { set: 'U', number: 6, algorithm: "F R U R' U' F'" },
+    { set: 'T', number: 1, algorithm: "R' F' R U R2 F2 U' F' U F' R2" },
+    { set: 'T', number: 2, algorithm: "R' U R U2 L' R' U R U' L" },
+    { set: 'T', number: 3, algorithm: "L' U' L U L F' L' F" },
+    { set: 'T', number: 4, algorithm: "F U R U2 R' U' R U2 R' U' F'" },
+    { set: 'T', number: 5, algorithm: "R U R' U' R' F R F'" },
+    { set: 'T', number: 6, algorithm: "R2 F2 R U' F' U F R' F2 R2" },
+    { set: 'S', number: 1, algorithm: "R U R' U R U2 R'" },
+    { set: 'S', number: 2, algorithm: "F R' F' R U2 R U2 R'" },
+    { set: 'S', number: 3, algorithm: "L' U2 L U2 L F' L' F" },
+    { set: 'S', number: 4, algorithm: "R U' L' U R' U' L" },
+    { set: 'S', number: 5, algorithm: "R U R' U R U' R D R' U' R D' R2" },
+    { set: 'S', number: 6, algorithm: "R U R' U R' F R F' R U2 R'" },
+    { set: 'AS', number: 1, algorithm: "R U2 R' U' R U' R'" },
+    { set: 'AS', number: 2, algorithm: "R U2 R' U2 R' F R F'" },
+    { set: 'AS', number: 3, algorithm: "F' L F L' U2 L' U2 L" },
+    { set: 'AS', number: 4, algorithm: "R2 D R' U R D' R' U R' U' R U' R'" },
+    { set: 'AS', number: 5, algorithm: "L' U R U' L U R'" },
+    { set: 'AS', number: 6, algorithm: "R U2 R' F R' F' R U' R U' R'" },
+    { set: 'L', number: 1, algorithm: "R U R' U R U' R' U R U' R' U R U2 R'" },
+    { set: 'L', number: 2, algorithm: "R U2 R D R' U2 R D' R2" },
+    { set: 'L', number: 3, algorithm: "F' L F L' U' L' U L" },
+    { set: 'L', number: 4, algorithm: "F R' F' R U R U' R'" },
+    { set: 'L', number: 5, algorithm: "L' U2 L' D' L U2 L' D L2" },
+    { set: 'L', number: 6, algorithm: "R U2 R2 F R F' R U2 R'" }
+];
+
+// All 42 COLL cases: the same corner cases, numbered the same way, with algorithms that also
+// keep F2L and the edge orientation, so only an edge PLL is left
+export const COLL_CASES = [
+    { set: 'O', number: 1, algorithm: "R' U L' U2 R U' R' U2 R L" },
+    { set: 'O', number: 2, algorithm: "[[R: B'], F] [[R: B], F]" },
+    { set: 'H', number: 1, algorithm: "R U2 R' U' R U R' U' R U' R'" },
+    { set: 'H', number: 2, algorithm: "F R U' R' U R U2 R' U' R U R' U' F'" },
+    { set: 'H', number: 3, algorithm: "L' U' L U' L' U' R U' L U R'" },
+    { set: 'H', number: 4, algorithm: "F R U R' U' R U R' U' R U R' U' F'" },
+    { set: 'Pi', number: 1, algorithm: "R U2 R2 U' R2 U' R2 U2 R" },
+    { set: 'Pi', number: 2, algorithm: "R U R' U F2 R U2 R' U2 R' F2 R" },
+    { set: 'Pi', number: 3, algorithm: "R U' L' U R' U L U L' U L" },
+    { set: 'Pi', number: 4, algorithm: "F U R U' R' U R U2 R' U' R U R' F'" },
+    { set: 'Pi', number: 5, algorithm: "R' F2 R U2 R U2 R' F2 U' R U' R'" },
+    { set: 'Pi', number: 6, algorithm: "R F' U' R2 U' F U F' R2 U F R'" },
+    { set: 'U', number: 1, algorithm: "R U R' U R U2 R2 U' R U' R' U2 R" },
+    { set: 'U', number: 2, algorithm: "R' F R U' R' U' R U R' F' R U R' U' R' F R F' R" },
+    { set: 'U', number: 3, algorithm: "R2 D R' U2 R D' R' U2 R'" },
+    { set: 'U', number: 4, algorithm: "L2 D' L U2 L' D L U2 L" },
+    { set: 'U', number: 5, algorithm: "F R U' R' U R U R' U R U' R' F'" },
+    { set: 'U', number: 6, algorithm: "R U2 R' B' U R U R' U' B" },
+    { set: 'T', number: 1, algorithm: "R' U2 R U R' U R2 U2 R' U' R U' R'" },
+    { set: 'T', number: 2, algorithm: "R' U R U2 L' R' U R U' L" },
+    { set: 'T', number: 3, algorithm: "R' F' L F R F' L' F" },
+    { set: 'T', number: 4, algorithm: "F R U R' U' R U' R' U' R U R' F'" },
+    { set: 'T', number: 5, algorithm: "[L, [F: R']]" },
+    { set: 'T', number: 6, algorithm: "R U' R2 D' L F2 L' D R2 U R'" },
+    { set: 'S', number: 1, algorithm: "R U R' U R U2 R'" },
+    { set: 'S', number: 2, algorithm: "L2 D' L U2 L' D L2 U L' U L" },
+    { set: 'S', number: 3, algorithm: "R U R' U R2 D R' U2 R D' R2" },
+    { set: 'S', number: 4, algorithm: "R U' L' U R' U' L" },
+    { set: 'S', number: 5, algorithm: "R U R' U R U' R D R' U' R D' R2" },
+    { set: 'S', number: 6, algorithm: "L U' L2 D R' F2 R D' L' U2 L2" },
+    { set: 'AS', number: 1, algorithm: "R U2 R' U' R U' R'" },
+    { set: 'AS', number: 2, algorithm: "L' U' L U' L2 D' L U2 L' D L2" },
+    { set: 'AS', number: 3, algorithm: "R2 D R' U2 R D' R2 U' R U' R'" },
+    { set: 'AS', number: 4, algorithm: "R2 D R' U R D' R' U R' U' R U' R'" },
+    { set: 'AS', number: 5, algorithm: "L' U R U' L U R'" },
+    { set: 'AS', number: 6, algorithm: "R' U R2 D' L F2 L' D R U2 R2" },
+    { set: 'L', number: 1, algorithm: "R U R' U R U' R' U R U' R' U R U2 R'" },
+    { set: 'L', number: 2, algorithm: "R U2 R D R' U2 R D' R2" },
+    { set: 'L', number: 3, algorithm: "F' L F R' F' L' F R" },
+    { set: 'L', number: 4, algorithm: "F R' F' L F R F' L'" },
+    { set: 'L', number: 5, algorithm: "L' U2 L' D' L U2 L' D L2" },
+    { set: 'L', number: 6, algorithm: "R' U' R U R' F' R U R' U' R' F R2" }
+];
+
+// Adjust U face: tried before each algorithm, and after PLL
+export const AUF_MOVES = ['', 'U', 'U2', "U'"];
+
+// Move indices, parsed once
+const parse = (alg) => getAlgorithmMoves(alg).map(m => MOVE_NAMES.indexOf(m));
+const OLL_MOVES = OLL_CASES.map(c => parse(c.algorithm));
+const PLL_MOVES = PLL_CASES.map(c => parse(c.algorithm));
+const CMLL_MOVES = CMLL_CASES.map(c => parse(c.algorithm));
+const COLL_MOVES = COLL_CASES.map(c => parse(c.algorithm));
+const AUF_INDICES = AUF_MOVES.map(parse);
+
+// An algorithm's moves, with commutators and conjugates expanded: "[F: [R, U]]" -> F R U R' U' F'
+export function getAlgorithmMoves(algorithm) {
+    return parseMoves(algorithm).filter(m => m.amount !== 0).map(formatMove);
+}
+
+// e.g. "27 Sune"
+export function getOLLName(ollCase) {
+    return `${ollCase.number} ${ollCase.name}`;
+}
+
+// e.g. "T-Perm"
+export function getPLLName(pllCase) {
+    return `${pllCase.name}-Perm`;
+}
+
+// CMLL and COLL cases, e.g. "Pi-3"
+export function getCornerCaseName(cornerCase) {
+    return `${cornerCase.set}-${cornerCase.number}`;
+}
+
+// Last-layer corners are pieces 0..3 and edges 8..11 (see PieceSearch)
+export function isLastLayerOriented(state) {
+    for (let c = 0; c < 4; c++) if (state[c] % 3 !== 0) return false;
+    for (let e = 8; e < 12; e++) if (state[e] & 1) return false;
+    return true;
+}
+
+// The AUF (index into AUF_MOVES) that solves the last-layer corners, or -1 if none does
+function cornersAUF(state) {
+    const offset = ((state[0] / 3) | 0) % 4;
+    for (let c = 0; c < 4; c++) {
+        if (state[c] !== ((c + offset) % 4) * 3) return -1;
+    }
+    return (4 - offset) % 4;
+}
+
+export function isStateSolved(state) {
+    for (let c = 0; c < 8; c++) if (state[c] !== c * 3) return false;
+    for (let e = 0; e < 12; e++) if (state[8 + e] !== e * 2) return false;
+    return true;
+}
+
+/**
+ * Find the OLL case of a cube whose F2L is solved
+ * @param {Uint8Array} state - per-piece state (see PieceSearch)
+ * @returns {Object|null} - { case, auf, moves, notation } where moves is the AUF then the algorithm.
+ *   case is null if the last layer is already oriented; returns null if nothing matches.
+ *   notation is the compact form of moves when the algorithm is a commutator or conjugate.
+ */
+export function recognizeOLL(state) {
+    if (isLastLayerOriented(state)) {
+        return { case: null, auf: '', moves: [], notation: null };
+    }
+
+    // Recognition by simulation: the right AUF + algorithm is the one that orients the layer
+    for (let a = 0; a < AUF_MOVES.length; a++) {
+        const start = applySequence(state, AUF_INDICES[a]);
+        for (let i = 0; i < OLL_CASES.length; i++) {
+            if (isLastLayerOriented(applySequence(start, OLL_MOVES[i]))) {
+                return {
+                    case: OLL_CASES[i],
+                    auf: AUF_MOVES[a],
+                    moves: withAUF(AUF_MOVES[a], OLL_CASES[i].algorithm, ''),
+                    notation: compactNotation(AUF_MOVES[a], OLL_CASES[i].algorithm, '')
+                };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Find the PLL case of a cube whose F2L and last-layer orientation are solved
+ * @param {Uint8Array} state - per-piece state (see PieceSearch)
+ * @returns {Object|null} - { case, auf, finalAuf, moves, notation }. case is null if only an AUF
+ *   is left; returns null if nothing matches. notation is as for recognizeOLL.
+ */
+export function recognizePLL(state) {
+    for (let post = 0; post < AUF_MOVES.length; post++) {
+        if (isStateSolved(applySequence(state, AUF_INDICES[post]))) {
+            return { case: null, auf: '', finalAuf: AUF_MOVES[post], moves: withAUF('', '', AUF_MOVES[post]), notation: null };
+        }
+    }
+
+    for (let pre = 0; pre < AUF_MOVES.length; pre++) {
+        const start = applySequence(state, AUF_INDICES[pre]);
+        for (let i = 0; i < PLL_CASES.length; i++) {
+            const afterAlgorithm = applySequence(start, PLL_MOVES[i]);
+            for (let post = 0; post < AUF_MOVES.length; post++) {
+                if (isStateSolved(applySequence(afterAlgorithm, AUF_INDICES[post]))) {
+                    return {
+                        case: PLL_CASES[i],
+                        auf: AUF_MOVES[pre],
+                        finalAuf: AUF_MOVES[post],
+                        moves: withAUF(AUF_MOVES[pre], PLL_CASES[i].algorithm, AUF_MOVES[post]),
+                        notation: compactNotation(AUF_MOVES[pre], PLL_CASES[i].algorithm, AUF_MOVES[post])
+                    };
+                }
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Find the CMLL case of a cube whose first two Roux blocks are solved
+ * @param {Uint8Array} state - per-piece state (see PieceSearch)
+ * @returns {Object|null} - { case, auf, finalAuf, moves, notation } as for recognizePLL
+ */
+export function recognizeCMLL(state) {
+    return recognizeCorners(state, CMLL_CASES, CMLL_MOVES);
+}
+
+/**
+ * Find the COLL case of a cube whose F2L and last-layer edge orientation are solved
+ * @param {Uint8Array} state - per-piece state (see PieceSearch)
+ * @returns {Object|null} - as recognizeCMLL; an edge PLL is left afterwards
+ */
+export function recognizeCOLL(state) {
+    return recognizeCorners(state, COLL_CASES, COLL_MOVES);
+}
+
+function recognizeCorners(state, cases, caseMoves) {
+    const solvedAUF = cornersAUF(state);
+    if (solvedAUF !== -1) {
+        const finalAuf = AUF_MOVES[solvedAUF];
+        return { case: null, auf: '', finalAuf, moves: withAUF('', '', finalAuf), notation: null };
+    }
+
+    for (let a = 0; a < AUF_MOVES.length; a++) {
+        const start = applySequence(state, AUF_INDICES[a]);
+        for (let i = 0; i < cases.length; i++) {
+            const post = cornersAUF(applySequence(start, caseMoves[i]));
+            if (post !== -1) {
+                return {
+                    case: cases[i],
+                    auf: AUF_MOVES[a],
+                    finalAuf: AUF_MOVES[post],
+                    moves: withAUF(AUF_MOVES[a], cases[i].algorithm, AUF_MOVES[post]),
+                    notation: compactNotation(AUF_MOVES[a], cases[i].algorithm, AUF_MOVES[post])
+                };
+            }
+        }
+    }
+    return null;
+}
+
+function withAUF(before, algorithm, after) {
+    return [before, ...getAlgorithmMoves(algorithm), after].filter(m => m);
+}
+
+function compactNotation(before, algorithm, after) {
+    return isCompactAlgorithm(algorithm) ? [before, algorithm, after].filter(m => m).join(' ') : null;
+}
+
+function applySequence(state, moves) {
+    let current = new Uint8Array(state);
+    let next = new Uint8Array(STATE_SIZE);
+    for (const m of moves) {
+        applyMove(current, m, next);
+        [current, next] = [next, current];
+    }
+    return current;
+}
@@ -0,0 +1,91 @@
+// LastLayerRecognizer.js - Names the last-layer case of a cube whose first two layers are solved
+// Takes the sticker model (CubeState), so it can follow the Play cube move by move and read
+// painted cubes too. The last layer is whatever is on U; the other faces only have to match their
+// centers. The stickers are read into pieces (CubeState.toCubies) and the cases found by the same
+// recognizers the method solvers use (LastLayerAlgorithms).
+import { CubeState } from '../cube/CubeState.js';
+import { stateFromCubie, applyMoves } from './PieceSearch.js';
+import {
+    recognizeOLL, recognizePLL, recognizeCOLL, getOLLName, getPLLName, getCornerCaseName
+} from './LastLayerAlgorithms.js';
+
+const SIDES = ['F', 'R', 'B', 'L'];
+
+// OLL 21-27 only twist corners: with the edges oriented these are the COLL shapes
+const OCLL_NUMBERS = [21, 22, 23, 24, 25, 26, 27];
+
+/**
+ * @param {CubeState|Object} cube - a CubeState, or its sticker arrays { U: [9], R: [9], ... }
+ * @returns {Object} - { success, f2lSolved, stage, oll, coll, pll, moves, error }
+ *   stage is 'oll', 'pll', 'auf' or 'solved': the next thing to do.
+ *   oll is { case, name, auf, algorithm, moves, notation }, null once the layer is oriented.
+ *   coll is { case, name, ocll, auf, finalAuf, algorithm, moves, notation } when the edges are oriented but
+ *   the corners aren't, else null: the one-look alternative to the OLL, leaving an edge PLL.
+ *   pll is { case, name, auf, finalAuf, algorithm, moves, notation } for the PLL left after the OLL
+ *   algorithm; case is null when only a final AUF is needed. moves is every move to the solved cube.
+ */
+export function recognizeLastLayer(cube) {
+    const stickers = cube instanceof CubeState ? cube.getState() : cube;
+    const f2lSolved = isF2LSolved(stickers);
+    const fail = (error) => ({ success: false, f2lSolved, stage: null, oll: null, coll: null, pll: null, moves: [], error });
+
+    if (!f2lSolved) return fail('The first two layers are not solved.');
+
+    const reader = new CubeState();
+    reader.setState(stickers);
+    const cubies = reader.toCubies();
+    if (cubies.error) return fail(cubies.error);
+    const state = stateFromCubie(cubies);
+
+    const ollFound = recognizeOLL(state);
+    if (!ollFound) return fail('Could not recognise the OLL case.');
+    const oll = ollFound.case ? {
+        ...ollFound,
+        name: getOLLName(ollFound.case),
+        algorithm: ollFound.case.algorithm
+    } : null;
+
+    const pllFound = recognizePLL(applyMoves(state, ollFound.moves));
+    if (!pllFound) return fail('Could not recognise the PLL case.');
+    const pll = {
+        ...pllFound,
+        name: pllFound.case ? getPLLName(pllFound.case) : null,
+        algorithm: pllFound.case ? pllFound.case.algorithm : null
+    };
+
+    let coll = null;
+    if (oll && OCLL_NUMBERS.includes(oll.case.number)) {
+        const collFound = recognizeCOLL(state);
+        if (!collFound) return fail('Could not recognise the COLL case.');
+        coll = {
+            ...collFound,
+            name: getCornerCaseName(collFound.case),
+            ocll: oll.case,
+            algorithm: collFound.case.algorithm
+        };
+    }
+
+    let stage = 'solved';
+    if (oll) stage = 'oll';
+    else if (pll.case) stage = 'pll';
+    else if (pll.finalAuf) stage = 'auf';
+
+    return {
+        success: true,
+        f2lSolved,
+        stage,
+        oll,
+        coll,
+        pll,
+        moves: [...ollFound.moves, ...pll.moves],
+        error: null
+    };
+}
+
+// Down face and the bottom two rows of each side match their centers
+export function isF2LSolved(state) {
+    if (!state.D.every(c => c === state.D[4])) return false;
+    return SIDES.every(face => state[face].slice(3).every(c => c === state[face][4]));
+}
+
+export default recognizeLastLayer;
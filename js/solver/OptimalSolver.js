@@ -0,0 +1,356 @@
+// OptimalSolver.js - Shortest-solution search (Korf's IDA* with pattern databases)
+// Heuristic = max of three admissible pattern databases:
+//   - all 8 corners (permutation x orientation, 88 million entries)
+//   - two groups of 5 edges (positions x orientations, 3 million entries each)
+// Random states need far longer than the time budget to prove, so the search starts from an
+// upper bound (usually the two-phase solution) and reports how far the proof got.
+import { CubieCube, MOVE_NAMES, MOVE_CUBES, isRedundantMove } from './KociembaSolver.js';
+
+// Bump when the pattern database layout changes (see TableCache)
+export const OPTIMAL_TABLE_VERSION = 1;
+
+const N_CORNER_PERM = 40320; // 8!
+const N_TWIST = 2187;        // 3^7
+const N_EDGE_PERM5 = 95040;  // 12!/7! ordered positions of 5 edges
+const N_EDGE_GROUP = N_EDGE_PERM5 * 32; // x 2^5 orientations
+const GODS_NUMBER = 20;       // no cube needs more moves
+
+// Edge ids (UR, UF, UL, UB, DR, DF, DL, DB, FR, FL, BL, BR) tracked by each edge pattern database
+const EDGE_GROUPS = [
+    [0, 1, 2, 3, 8],  // UR, UF, UL, UB, FR
+    [4, 5, 6, 7, 10]  // DR, DF, DL, DB, BL
+];
+
+export class OptimalSolver {
+    constructor() {
+        this.timeout = 30000; // ms
+        this.onProgress = null;
+
+        this.cornerPermMove = null;
+        this.twistMove = null;
+        this.edgeMove = null; // (position * 2 + orientation) x move
+        this.cornerPrun = null;
+        this.edgePrun = [null, null];
+        this.tablesInitialized = false;
+    }
+
+    reportProgress(info) {
+        if (this.onProgress) this.onProgress(info);
+    }
+
+    hasTables() {
+        return this.tablesInitialized;
+    }
+
+    initTables() {
+        if (this.tablesInitialized) return;
+
+        console.time('Init Optimal Tables');
+
+        this.cornerPermMove = new Uint16Array(N_CORNER_PERM * 18);
+        for (let i = 0; i < N_CORNER_PERM; i++) {
+            const c = new CubieCube();
+            c.setCornerPerm(i);
+            for (let m = 0; m < 18; m++) {
+                this.cornerPermMove[i * 18 + m] = c.multiply(MOVE_CUBES[m]).getCornerPerm();
+            }
+        }
+
+        this.twistMove = new Uint16Array(N_TWIST * 18);
+        for (let i = 0; i < N_TWIST; i++) {
+            const c = new CubieCube();
+            c.setTwist(i);
+            for (let m = 0; m < 18; m++) {
+                this.twistMove[i * 18 + m] = c.multiply(MOVE_CUBES[m]).getTwist();
+            }
+        }
+
+        // An edge at position p moves to the position whose ep entry is p
+        this.edgeMove = new Uint8Array(24 * 18);
+        for (let m = 0; m < 18; m++) {
+            const move = MOVE_CUBES[m];
+            for (let to = 0; to < 12; to++) {
+                const from = move.ep[to];
+                for (let o = 0; o < 2; o++) {
+                    this.edgeMove[(from * 2 + o) * 18 + m] = to * 2 + ((o + move.eo[to]) % 2);
+                }
+            }
+        }
+
+        this.reportProgress({ stage: 'tables', percent: 5, table: 'Optimal move tables' });
+        this.cornerPrun = this.buildCornerPrun();
+        this.edgePrun[0] = this.buildEdgePrun(EDGE_GROUPS[0]);
+        this.reportProgress({ stage: 'tables', percent: 95, table: 'Edge pattern database 1' });
+        this.edgePrun[1] = this.buildEdgePrun(EDGE_GROUPS[1]);
+        this.reportProgress({ stage: 'tables', percent: 100, table: 'Edge pattern database 2' });
+
+        this.tablesInitialized = true;
+        console.timeEnd('Init Optimal Tables');
+    }
+
+    // Same interface as KociembaSolver so TableCache can persist the tables
+    getTables() {
+        this.initTables();
+        return {
+            cornerPermMove: this.cornerPermMove,
+            twistMove: this.twistMove,
+            edgeMove: this.edgeMove,
+            cornerPrun: this.cornerPrun,
+            edgePrun0: this.edgePrun[0],
+            edgePrun1: this.edgePrun[1]
+        };
+    }
+
+    setTables(tables) {
+        const expected = {
+            cornerPermMove: [Uint16Array, N_CORNER_PERM * 18],
+            twistMove: [Uint16Array, N_TWIST * 18],
+            edgeMove: [Uint8Array, 24 * 18],
+            cornerPrun: [Uint8Array, N_CORNER_PERM * N_TWIST / 2],
+            edgePrun0: [Uint8Array, N_EDGE_GROUP / 2],
+            edgePrun1: [Uint8Array, N_EDGE_GROUP / 2]
+        };
+        for (const [name, [type, size]] of Object.entries(expected)) {
+            if (!(tables[name] instanceof type) || tables[name].length !== size) {
+                return false;
+            }
+        }
+
+        this.cornerPermMove = tables.cornerPermMove;
+        this.twistMove = tables.twistMove;
+        this.edgeMove = tables.edgeMove;
+        this.cornerPrun = tables.cornerPrun;
+        this.edgePrun = [tables.edgePrun0, tables.edgePrun1];
+        this.tablesInitialized = true;
+        return true;
+    }
+
+    // ==================== PATTERN DATABASES ====================
+
+    // Corner index: cornerPerm * 2187 + twist
+    buildCornerPrun() {
+        const total = N_CORNER_PERM * N_TWIST;
+        const table = new Uint8Array(total / 2).fill(0xFF);
+        setPruning(table, 0, 0);
+
+        let filled = 1;
+        for (let depth = 0; filled < total; depth++) {
+            let found = 0;
+            for (let idx = 0; idx < total; idx++) {
+                if (getPruning(table, idx) !== depth) continue;
+
+                const cp = Math.floor(idx / N_TWIST);
+                const tw = idx - cp * N_TWIST;
+                for (let m = 0; m < 18; m++) {
+                    const next = this.cornerPermMove[cp * 18 + m] * N_TWIST + this.twistMove[tw * 18 + m];
+                    if (getPruning(table, next) === 0xF) {
+                        setPruning(table, next, depth + 1);
+                        found++;
+                    }
+                }
+            }
+            filled += found;
+            this.reportProgress({ stage: 'tables', percent: 5 + Math.round(filled / total * 80), table: 'Corner pattern database' });
+            if (found === 0) break;
+        }
+        return table;
+    }
+
+    // Edge group index: ordered positions of the 5 edges (0..95039) * 32 + their orientations
+    buildEdgePrun(group) {
+        const table = new Uint8Array(N_EDGE_GROUP / 2).fill(0xFF);
+        const states = new Uint8Array(5);
+        const next = new Uint8Array(5);
+
+        const solved = new Uint8Array(group.map(e => e * 2));
+        setPruning(table, encodeEdgeGroup(solved), 0);
+
+        let filled = 1;
+        for (let depth = 0; filled < N_EDGE_GROUP; depth++) {
+            let found = 0;
+            for (let idx = 0; idx < N_EDGE_GROUP; idx++) {
+                if (getPruning(table, idx) !== depth) continue;
+
+                decodeEdgeGroup(idx, states);
+                for (let m = 0; m < 18; m++) {
+                    for (let i = 0; i < 5; i++) next[i] = this.edgeMove[states[i] * 18 + m];
+                    const nextIdx = encodeEdgeGroup(next);
+                    if (getPruning(table, nextIdx) === 0xF) {
+                        setPruning(table, nextIdx, depth + 1);
+                        found++;
+                    }
+                }
+            }
+            filled += found;
+            if (found === 0) break;
+        }
+        return table;
+    }
+
+    // ==================== SEARCH ====================
+
+    heuristic(cp, tw, edges) {
+        const corner = getPruning(this.cornerPrun, cp * N_TWIST + tw);
+        const edge0 = getPruning(this.edgePrun[0], encodeGroupOf(edges, EDGE_GROUPS[0]));
+        const edge1 = getPruning(this.edgePrun[1], encodeGroupOf(edges, EDGE_GROUPS[1]));
+        return Math.max(corner, edge0, edge1);
+    }
+
+    /**
+     * Search for a shortest solution
+     * @param {CubieCube} cube - state to solve
+     * @param {string[]|null} upperBound - a known solution (e.g. two-phase); only shorter ones are searched for
+     * @returns {Object} - { solution: string[]|null, optimal: boolean, lowerBound: number }
+     *   optimal is true when no solution shorter than `solution` exists;
+     *   otherwise every length below lowerBound has been ruled out
+     */
+    search(cube, upperBound = null) {
+        this.initTables();
+
+        // edges[i] = position * 2 + orientation of edge i
+        const edges = new Uint8Array(12);
+        for (let pos = 0; pos < 12; pos++) {
+            edges[cube.ep[pos]] = pos * 2 + cube.eo[pos];
+        }
+        const cp = cube.getCornerPerm();
+        const tw = cube.getTwist();
+
+        // Every cube is solvable in GODS_NUMBER moves, so a longer upper bound never needs a deeper search
+        let best = upperBound;
+        const maxDepth = upperBound ? Math.min(upperBound.length - 1, GODS_NUMBER) : GODS_NUMBER;
+
+        // One edge buffer per search depth avoids allocating in the inner loop
+        this.edgeStack = [];
+        for (let d = 0; d <= maxDepth; d++) this.edgeStack.push(new Uint8Array(12));
+        this.edgeStack[0].set(edges);
+
+        this.path = [];
+        this.nodeCount = 0;
+        this.deadline = Date.now() + this.timeout;
+        this.timedOut = false;
+
+        for (let bound = this.heuristic(cp, tw, edges); bound <= maxDepth; bound++) {
+            this.reportProgress({ stage: 'optimal', depth: bound, bestLength: best ? best.length : null });
+
+            if (this.searchDepth(cp, tw, 0, bound, -1)) {
+                best = this.path.map(m => MOVE_NAMES[m]);
+                this.reportProgress({ stage: 'best', solution: best, optimal: true });
+                return { solution: best, optimal: true, lowerBound: bound };
+            }
+            if (this.timedOut) {
+                return { solution: best, optimal: false, lowerBound: bound };
+            }
+        }
+
+        // Every shorter length was ruled out, so the upper bound itself is optimal
+        return { solution: best, optimal: !!best, lowerBound: best ? best.length : maxDepth + 1 };
+    }
+
+    searchDepth(cp, tw, g, bound, lastMove) {
+        const edges = this.edgeStack[g];
+        // Cheapest lookup first; most nodes are cut off by the corners alone
+        const budget = bound - g;
+        if (getPruning(this.cornerPrun, cp * N_TWIST + tw) > budget) return false;
+        if (getPruning(this.edgePrun[0], encodeGroupOf(edges, EDGE_GROUPS[0])) > budget) return false;
+        if (getPruning(this.edgePrun[1], encodeGroupOf(edges, EDGE_GROUPS[1])) > budget) return false;
+        if (budget === 0) return cp === 0 && tw === 0 && isSolvedEdges(edges);
+
+        if ((++this.nodeCount & 0xFFF) === 0 && Date.now() > this.deadline) {
+            this.timedOut = true;
+        }
+        if (this.timedOut) return false;
+
+        const nextEdges = this.edgeStack[g + 1];
+        for (let m = 0; m < 18; m++) {
+            if (isRedundantMove(m, lastMove)) continue;
+
+            for (let i = 0; i < 12; i++) nextEdges[i] = this.edgeMove[edges[i] * 18 + m];
+            this.path.push(m);
+            if (this.searchDepth(
+                this.cornerPermMove[cp * 18 + m],
+                this.twistMove[tw * 18 + m],
+                g + 1, bound, m
+            )) {
+                return true;
+            }
+            this.path.pop();
+            if (this.timedOut) return false;
+        }
+        return false;
+    }
+}
+
+// ==================== HELPERS ====================
+
+// 4 bits per entry, 0xF = not yet reached
+function getPruning(table, index) {
+    return (table[index >> 1] >> ((index & 1) << 2)) & 0xF;
+}
+
+function setPruning(table, index, value) {
+    const shift = (index & 1) << 2;
+    table[index >> 1] = (table[index >> 1] & ~(0xF << shift)) | ((value & 0xF) << shift);
+}
+
+function isSolvedEdges(edges) {
+    for (let i = 0; i < 12; i++) {
+        if (edges[i] !== i * 2) return false;
+    }
+    return true;
+}
+
+// states[i] = position * 2 + orientation of the i-th edge in a group
+function encodeEdgeGroup(states) {
+    let perm = 0;
+    let ori = 0;
+    for (let i = 0; i < 5; i++) {
+        const pos = states[i] >> 1;
+        // Rank among the positions not used by earlier edges
+        let rank = pos;
+        for (let j = 0; j < i; j++) {
+            if ((states[j] >> 1) < pos) rank--;
+        }
+        perm = perm * (12 - i) + rank;
+        ori = (ori << 1) | (states[i] & 1);
+    }
+    return perm * 32 + ori;
+}
+
+function encodeGroupOf(edges, group) {
+    let perm = 0;
+    let ori = 0;
+    for (let i = 0; i < 5; i++) {
+        const state = edges[group[i]];
+        const pos = state >> 1;
+        let rank = pos;
+        for (let j = 0; j < i; j++) {
+            if ((edges[group[j]] >> 1) < pos) rank--;
+        }
+        perm = perm * (12 - i) + rank;
+        ori = (ori << 1) | (state & 1);
+    }
+    return perm * 32 + ori;
+}
+
+function decodeEdgeGroup(idx, states) {
+    const ori = idx & 31;
+    let perm = idx >> 5;
+    for (let i = 4; i >= 0; i--) {
+        states[i] = perm % (12 - i); // rank for now
+        perm = Math.floor(perm / (12 - i));
+    }
+    // Turn each rank into the rank-th position not taken by an earlier edge
+    let used = 0;
+    for (let i = 0; i < 5; i++) {
+        let rank = states[i];
+        let pos = 0;
+        while (rank > 0 || (used & (1 << pos))) {
+            if (!(used & (1 << pos))) rank--;
+            pos++;
+        }
+        used |= 1 << pos;
+        states[i] = pos * 2 + ((ori >> (4 - i)) & 1);
+    }
+}
+
+export default OptimalSolver;
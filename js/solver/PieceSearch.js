@@ -0,0 +1,348 @@
+// PieceSearch.js - Small IDA* engine for the method solvers (CFOP, Roux, ZZ)
+// Each stage only cares about a few pieces, so the state is tracked per piece:
+//   state[c]      (c = 0..7)  = corner c's position * 3 + orientation
+//   state[8 + e]  (e = 0..11) = edge e's position * 2 + orientation
+//   state[20]                 = quarter turns of the M slice (its U, F, D, B centers)
+// Piece ids and positions use the CubieCube order (URF, UFL, ... / UR, UF, ...).
+import { CubieCube, MOVE_NAMES, MOVE_CUBES } from './KociembaSolver.js';
+
+export const N_PIECES = 20;
+export const CENTER_INDEX = 20;
+export const STATE_SIZE = 21;
+
+// The 18 face turns plus the M slice (turns like L). Slice turns move centers, so a
+// stage using them must bring the M-slice centers back (state[CENTER_INDEX] === 0).
+export const SEARCH_MOVE_NAMES = [...MOVE_NAMES, 'M', 'M2', "M'"];
+export const M_MOVES = [18, 19, 20];
+
+// The U-layer corners URF, UFL, ULB, UBR and edges UR, UF, UL, UB, as a phase's targets (see SolutionExplainer)
+export const LAST_LAYER = { corners: [0, 1, 2, 3], edges: [0, 1, 2, 3] };
+const N_MOVES = SEARCH_MOVE_NAMES.length;
+
+// M: UB -> UF -> DF -> DB -> UB, flipping each edge
+const M_CUBE = new CubieCube();
+M_CUBE.ep = [0, 3, 2, 7, 4, 1, 6, 5, 8, 9, 10, 11];
+M_CUBE.eo = [0, 1, 0, 1, 0, 1, 0, 1, 0, 0, 0, 0];
+const SEARCH_MOVE_CUBES = [...MOVE_CUBES, M_CUBE, M_CUBE.multiply(M_CUBE), M_CUBE.multiply(M_CUBE).multiply(M_CUBE)];
+
+// (position * 3 + orientation) x move, and (position * 2 + orientation) x move
+const cornerMove = new Uint8Array(24 * N_MOVES);
+const edgeMove = new Uint8Array(24 * N_MOVES);
+for (let m = 0; m < N_MOVES; m++) {
+    const move = SEARCH_MOVE_CUBES[m];
+    for (let to = 0; to < 8; to++) {
+        const from = move.cp[to];
+        for (let o = 0; o < 3; o++) {
+            cornerMove[(from * 3 + o) * N_MOVES + m] = to * 3 + ((o + move.co[to]) % 3);
+        }
+    }
+    for (let to = 0; to < 12; to++) {
+        const from = move.ep[to];
+        for (let o = 0; o < 2; o++) {
+            edgeMove[(from * 2 + o) * N_MOVES + m] = to * 2 + ((o + move.eo[to]) % 2);
+        }
+    }
+}
+
+// Layers in the same axis commute; they may only follow each other in increasing index
+// order (U before D, R before L before M, F before B), and never the same layer twice.
+const LAYER_AXIS = [0, 1, 2, 0, 1, 2, 1];
+
+export function isRedundantSearchMove(m, lastMove) {
+    if (lastMove === -1) return false;
+    const layer = Math.floor(m / 3);
+    const lastLayer = Math.floor(lastMove / 3);
+    if (layer === lastLayer) return true;
+    return LAYER_AXIS[layer] === LAYER_AXIS[lastLayer] && layer < lastLayer;
+}
+
+// Last move of the stages so far ({ moves } each), so the next stage's search doesn't start by undoing it
+export function lastMoveIndex(phases) {
+    for (let i = phases.length - 1; i >= 0; i--) {
+        const moves = phases[i].moves;
+        if (moves.length > 0) return SEARCH_MOVE_NAMES.indexOf(moves[moves.length - 1]);
+    }
+    return -1;
+}
+
+/**
+ * @param {CubieCube} cube
+ * @returns {Uint8Array} - per-piece state (see above)
+ */
+export function stateFromCubie(cube) {
+    const state = new Uint8Array(STATE_SIZE);
+    for (let pos = 0; pos < 8; pos++) state[cube.cp[pos]] = pos * 3 + cube.co[pos];
+    for (let pos = 0; pos < 12; pos++) state[8 + cube.ep[pos]] = pos * 2 + cube.eo[pos];
+    return state;
+}
+
+export function applyMove(state, m, out = new Uint8Array(STATE_SIZE)) {
+    for (let c = 0; c < 8; c++) out[c] = cornerMove[state[c] * N_MOVES + m];
+    for (let e = 8; e < N_PIECES; e++) out[e] = edgeMove[state[e] * N_MOVES + m];
+    out[CENTER_INDEX] = m < 18 ? state[CENTER_INDEX] : (state[CENTER_INDEX] + m - 17) % 4;
+    return out;
+}
+
+export function applyMoves(state, moves) {
+    let current = state;
+    for (const name of moves) {
+        current = applyMove(current, SEARCH_MOVE_NAMES.indexOf(name));
+    }
+    return current;
+}
+
+// Piece ids are state indices: corners 0..7, edges 8..19
+export function isPieceSolved(state, piece) {
+    return piece < 8 ? state[piece] === piece * 3 : state[piece] === (piece - 8) * 2;
+}
+
+export function arePiecesSolved(state, pieces) {
+    return pieces.every(p => isPieceSolved(state, p));
+}
+
+/**
+ * Exact move count for a small set of pieces to reach their home positions,
+ * built by breadth-first search over every arrangement of those pieces.
+ */
+export class PatternTable {
+    /**
+     * @param {number[]} corners - corner ids tracked (0..7)
+     * @param {number[]} edges - edge ids tracked (0..11)
+     * @param {number[]} moves - move indices the stage may use
+     */
+    constructor(corners, edges, moves) {
+        this.corners = corners;
+        this.edges = edges;
+        this.moves = moves;
+
+        // Ordered positions x orientations, corners then edges
+        this.cornerOriSize = Math.pow(3, corners.length);
+        this.cornerSize = 1;
+        for (let i = 0; i < corners.length; i++) this.cornerSize *= (8 - i) * 3;
+        this.edgeSize = 1;
+        for (let i = 0; i < edges.length; i++) this.edgeSize *= (12 - i) * 2;
+        this.size = this.cornerSize * this.edgeSize;
+
+        this.table = null;
+    }
+
+    build() {
+        if (this.table) return this;
+
+        const table = new Uint8Array(this.size).fill(0xFF);
+        const state = new Uint8Array(STATE_SIZE);
+        const next = new Uint8Array(STATE_SIZE);
+
+        const solved = new Uint8Array(STATE_SIZE);
+        for (let c = 0; c < 8; c++) solved[c] = c * 3;
+        for (let e = 0; e < 12; e++) solved[8 + e] = e * 2;
+        table[this.encode(solved)] = 0;
+
+        let frontier = [this.encode(solved)];
+        for (let depth = 0; frontier.length > 0; depth++) {
+            const nextFrontier = [];
+            for (const idx of frontier) {
+                this.decode(idx, state);
+                for (const m of this.moves) {
+                    applyMove(state, m, next);
+                    const nextIdx = this.encode(next);
+                    if (table[nextIdx] === 0xFF) {
+                        table[nextIdx] = depth + 1;
+                        nextFrontier.push(nextIdx);
+                    }
+                }
+            }
+            frontier = nextFrontier;
+        }
+
+        this.table = table;
+        return this;
+    }
+
+    lookup(state) {
+        return this.table[this.encode(state)];
+    }
+
+    encode(state) {
+        let perm = 0;
+        let ori = 0;
+        let used = 0;
+        for (let i = 0; i < this.corners.length; i++) {
+            const s = state[this.corners[i]];
+            const pos = (s / 3) | 0;
+            perm = perm * (8 - i) + pos - bitCount(used & ((1 << pos) - 1));
+            ori = ori * 3 + s % 3;
+            used |= 1 << pos;
+        }
+        const cornerIdx = perm * this.cornerOriSize + ori;
+
+        perm = 0;
+        ori = 0;
+        used = 0;
+        for (let i = 0; i < this.edges.length; i++) {
+            const s = state[8 + this.edges[i]];
+            const pos = s >> 1;
+            perm = perm * (12 - i) + pos - bitCount(used & ((1 << pos) - 1));
+            ori = (ori << 1) | (s & 1);
+            used |= 1 << pos;
+        }
+        return cornerIdx * this.edgeSize + (perm << this.edges.length) + ori;
+    }
+
+    // Fills in the tracked pieces of `state`; the others are left untouched
+    decode(idx, state) {
+        const edgeIdx = idx % this.edgeSize;
+        const cornerIdx = (idx - edgeIdx) / this.edgeSize;
+
+        // Ranks and orientations are unpacked last piece first, straight into `state`
+        const nc = this.corners.length;
+        let ori = cornerIdx % this.cornerOriSize;
+        let perm = (cornerIdx - ori) / this.cornerOriSize;
+        for (let i = nc - 1; i >= 0; i--) {
+            const rank = perm % (8 - i);
+            perm = (perm - rank) / (8 - i);
+            state[this.corners[i]] = rank * 3 + ori % 3;
+            ori = (ori - ori % 3) / 3;
+        }
+        let used = 0;
+        for (let i = 0; i < nc; i++) {
+            const s = state[this.corners[i]];
+            const pos = nthFree(used, (s / 3) | 0);
+            used |= 1 << pos;
+            state[this.corners[i]] = pos * 3 + s % 3;
+        }
+
+        const ne = this.edges.length;
+        const edgeOri = edgeIdx & ((1 << ne) - 1);
+        perm = edgeIdx >> ne;
+        for (let i = ne - 1; i >= 0; i--) {
+            const rank = perm % (12 - i);
+            perm = (perm - rank) / (12 - i);
+            state[8 + this.edges[i]] = rank * 2 + ((edgeOri >> (ne - 1 - i)) & 1);
+        }
+        used = 0;
+        for (let i = 0; i < ne; i++) {
+            const s = state[8 + this.edges[i]];
+            const pos = nthFree(used, s >> 1);
+            used |= 1 << pos;
+            state[8 + this.edges[i]] = pos * 2 + (s & 1);
+        }
+    }
+}
+
+// The largest of the tables' distances: no table overestimates, so neither does their maximum
+function lowerBound(tables, state) {
+    let h = 0;
+    for (const t of tables) {
+        const v = t.lookup(state);
+        if (v > h) h = v;
+    }
+    return h;
+}
+
+/**
+ * IDA* until every table reads 0 (tables must cover all pieces the stage has to solve)
+ * @param {Uint8Array} state - starting per-piece state
+ * @param {PatternTable[]} tables - admissible heuristics
+ * @param {number[]} moves - move indices (into SEARCH_MOVE_NAMES) to search with
+ * @param {Object} [options]
+ * @param {number} [options.maxDepth] - give up beyond this many moves
+ * @param {number} [options.lastMove] - move before the stage, to avoid e.g. "U U'" across stages
+ * @returns {string[]|null} - shortest move sequence, or null if none within maxDepth
+ */
+export function searchStage(state, tables, moves, options = {}) {
+    const maxDepth = options.maxDepth ?? 20;
+    const lastMove = options.lastMove ?? -1;
+    const path = [];
+    const stack = [];
+    for (let d = 0; d <= maxDepth; d++) stack.push(new Uint8Array(STATE_SIZE));
+    stack[0].set(state);
+
+    const search = (depth, bound, prev) => {
+        const current = stack[depth];
+        const h = lowerBound(tables, current);
+        if (h === 0) return true;
+        if (depth + h > bound) return false;
+
+        for (const m of moves) {
+            if (isRedundantSearchMove(m, prev)) continue;
+            applyMove(current, m, stack[depth + 1]);
+            path.push(m);
+            if (search(depth + 1, bound, m)) return true;
+            path.pop();
+        }
+        return false;
+    };
+
+    for (let bound = lowerBound(tables, state); bound <= maxDepth; bound++) {
+        if (search(0, bound, lastMove)) {
+            return path.map(m => SEARCH_MOVE_NAMES[m]);
+        }
+    }
+    return null;
+}
+
+/**
+ * Like searchStage, but collects every shortest sequence instead of the first one found.
+ * Moves on the same axis are only tried in one order, so no sequence is listed twice.
+ * @param {Uint8Array} state - starting per-piece state
+ * @param {PatternTable[]} tables - admissible heuristics
+ * @param {number[]} moves - move indices (into SEARCH_MOVE_NAMES) to search with
+ * @param {Object} [options]
+ * @param {number} [options.maxDepth] - give up beyond this many moves
+ * @param {number} [options.limit] - stop after this many sequences
+ * @returns {string[][]} - sequences, all of the shortest length; empty if none within maxDepth
+ */
+export function searchAll(state, tables, moves, options = {}) {
+    const maxDepth = options.maxDepth ?? 20;
+    const limit = options.limit ?? Infinity;
+    const path = [];
+    const found = [];
+    const stack = [];
+    for (let d = 0; d <= maxDepth; d++) stack.push(new Uint8Array(STATE_SIZE));
+    stack[0].set(state);
+
+    // Only called with bounds below the shortest solution's length or equal to it, so h === 0 means depth === bound
+    const search = (depth, bound, prev) => {
+        const current = stack[depth];
+        const h = lowerBound(tables, current);
+        if (h === 0) {
+            found.push(path.map(m => SEARCH_MOVE_NAMES[m]));
+            return;
+        }
+        if (depth + h > bound) return;
+
+        for (const m of moves) {
+            if (found.length >= limit) return;
+            if (isRedundantSearchMove(m, prev)) continue;
+            applyMove(current, m, stack[depth + 1]);
+            path.push(m);
+            search(depth + 1, bound, m);
+            path.pop();
+        }
+    };
+
+    for (let bound = lowerBound(tables, state); bound <= maxDepth && found.length === 0; bound++) {
+        search(0, bound, -1);
+    }
+    return found;
+}
+
+function bitCount(n) {
+    let count = 0;
+    while (n) {
+        n &= n - 1;
+        count++;
+    }
+    return count;
+}
+
+// Index of the rank-th zero bit of `used`
+function nthFree(used, rank) {
+    let pos = 0;
+    while (rank > 0 || (used & (1 << pos))) {
+        if (!(used & (1 << pos))) rank--;
+        pos++;
+    }
+    return pos;
+}
@@ -0,0 +1,212 @@
+// RouxSolver.js - Block-building solver following the Roux method
+//   - First Block: 1x2x3 block on the left (DL, FL, BL edges and the DLF, DBL corners)
+//   - Second Block: the matching block on the right, built with R, U and M only
+//   - CMLL: the top corners in one algorithm (42 cases), keeping both blocks
+//   - LSE: the six remaining edges (and the M-slice centers) with M and U only
+// The first block is always built on L, with D as its bottom.
+import { CubieCube, MOVE_NAMES } from './KociembaSolver.js';
+import {
+    PatternTable, stateFromCubie, searchStage, applyMove, applyMoves,
+    lastMoveIndex, LAST_LAYER, SEARCH_MOVE_NAMES, CENTER_INDEX, STATE_SIZE
+} from './PieceSearch.js';
+import { recognizeCMLL, getCornerCaseName } from './LastLayerAlgorithms.js';
+
+const FACE_MOVES = MOVE_NAMES.map((_, m) => m);
+const move = (name) => SEARCH_MOVE_NAMES.indexOf(name);
+const movesOf = (names) => names.map(move);
+
+// Second block moves: <R, U, M> never disturb the first block
+const SB_MOVES = movesOf(['U', 'U2', "U'", 'R', 'R2', "R'", 'M', 'M2', "M'"]);
+const LSE_MOVES = movesOf(['U', 'U2', "U'", 'M', 'M2', "M'"]);
+
+const FIRST_BLOCK = { corners: [5, 6], edges: [6, 9, 10] };   // DLF, DBL / DL, FL, BL
+const SECOND_BLOCK = { corners: [4, 7], edges: [4, 8, 11] };  // DFR, DRB / DR, FR, BR
+const TOP_CORNERS = { corners: LAST_LAYER.corners, edges: [] };
+
+// LSE edges UR, UF, UL, UB, DF, DB; positions use the same ids
+const LSE_EDGES = [0, 1, 2, 3, 5, 7];
+const LSE_SLOT = [0, 1, 2, 3, -1, 4, -1, 5, -1, -1, -1, -1];
+const N_LSE_STATES = 720 * 64 * 4 * 4; // edge permutation x flips x M-slice centers x U-layer corners
+
+const MAX_BLOCK_DEPTH = 14;
+
+export class RouxSolver {
+    constructor() {
+        this.onProgress = null;
+        this.firstBlockTables = null;
+        this.secondBlockTables = null;
+        this.lseTable = null;
+    }
+
+    reportProgress(info) {
+        if (this.onProgress) this.onProgress(info);
+    }
+
+    hasTables() {
+        return this.lseTable !== null;
+    }
+
+    // A few seconds of breadth-first search; small enough not to need caching
+    initTables() {
+        if (this.hasTables()) return;
+
+        console.time('Init Roux Tables');
+        const { corners: fc, edges: fe } = FIRST_BLOCK;
+        this.reportProgress({ stage: 'tables', percent: 0, table: 'First Block' });
+        this.firstBlockTables = [
+            new PatternTable(fc, [fe[0], fe[1]], FACE_MOVES).build(),
+            new PatternTable(fc, [fe[0], fe[2]], FACE_MOVES).build()
+        ];
+
+        const { corners: sc, edges: se } = SECOND_BLOCK;
+        this.reportProgress({ stage: 'tables', percent: 40, table: 'Second Block' });
+        this.secondBlockTables = [
+            new PatternTable(sc, [se[0], se[1]], SB_MOVES).build(),
+            new PatternTable(sc, [se[0], se[2]], SB_MOVES).build()
+        ];
+
+        this.reportProgress({ stage: 'tables', percent: 70, table: 'LSE' });
+        this.lseTable = this.buildLSETable();
+        this.reportProgress({ stage: 'tables', percent: 100, table: 'LSE' });
+        console.timeEnd('Init Roux Tables');
+    }
+
+    /**
+     * @param {CubieCube} cube - a solvable cube
+     * @returns {Object} - { success, solution: string[], phases: object[], error }
+     */
+    solve(cube) {
+        this.initTables();
+
+        let state = stateFromCubie(cube);
+        const phases = [];
+        const addPhase = (phase) => {
+            phases.push(phase);
+            state = applyMoves(state, phase.moves);
+        };
+        const fail = (error) => ({ success: false, solution: [], phases: [], error });
+
+        this.reportProgress({ stage: 'search', phase: 'First Block', depth: 0 });
+        const firstBlock = searchStage(state, this.firstBlockTables, FACE_MOVES, { maxDepth: MAX_BLOCK_DEPTH });
+        if (!firstBlock) return fail('Could not build the first block.');
+        addPhase({
+            name: 'First Block',
+            icon: '🧱',
+            moves: firstBlock,
+            description: 'Building a 1x2x3 block on the left',
+            targets: FIRST_BLOCK
+        });
+
+        this.reportProgress({ stage: 'search', phase: 'Second Block', depth: 0 });
+        const secondBlock = searchStage(state, this.secondBlockTables, SB_MOVES, {
+            maxDepth: MAX_BLOCK_DEPTH,
+            lastMove: lastMoveIndex(phases)
+        });
+        if (!secondBlock) return fail('Could not build the second block.');
+        addPhase({
+            name: 'Second Block',
+            icon: '🧱',
+            moves: secondBlock,
+            description: 'Building the matching block on the right with R, U and M',
+            targets: SECOND_BLOCK
+        });
+
+        this.reportProgress({ stage: 'search', phase: 'CMLL', depth: 0 });
+        const cmll = recognizeCMLL(state);
+        if (!cmll) return fail('Could not recognise the CMLL case.');
+        addPhase({
+            name: cmll.case ? `CMLL (${getCornerCaseName(cmll.case)})` : 'CMLL (skip)',
+            icon: '🔶',
+            moves: cmll.moves,
+            notation: cmll.notation,
+            description: cmll.case ? `Solving the top corners: CMLL ${getCornerCaseName(cmll.case)}` : 'Top corners already solved',
+            targets: TOP_CORNERS
+        });
+
+        this.reportProgress({ stage: 'search', phase: 'LSE', depth: 0 });
+        const lse = this.solveLSE(state);
+        if (!lse) return fail('Could not solve the last six edges.');
+        addPhase({
+            name: 'LSE',
+            icon: '↕️',
+            moves: lse,
+            description: 'Last six edges and centers with M and U',
+            targets: { corners: [], edges: LSE_EDGES }
+        });
+
+        return {
+            success: true,
+            solution: phases.flatMap(p => p.moves),
+            phases,
+            error: null
+        };
+    }
+
+    // Walk down the LSE distance table: every step picks a move one closer to solved
+    solveLSE(state) {
+        const moves = [];
+        let current = state;
+        let distance = this.lseTable[encodeLSE(current)];
+        if (distance === 0xFF) return null;
+
+        while (distance > 0) {
+            let found = false;
+            for (const m of LSE_MOVES) {
+                const next = applyMove(current, m);
+                if (this.lseTable[encodeLSE(next)] === distance - 1) {
+                    moves.push(SEARCH_MOVE_NAMES[m]);
+                    current = next;
+                    distance--;
+                    found = true;
+                    break;
+                }
+            }
+            if (!found) return null;
+        }
+        return moves;
+    }
+
+    // Exact <M, U> distances once the blocks and corners are solved (737,280 states)
+    buildLSETable() {
+        const table = new Uint8Array(N_LSE_STATES).fill(0xFF);
+        const solved = stateFromCubie(new CubieCube());
+        table[encodeLSE(solved)] = 0;
+
+        let frontier = [solved];
+        for (let depth = 0; frontier.length > 0; depth++) {
+            const nextFrontier = [];
+            for (const state of frontier) {
+                for (const m of LSE_MOVES) {
+                    const next = applyMove(state, m, new Uint8Array(STATE_SIZE));
+                    const idx = encodeLSE(next);
+                    if (table[idx] === 0xFF) {
+                        table[idx] = depth + 1;
+                        nextFrontier.push(next);
+                    }
+                }
+            }
+            frontier = nextFrontier;
+        }
+        return table;
+    }
+}
+
+function encodeLSE(state) {
+    let perm = 0;
+    let ori = 0;
+    let used = 0;
+    for (let i = 0; i < LSE_EDGES.length; i++) {
+        const s = state[8 + LSE_EDGES[i]];
+        const slot = LSE_SLOT[s >> 1];
+        let rank = slot;
+        for (let j = 0; j < slot; j++) if (used & (1 << j)) rank--;
+        perm = perm * (6 - i) + rank;
+        ori = (ori << 1) | (s & 1);
+        used |= 1 << slot;
+    }
+    // URF stays in the top layer, so its position (0..3) gives the U-layer offset
+    const cornerPosition = (state[0] / 3) | 0;
+    return ((perm * 64 + ori) * 4 + state[CENTER_INDEX]) * 4 + cornerPosition;
+}
+
+export default RouxSolver;
@@ -0,0 +1,163 @@
+// Scrambler.js - Random-state and random-move scrambles, reproducible from a seed
+//   - Random state: a uniformly random solvable cube is generated piece by piece, solved with
+//     the two-phase solver, and the inverse of that solution is the scramble. Unlike a run of
+//     random turns, every reachable state is equally likely.
+//   - Random moves: 20 random face turns, never the same face twice in a row
+// Every scramble has an ID like "state-1k3f9a" (type and base-36 seed) that regenerates it exactly.
+import { CubieCube } from './KociembaSolver.js';
+import { parseMoves, invertMoves, formatMove } from '../cube/Notation.js';
+
+// Scrambles this short are rejected and redrawn, as in competition
+const MIN_SCRAMBLE_LENGTH = 2;
+
+const MOVE_SCRAMBLE_LENGTH = 20;
+
+/**
+ * Seeded pseudo-random numbers (mulberry32)
+ * @param {number} seed - 32-bit unsigned integer
+ * @returns {Function} - returns a float in [0, 1) on each call, like Math.random
+ */
+export function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export function newSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// "state-1k3f9a"
+export function formatScrambleId(type, seed) {
+    return `${type}-${seed.toString(36)}`;
+}
+
+/**
+ * @param {string} id - e.g. "state-1k3f9a" or "moves-zik0zj"
+ * @returns {Object} - { success, type, seed, error }
+ */
+export function parseScrambleId(id) {
+    const match = /^(state|moves)-([0-9a-z]{1,7})$/.exec(String(id).trim().toLowerCase());
+    const seed = match ? parseInt(match[2], 36) : NaN;
+    if (!match || seed >= 4294967296) {
+        return { success: false, type: null, seed: null, error: `"${id}" is not a scramble ID (expected e.g. state-1k3f9a or moves-1k3f9a)` };
+    }
+    return { success: true, type: match[1], seed, error: null };
+}
+
+/**
+ * Regenerate a scramble from its ID
+ * @param {string} id - see parseScrambleId
+ * @param {KociembaSolver} [kociemba] - needed for random-state scrambles
+ * @returns {Object} - { success, id, type, scramble: string[], error }; id is tidied up
+ */
+export function generateScramble(id, kociemba = null) {
+    const parsed = parseScrambleId(id);
+    if (!parsed.success) {
+        return { success: false, id, type: null, scramble: [], error: parsed.error };
+    }
+
+    const { type, seed } = parsed;
+    const random = createRandom(seed);
+    const result = type === 'moves'
+        ? { success: true, scramble: randomMoveScramble(MOVE_SCRAMBLE_LENGTH, random), error: null }
+        : kociemba
+            ? randomStateScramble(kociemba, random)
+            : { success: false, scramble: [], error: 'Random-state scrambles need the solver.' };
+    return { ...result, id: formatScrambleId(type, seed), type };
+}
+
+/**
+ * A uniformly random solvable cube: any corner and edge permutation of equal parity,
+ * any twist and flip that sum to zero
+ * @param {Function} [random] - returns a float in [0, 1), like Math.random
+ * @returns {CubieCube}
+ */
+export function randomCubieCube(random = Math.random) {
+    const cube = new CubieCube();
+    shuffle(cube.cp, random);
+    shuffle(cube.ep, random);
+    // Swapping two edges maps odd permutations one-to-one onto even ones, so this stays uniform
+    if (cube.getCornerParity() !== cube.getEdgeParity()) {
+        [cube.ep[10], cube.ep[11]] = [cube.ep[11], cube.ep[10]];
+    }
+
+    let twist = 0;
+    for (let i = 0; i < 7; i++) {
+        cube.co[i] = Math.floor(random() * 3);
+        twist += cube.co[i];
+    }
+    cube.co[7] = (3 - twist % 3) % 3;
+
+    let flip = 0;
+    for (let i = 0; i < 11; i++) {
+        cube.eo[i] = Math.floor(random() * 2);
+        flip += cube.eo[i];
+    }
+    cube.eo[11] = flip % 2;
+    return cube;
+}
+
+/**
+ * @param {KociembaSolver} kociemba - with its tables loaded (they are built otherwise)
+ * @param {Function} [random] - see randomCubieCube
+ * @returns {Object} - { success, scramble: string[], error }
+ */
+export function randomStateScramble(kociemba, random = Math.random) {
+    // Only the node budget may end the search, so the same seed gives the same moves on any machine
+    const timeout = kociemba.timeout;
+    kociemba.timeout = Infinity;
+    try {
+        for (;;) {
+            const result = kociemba.solve(randomCubieCube(random).toFacelets());
+            if (!result.success) {
+                return { success: false, scramble: [], error: result.error };
+            }
+            const solution = parseMoves(result.solution);
+            if (solution.length >= MIN_SCRAMBLE_LENGTH) {
+                return { success: true, scramble: invertMoves(solution).map(formatMove), error: null };
+            }
+        }
+    } finally {
+        kociemba.timeout = timeout;
+    }
+}
+
+/**
+ * Random face turns, never the same face twice in a row
+ * @param {number} [length]
+ * @param {Function} [random] - see randomCubieCube
+ * @returns {string[]}
+ */
+export function randomMoveScramble(length = 20, random = Math.random) {
+    const faces = ['R', 'L', 'U', 'D', 'F', 'B'];
+    const modifiers = ['', "'", '2'];
+    const moves = [];
+    let lastFace = '';
+
+    for (let i = 0; i < length; i++) {
+        let face;
+        do {
+            face = faces[Math.floor(random() * faces.length)];
+        } while (face === lastFace);
+
+        lastFace = face;
+        moves.push(face + modifiers[Math.floor(random() * modifiers.length)]);
+    }
+    return moves;
+}
+
+// Fisher-Yates, in place
+function shuffle(array, random) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+}
+
+export default randomStateScramble;
@@ -0,0 +1,165 @@
+// SolutionExplainer.js - Splits each phase of a solution into annotated sub-steps
+// The moves are replayed on a CubeState; a sub-step ends with the move that puts one of the phase's
+// target pieces in place for good (it stays solved to the end of the phase). Pieces that only happen
+// to land in place along the way are not mentioned. Each step names its pieces by color and home
+// slot, e.g. "Pairs the white-red-green corner with the red-green edge and inserts them at
+// Top-Right-Front", and says where they start so the UI can highlight them.
+import { CubeState } from '../cube/CubeState.js';
+import { parseMove } from '../cube/Notation.js';
+
+/**
+ * @param {Object} paintState - the start cube
+ * @param {Array} phases - [{ name, moves, description, targets?, goal? }]. targets: { corners, edges } slot
+ *   indices of the pieces the phase solves; otherwise the pieces its goal stickers cover, or every piece
+ * @param {Array} pieces - every corner and edge slot, in the cubie order of CubeState.js:
+ *   [{ type: 'corner'|'edge', index, name, stickers: [{ face, index }] }]
+ * @param {Object} [target] - paint state the solution reaches; the solved cube if omitted
+ * @returns {Array} - copies of the phases; those that place pieces get
+ *   steps: [{ moves: string[], notation: string|null, text, stickers: [{ face, index }] }].
+ *   notation spells out a repeated trigger, e.g. "(R U R' U')3"; stickers are where the step's
+ *   pieces are when it starts
+ */
+export function explainPhases(paintState, phases, pieces, target = null) {
+    // Pieces are named by the colors of their home slot on the finished cube
+    const finished = stateAfter(paintState, phases.flatMap(phase => phase.moves));
+    const expected = (face, index) => target ? target[face][index] : finished[face][4];
+
+    const cube = new CubeState();
+    cube.setState(paintState);
+    return phases.map(phase => {
+        const start = cube.getState();
+        const targets = targetPieces(phase, pieces);
+        const solvedAt = phase.moves.map(move => {
+            cube.applyMove(move, false);
+            return targets.map(piece => isPlaced(cube.state, piece, expected));
+        });
+        const steps = splitSteps(phase, start, solvedAt, targets, pieces, expected);
+        return steps.length > 0 ? { ...phase, steps } : phase;
+    });
+}
+
+function targetPieces(phase, pieces) {
+    if (phase.targets) {
+        return pieces.filter(piece => phase.targets[piece.type === 'corner' ? 'corners' : 'edges'].includes(piece.index));
+    }
+    if (phase.goal) {
+        const inGoal = ({ face, index }) => phase.goal.some(g => g.face === face && g.index === index);
+        return pieces.filter(piece => piece.stickers.every(inGoal));
+    }
+    return pieces;
+}
+
+// "white-red-green corner" from the colors a slot's piece has when solved
+function pieceLabel(piece, expected) {
+    const cube = new CubeState();
+    const colors = piece.stickers.map(({ face, index }) => cube.getColorName(expected(face, index)).toLowerCase());
+    return `${colors.join('-')} ${piece.type}`;
+}
+
+function splitSteps(phase, start, solvedAt, targets, pieces, expected) {
+    const last = phase.moves.length - 1;
+    if (last < 0) return [];
+    // Turning the whole cube (a color-neutral solve's first phase) places nothing
+    if (phase.moves.every(move => parseMove(move)?.type === 'rotation')) return [];
+
+    // For each target the phase places: the move after which it stays solved
+    const placed = [];
+    targets.forEach((piece, p) => {
+        if (!solvedAt[last][p] || isPlaced(start, piece, expected)) return;
+        let move = last;
+        while (move > 0 && solvedAt[move - 1][p]) move--;
+        placed.push({ piece, move });
+    });
+    if (placed.length === 0) return [];
+
+    // A named case ("OLL (Sune)") is one algorithm, so it stays one step
+    const ends = isCase(phase) ? [last] : [...new Set(placed.map(p => p.move))].sort((a, b) => a - b);
+    ends[ends.length - 1] = last; // moves after the last piece lands go with it
+    let from = 0;
+    return ends.map((end, i) => {
+        const stepPieces = placed.filter(p => i === ends.length - 1 ? p.move >= from : p.move === end).map(p => p.piece);
+        const moves = phase.moves.slice(from, end + 1);
+        const before = from === 0 ? start : stateAfter(start, phase.moves.slice(0, from));
+        from = end + 1;
+
+        return {
+            moves,
+            notation: repeatNotation(moves),
+            text: describe(stepPieces, phase, (piece) => pieceLabel(piece, expected)),
+            stickers: stepPieces.flatMap(piece => findPiece(before, piece, expected, pieces))
+        };
+    });
+}
+
+function isCase(phase) {
+    return /\(.*\)$/.test(phase.name);
+}
+
+function describe(stepPieces, phase, label) {
+    const corners = stepPieces.filter(p => p.type === 'corner');
+    const edges = stepPieces.filter(p => p.type === 'edge');
+
+    if (isCase(phase)) return inPlace(stepPieces, phase);
+    if (stepPieces.length === 1) {
+        const [piece] = stepPieces;
+        return piece.type === 'corner'
+            ? `Brings the ${label(piece)} home to ${piece.name}`
+            : `Places the ${label(piece)} at ${piece.name}`;
+    }
+    if (corners.length === 1 && edges.length === 1) {
+        return `Pairs the ${label(corners[0])} with the ${label(edges[0])} and inserts them at ${corners[0].name}`;
+    }
+    if (stepPieces.length <= 3) {
+        const labels = stepPieces.map(piece => `the ${label(piece)}`);
+        return `Places ${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`;
+    }
+    return inPlace(stepPieces, phase);
+}
+
+function inPlace(stepPieces, phase) {
+    const count = stepPieces.length === 1 ? '1 piece' : `${stepPieces.length} pieces`;
+    return `${phase.description || phase.name}: ${count} in place`;
+}
+
+// A piece is placed when each of its stickers matches the finished cube. Comparing with the finished
+// centers rather than the current ones keeps pieces placed while slice moves still offset the centers
+function isPlaced(state, piece, expected) {
+    return piece.stickers.every(({ face, index }) => state[face][index] === expected(face, index));
+}
+
+// The stickers of the slot holding the piece (the slot with the same set of colors)
+function findPiece(state, piece, expected, pieces) {
+    const colors = piece.stickers.map(({ face, index }) => expected(face, index)).sort().join('');
+    const slot = pieces.find(other => other.type === piece.type &&
+        other.stickers.map(({ face, index }) => state[face][index]).sort().join('') === colors);
+    return slot ? slot.stickers : [];
+}
+
+function stateAfter(state, moves) {
+    const cube = new CubeState();
+    cube.setState(state);
+    moves.forEach(move => cube.applyMove(move, false));
+    return cube.getState();
+}
+
+// "(R U R' U')3" for a block of two or more moves repeated at least twice, with any moves around it
+function repeatNotation(moves) {
+    let best = null;
+    for (let length = 2; length * 2 <= moves.length; length++) {
+        for (let start = 0; start + length * 2 <= moves.length; start++) {
+            const block = moves.slice(start, start + length).join(' ');
+            let count = 1;
+            while (moves.slice(start + length * count, start + length * (count + 1)).join(' ') === block) count++;
+            if (count > 1 && (!best || length * count > best.length * best.count)) {
+                best = { start, length, count, block };
+            }
+        }
+    }
+    if (!best) return null;
+
+    const before = moves.slice(0, best.start);
+    const after = moves.slice(best.start + best.length * best.count);
+    return [...before, `(${best.block})${best.count}`, ...after].join(' ');
+}
+
+export default explainPhases;
@@ -0,0 +1,72 @@
+// SolutionVerifier.js - Replays a solution on a fresh CubeState before it is shown
+// The solvers work on their own cube models, and some steps (the layer-by-layer fallback's
+// last layer, for one) give up after a fixed number of attempts. Replaying the moves on the
+// sticker model the UI uses catches any solution that doesn't actually reach its target.
+import { CubeState } from '../cube/CubeState.js';
+
+const FACES = ['U', 'R', 'F', 'D', 'L', 'B'];
+
+/**
+ * @param {Object} paintState - the start cube { U: [9 colors], R: [9], F: [9], D: [9], L: [9], B: [9] }
+ * @param {Array} phases - [{ name, moves, goal? }], applied in order. goal lists the stickers
+ *   [{ face, index }] the phase leaves matching their centers, when solving to the solved cube
+ * @param {Object} [target] - paint state the moves should reach; the solved cube if omitted
+ * @returns {Object} - { valid, phase, phaseIndex, residual, wrongStickers, error }
+ *   On failure phase names the phase that didn't finish (one whose moves don't apply or whose
+ *   goal isn't met, otherwise the last one), residual is the paint state the moves end in and
+ *   wrongStickers lists [{ face, index, expected, actual }]
+ */
+export function verifySolution(paintState, phases, target = null) {
+    const cube = new CubeState();
+    cube.setState(paintState);
+    let missedGoal = -1;
+
+    for (let i = 0; i < phases.length; i++) {
+        const parsed = cube.applyMoves(phases[i].moves.join(' '), false);
+        if (!parsed.success) {
+            return failure(phases, i, cube.getState(), [], `${phases[i].name}: ${parsed.error}`);
+        }
+        const { goal } = phases[i];
+        if (missedGoal < 0 && goal && !target && !goal.every(({ face, index }) => cube.state[face][index] === cube.state[face][4])) {
+            missedGoal = i;
+        }
+    }
+
+    const residual = cube.getState();
+    const wrongStickers = [];
+    for (const face of FACES) {
+        // Solved means every sticker matches its center, wherever slice moves left the centers
+        const expected = target ? target[face] : residual[face].map(() => residual[face][4]);
+        residual[face].forEach((actual, index) => {
+            if (actual !== expected[index]) {
+                wrongStickers.push({ face, index, expected: expected[index], actual });
+            }
+        });
+    }
+    if (wrongStickers.length === 0) {
+        return { valid: true, phase: null, phaseIndex: null, residual, wrongStickers, error: null };
+    }
+
+    const goal = target ? 'the target' : 'the solved cube';
+    if (missedGoal >= 0) {
+        return failure(phases, missedGoal, residual, wrongStickers,
+            `The solution doesn't reach ${goal}: ${phases[missedGoal].name} didn't finish, ${wrongStickers.length} stickers end up wrong.`);
+    }
+    const last = phases.length - 1;
+    const name = last >= 0 ? phases[last].name : 'Solution';
+    return failure(phases, last, residual, wrongStickers,
+        `The solution doesn't reach ${goal}: after ${name}, ${wrongStickers.length} stickers are still wrong.`);
+}
+
+function failure(phases, phaseIndex, residual, wrongStickers, error) {
+    return {
+        valid: false,
+        phase: phaseIndex >= 0 ? phases[phaseIndex].name : null,
+        phaseIndex: phaseIndex >= 0 ? phaseIndex : null,
+        residual,
+        wrongStickers,
+        error
+    };
+}
+
+export default verifySolution;
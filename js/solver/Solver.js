@@ -1,41 +1,63 @@
 // Solver.js - Enhanced Rubik's Cube Solver with Kociemba Two-Phase Algorithm and Fallback
-import { KociembaSolver } from './KociembaSolver.js';
+import { KociembaSolver, CubieCube } from './KociembaSolver.js';
+import { OptimalSolver } from './OptimalSolver.js';
+import { CFOPSolver } from './CFOPSolver.js';
+import { RouxSolver } from './RouxSolver.js';
+import { ZZSolver } from './ZZSolver.js';
+import { CrossFinder } from './CrossFinder.js';
+import { STATE_SIZE } from './PieceSearch.js';
+import { optimizeMoves, optimizePhases } from '../cube/MoveOptimizer.js';
+import { parseMoves, expandMove } from '../cube/Notation.js';
+import { CubeState, turnLayer, CORNER_SLOTS, EDGE_SLOTS, faceletIndex, faceletsToCubies, permutationParity } from '../cube/CubeState.js';
+import { verifySolution } from './SolutionVerifier.js';
+import { explainPhases } from './SolutionExplainer.js';
+import { diagnoseCubies } from './StateDiagnosis.js';
+import { inferStickers } from './StickerInference.js';
+import { randomCubieCube, createRandom, newSeed, generateScramble, parseScrambleId } from './Scrambler.js';
+import { summarizeBatch } from './BatchReport.js';
+import { countMoves } from '../cube/MoveMetrics.js';
+
+// Stickers each layer-by-layer phase leaves solved, so a failed solution check can name the phase
+const ALL = [0, 1, 2, 3, 4, 5, 6, 7, 8];
+function layerGoal(faces, sideIndices) {
+    const goal = [];
+    for (const [face, indices] of Object.entries(faces)) {
+        indices.forEach(index => goal.push({ face, index }));
+    }
+    ['R', 'F', 'L', 'B'].forEach(face => sideIndices.forEach(index => goal.push({ face, index })));
+    return goal;
+}
+
+// The method solvers build their own (small) tables; only these need the Kociemba ones loaded
+export function usesKociembaTables(options = {}) {
+    return !options.method || options.method === 'kociemba' || options.method === 'optimal';
+}
+
+// Methods that start on the bottom face (the CFOP and ZZ cross, Roux's blocks), so any color can go there
+const COLOR_NEUTRAL_METHODS = ['cfop', 'roux', 'zz'];
+
+// The whole-cube rotation that brings each face to the bottom
+const ROTATE_TO_BOTTOM = { U: 'x2', R: 'z', F: "x'", D: '', L: "z'", B: 'x' };
 
 export class Solver {
     constructor() {
         this.kociemba = new KociembaSolver();
+        this.optimal = new OptimalSolver();
+        this.cfop = new CFOPSolver();
+        this.roux = new RouxSolver();
+        this.zz = new ZZSolver();
+        this.crossFinder = new CrossFinder();
 
-        // Corner and edge definitions (facelet indices)
+        // Corner and edge slots of the shared cubie model (see CubeState.js), as facelet indices
         // Facelets indexed 0-53: U(0-8), R(9-17), F(18-26), D(27-35), L(36-44), B(45-53)
-        // ... (Existing definitions) ...
-
-        // Correct corner definitions based on standard cube orientation
-        this.corners = [
-            { facelets: [8, 9, 20], faces: ['U', 'R', 'F'], name: 'URF' },
-            { facelets: [6, 18, 38], faces: ['U', 'F', 'L'], name: 'UFL' },
-            { facelets: [0, 36, 47], faces: ['U', 'L', 'B'], name: 'ULB' },
-            { facelets: [2, 45, 11], faces: ['U', 'B', 'R'], name: 'UBR' },
-            { facelets: [29, 15, 26], faces: ['D', 'R', 'F'], name: 'DRF' },
-            { facelets: [27, 24, 44], faces: ['D', 'F', 'L'], name: 'DFL' },
-            { facelets: [33, 42, 53], faces: ['D', 'L', 'B'], name: 'DLB' },
-            { facelets: [35, 51, 17], faces: ['D', 'B', 'R'], name: 'DBR' }
-        ];
-
-        // Edges: UR, UF, UL, UB, DR, DF, DL, DB, FR, FL, BL, BR
-        this.edges = [
-            { facelets: [5, 10], faces: ['U', 'R'], name: 'UR' },
-            { facelets: [7, 19], faces: ['U', 'F'], name: 'UF' },
-            { facelets: [3, 37], faces: ['U', 'L'], name: 'UL' },
-            { facelets: [1, 46], faces: ['U', 'B'], name: 'UB' },
-            { facelets: [32, 16], faces: ['D', 'R'], name: 'DR' },
-            { facelets: [28, 25], faces: ['D', 'F'], name: 'DF' },
-            { facelets: [30, 43], faces: ['D', 'L'], name: 'DL' },
-            { facelets: [34, 52], faces: ['D', 'B'], name: 'DB' },
-            { facelets: [23, 12], faces: ['F', 'R'], name: 'FR' },
-            { facelets: [21, 41], faces: ['F', 'L'], name: 'FL' },
-            { facelets: [50, 39], faces: ['B', 'L'], name: 'BL' },
-            { facelets: [48, 14], faces: ['B', 'R'], name: 'BR' }
-        ];
+        // Stickers are listed clockwise starting from the U/D sticker, so orientation is comparable between slots
+        const toSlot = slot => ({
+            facelets: slot.stickers.map(([face, index]) => faceletIndex(face, index)),
+            faces: [...slot.name],
+            name: slot.name
+        });
+        this.corners = CORNER_SLOTS.map(toSlot);
+        this.edges = EDGE_SLOTS.map(toSlot);
 
         this.faceOrder = ['U', 'R', 'F', 'D', 'L', 'B'];
         this.solution = [];
@@ -45,51 +67,220 @@ export class Solver {
     /**
      * Main solve entry point
      * @param {Object} paintState - { U: [9 colors], R: [9], F: [9], D: [9], L: [9], B: [9] }
+     * @param {Function} [onProgress] - receives { stage, ... } updates while tables build and the search runs
+     * @param {Object} [options]
+     * @param {string} [options.method] - 'kociemba' (default), 'optimal', 'cfop', 'roux' or 'zz'
+     * @param {number} [options.timeLimit] - ms the optimal search may run for
+     * @param {Object} [options.target] - paint state to reach instead of the solved cube (same centers)
      * @returns {Object} - { success: boolean, solution: string[], phases: object[], error: string }
+     *   Optimal solves also return optimal: { proven, lowerBound }. A phase may carry a compact
+     *   notation of its moves, e.g. "U [F: [R, U]]". A solution that fails its replay is not
+     *   returned; the result carries verification instead (see SolutionVerifier.verifySolution).
+     *   Step-by-step methods split their phases into explained steps (see explainResult)
+     * @param {string[]|boolean} [options.crossColors] - CFOP, Roux and ZZ: solve color-neutrally, trying
+     *   these bottom colors (true for all six) and keeping the shortest (see findColorNeutralSolution).
+     *   Ignored when solving to a target
      */
-    solve(paintState) {
-        try {
-            // STEP 1 & 2: Center & Color Count Validation
-            const validation = this.validateState(paintState);
-            if (!validation.valid) {
-                return { success: false, solution: [], phases: [], error: validation.error };
+    solve(paintState, onProgress = null, options = {}) {
+        const neutral = options.crossColors && COLOR_NEUTRAL_METHODS.includes(options.method) && !options.target;
+        const result = neutral
+            ? this.findColorNeutralSolution(paintState, onProgress, options)
+            : this.findSolution(paintState, onProgress, options);
+        if (!result.success) return result;
+        const verified = this.verifyResult(paintState, this.optimizeResult(result), options.target);
+        if (!verified.success) return verified;
+
+        // Kociemba phases reduce the cube as a whole; only the layer and block methods build it piece by piece
+        const stepwise = !usesKociembaTables(options) || verified.phases.some(phase => phase.goal);
+        return stepwise ? this.explainResult(paintState, verified, options.target) : verified;
+    }
+
+    // Each phase gets steps: [{ moves, notation, text, stickers }] (see SolutionExplainer.explainPhases)
+    explainResult(paintState, result, target = null) {
+        const toSticker = idx => this.toSticker(idx);
+        const pieces = [
+            ...this.corners.map((c, i) => ({ type: 'corner', index: i, name: this.getCornerName(i), stickers: c.facelets.map(toSticker) })),
+            ...this.edges.map((e, i) => ({ type: 'edge', index: i, name: this.getEdgeName(i), stickers: e.facelets.map(toSticker) }))
+        ];
+        return { ...result, phases: explainPhases(paintState, result.phases, pieces, target) };
+    }
+
+    // Every solution is replayed on a fresh cube; one that doesn't get there becomes a failure
+    verifyResult(paintState, result, target = null) {
+        const verification = verifySolution(paintState, result.phases, target);
+        if (verification.valid) return result;
+
+        console.error('Solution failed verification:', verification.error, result.solution.join(' '));
+        return {
+            success: false,
+            solution: [],
+            phases: [],
+            error: verification.error,
+            verification: { ...verification, solution: result.solution }
+        };
+    }
+
+    /**
+     * Solve a list of cubes and time each solve
+     * @param {string[]} inputs - cubes as text (see cubeFromText)
+     * @param {Function} [onProgress] - receives { stage: 'batch', done, count, failed }
+     * @param {Object} [options] - see solve
+     * @returns {Object} - { success, method, results: [{ index, input, success, solution: string,
+     *   counts, phases: [{ name, length (HTM) }], time (ms), error }], summary } (see BatchReport)
+     */
+    solveBatch(inputs, onProgress = null, options = {}) {
+        const results = [];
+        let failed = 0;
+
+        inputs.forEach((input, index) => {
+            const start = performance.now();
+            const cube = this.cubeFromText(input);
+            const result = cube.success
+                ? this.solve(cube.paintState, null, options)
+                : { success: false, solution: [], phases: [], error: cube.error };
+            const time = Math.round((performance.now() - start) * 10) / 10;
+
+            if (!result.success) failed++;
+            const { HTM, QTM, STM, ETM } = countMoves(result.solution);
+            results.push({
+                index,
+                input,
+                success: result.success,
+                solution: result.solution.join(' '),
+                counts: result.success ? { HTM, QTM, STM, ETM } : null,
+                phases: result.phases.map(phase => ({ name: phase.name, length: countMoves(phase.moves).HTM })),
+                time,
+                error: result.error
+            });
+            if (onProgress) onProgress({ stage: 'batch', done: index + 1, count: inputs.length, failed });
+        });
+
+        return { success: true, method: options.method || 'kociemba', results, summary: summarizeBatch(results) };
+    }
+
+    /**
+     * Solve random cubes and collect the ones whose solution fails (or that can't be solved)
+     * @param {number} count - how many cubes
+     * @param {Function} [onProgress] - receives { stage: 'stress', done, count, failed }
+     * @param {Object} [options] - see solve; options.seed makes the cubes reproducible
+     * @returns {Object} - { success, count, passed, seed, failures: [{ index, facelets, error,
+     *   phase, wrongStickers }], averageLength, time }
+     */
+    stressTest(count, onProgress = null, options = {}) {
+        const seed = options.seed ?? newSeed();
+        const random = createRandom(seed);
+        const failures = [];
+        const start = Date.now();
+        let totalLength = 0;
+
+        for (let i = 0; i < count; i++) {
+            const facelets = randomCubieCube(random).toFacelets();
+            const result = this.solve(this.toPaintState(facelets), null, options);
+            if (result.success) {
+                totalLength += result.solution.length;
+            } else {
+                failures.push({
+                    index: i,
+                    facelets,
+                    error: result.error,
+                    phase: result.verification ? result.verification.phase : null,
+                    wrongStickers: result.verification ? result.verification.wrongStickers.length : null
+                });
             }
+            if (onProgress) onProgress({ stage: 'stress', done: i + 1, count, failed: failures.length });
+        }
 
-            // STEP 3: Map colors to standard faces (U, R, F, D, L, B)
-            const colorToFace = this.mapColorsToFaces(paintState);
+        const passed = count - failures.length;
+        return {
+            success: true,
+            count,
+            passed,
+            seed,
+            failures,
+            averageLength: passed > 0 ? totalLength / passed : 0,
+            time: Date.now() - start
+        };
+    }
 
-            // STEP 4: Convert painted colors to facelet string
-            const facelets = this.toFaceletString(paintState, colorToFace);
+    // Every method's output goes through the move optimizer; phases stay in step with the solution
+    optimizeResult(result) {
+        const phases = optimizePhases(result.phases).map((phase, i) => {
+            // The compact notation only still describes the phase if nothing cancelled across its ends
+            if (!phase.notation) return phase;
+            const alone = optimizeMoves(result.phases[i].moves);
+            return alone.join(' ') === phase.moves.join(' ') ? phase : { ...phase, notation: null };
+        });
+        return { ...result, phases, solution: phases.flatMap(p => p.moves) };
+    }
 
-            // STEP 5: Kociemba Solve is DISABLED
-            // The Kociemba algorithm requires async processing (Web Workers) to avoid
-            // freezing the UI during its expensive table generation and IDA* search.
-            // For now, we use the reliable Layer-by-Layer method.
-            console.log("Using Layer-By-Layer solver (Kociemba disabled for stability).");
+    /**
+     * Moves that turn one cube state into another, e.g. solved into a pattern
+     * @param {Object} startState - paint state to start from
+     * @param {Object} targetState - paint state to reach; its centers must match the start's
+     * @param {Function} [onProgress] - see solve
+     * @param {Object} [options] - see solve
+     * @returns {Object} - see solve
+     */
+    solveToTarget(startState, targetState, onProgress = null, options = {}) {
+        return this.solve(startState, onProgress, { ...options, target: targetState });
+    }
 
-            // Fallback to Layer-by-Layer Logic
+    findSolution(paintState, onProgress, options) {
+        try {
+            const start = this.toCubieCube(paintState);
+            if (start.error) {
+                return { success: false, solution: [], phases: [], error: start.error };
+            }
 
-            // Convert facelets to Cubies (Corner/Edge pieces) for standard solver
-            const cubies = this.faceletsToCubies(facelets);
-            if (cubies.error) {
-                return { success: false, solution: [], phases: [], error: cubies.error };
+            // Reaching a target means solving target⁻¹ ∘ start: if start * moves = target,
+            // then (target⁻¹ * start) * moves is solved
+            let cube = start.cube;
+            if (options.target) {
+                const target = this.toCubieCube(options.target, start.colorToFace);
+                if (target.error) {
+                    return { success: false, solution: [], phases: [], error: `Target: ${target.error}` };
+                }
+                cube = target.cube.inverse().multiply(start.cube);
             }
+            const facelets = cube.toFacelets();
 
-            // Validate Global Invariants (Parity, Orientation)
-            const invariantCheck = this.validateInvariants(cubies);
-            if (!invariantCheck.valid) {
-                return { success: false, solution: [], phases: [], error: invariantCheck.error };
+            // Human methods: CFOP (Cross, F2L, OLL, PLL), Roux (blocks, CMLL, LSE) or ZZ (EOLine, F2L, LL)
+            if (options.method === 'cfop') {
+                return this.solveWithMethod(this.cfop, facelets, onProgress);
+            }
+            if (options.method === 'roux') {
+                return this.solveWithMethod(this.roux, facelets, onProgress);
             }
+            if (options.method === 'zz') {
+                return this.solveWithMethod(this.zz, facelets, onProgress);
+            }
+
+            // STEP 6: Kociemba two-phase solve (near-optimal, ~20 moves)
+            this.kociemba.onProgress = onProgress;
+            const kociembaResult = this.kociemba.solve(facelets);
+            this.kociemba.onProgress = null;
+            if (kociembaResult.success) {
+                const solution = kociembaResult.solution.split(/\s+/).filter(m => m);
+                if (options.method === 'optimal') {
+                    return this.solveOptimal(facelets, solution, onProgress, options.timeLimit);
+                }
+                return {
+                    success: true,
+                    solution,
+                    phases: this.getKociembaPhases(kociembaResult),
+                    error: null
+                };
+            }
+
+            // Fallback to Layer-by-Layer Logic
+            console.warn(`Kociemba failed (${kociembaResult.error}), using Layer-By-Layer solver.`);
 
             // Solve using improved layer-by-layer
             const result = this.solveCube(facelets);
 
-            // Optimize moves
-            const optimized = this.optimizeMoves(result.solution);
-
             return {
                 success: true,
-                solution: optimized,
+                solution: result.solution,
                 phases: result.phases,
                 error: null
             };
@@ -99,6 +290,371 @@ export class Solver {
         }
     }
 
+    /**
+     * Solve once for each chosen bottom color, each time rotating that color's center down first
+     * @param {Object} paintState - fully painted cube
+     * @param {Function} [onProgress] - also receives { stage: 'neutral', color, done, count } before each color
+     * @param {Object} options - see solve
+     * @returns {Object} - the shortest result (HTM), its phases starting with the rotation, plus
+     *   colorNeutral: { color, rotation, candidates: [{ color, name, face, rotation, length, success, error }] }
+     *   with length in HTM (null if that color failed), one entry per color tried
+     */
+    findColorNeutralSolution(paintState, onProgress, options) {
+        const names = new CubeState();
+        const chosen = this.faceOrder
+            .map(face => ({ face, color: paintState[face][4] }))
+            .filter(({ color }) => options.crossColors === true || options.crossColors.includes(color));
+        if (chosen.length === 0) {
+            return { success: false, solution: [], phases: [], error: 'None of the chosen cross colors is on a center.' };
+        }
+
+        const candidates = [];
+        let best = null;
+        chosen.forEach(({ face, color }, i) => {
+            if (onProgress) onProgress({ stage: 'neutral', color, done: i, count: chosen.length });
+            const rotation = ROTATE_TO_BOTTOM[face];
+            const rotated = new CubeState();
+            rotated.setState(paintState);
+            if (rotation) rotated.applyMove(rotation, false);
+
+            const found = this.findSolution(rotated.getState(), onProgress, { ...options, crossColors: null });
+            const result = found.success ? this.optimizeResult(found) : found;
+            const length = result.success ? countMoves(result.solution).HTM : null;
+            candidates.push({ color, name: names.getColorName(color), face, rotation, length, success: result.success, error: result.error });
+            // On a tie, keep the cube as it is held
+            const better = !best || length < best.length || (length === best.length && !rotation);
+            if (result.success && better) best = { result, color, rotation, length };
+        });
+        if (!best) {
+            return { success: false, solution: [], phases: [], error: candidates[0].error };
+        }
+
+        const phases = [...best.result.phases];
+        if (best.rotation) {
+            phases.unshift({
+                name: 'Rotation',
+                icon: '🔄',
+                moves: [best.rotation],
+                description: `Holding the cube with the ${names.getColorName(best.color).toLowerCase()} center down`
+            });
+        }
+        return {
+            ...best.result,
+            solution: phases.flatMap(p => p.moves),
+            phases,
+            colorNeutral: { color: best.color, rotation: best.rotation, candidates }
+        };
+    }
+
+    /**
+     * Every optimal cross, and the shortest X-crosses, on a chosen color (see CrossFinder)
+     * @param {Object} paintState - fully painted cube
+     * @param {string} color - the cross color; its center is rotated to the bottom first
+     * @param {Function} [onProgress] - receives { stage, ... } updates while tables build and the search runs
+     * @returns {Object} - { success, color, rotation, cross: { length, total, truncated, solutions: string[][] },
+     *   xcross: { length, total, truncated, solutions: [{ slot, moves }] }, error }. The moves follow the rotation
+     */
+    findCrosses(paintState, color, onProgress = null) {
+        const fail = (error) => ({ success: false, color, rotation: null, cross: null, xcross: null, error });
+        const face = this.faceOrder.find(f => paintState[f][4] === color);
+        if (!face) return fail(`No center is ${new CubeState().getColorName(color)}.`);
+
+        const rotation = ROTATE_TO_BOTTOM[face];
+        const rotated = new CubeState();
+        rotated.setState(paintState);
+        if (rotation) rotated.applyMove(rotation, false);
+        const state = rotated.getState();
+
+        const validation = this.validateState(state);
+        if (!validation.valid) return fail(validation.error);
+        const cubies = this.faceletsToCubies(this.toFaceletString(state, this.mapColorsToFaces(state)));
+        if (cubies.error) return fail(cubies.error);
+        const invariants = this.validateInvariants(cubies);
+        if (!invariants.valid) return fail(invariants.error);
+
+        this.crossFinder.onProgress = onProgress;
+        const found = this.crossFinder.find(this.toSearchState(cubies));
+        this.crossFinder.onProgress = null;
+        return { success: true, color, rotation, ...found, error: null };
+    }
+
+    // faceletsToCubies as a PieceSearch state
+    toSearchState(cubies) {
+        const state = new Uint8Array(STATE_SIZE);
+        cubies.cp.forEach((piece, slot) => { state[piece] = slot * 3 + cubies.co[slot]; });
+        cubies.ep.forEach((piece, slot) => { state[8 + piece] = slot * 2 + cubies.eo[slot]; });
+        return state;
+    }
+
+    /**
+     * Validate a paint state and read its pieces
+     * @param {Object} paintState - fully painted cube
+     * @param {Object} [colorToFace] - color -> face letter to use; the state's centers must agree with it
+     * @returns {Object} - { cube: CubieCube, colorToFace, error }
+     */
+    toCubieCube(paintState, colorToFace = null) {
+        const fail = (error) => ({ cube: null, colorToFace: null, error });
+
+        // STEP 1 & 2: Center & Color Count Validation
+        const validation = this.validateState(paintState);
+        if (!validation.valid) return fail(validation.error);
+
+        // STEP 3: Map colors to standard faces (U, R, F, D, L, B)
+        const faces = this.mapColorsToFaces(paintState);
+        if (colorToFace && Object.keys(faces).some(color => faces[color] !== colorToFace[color])) {
+            return fail('The center colors must be the same as on the start cube.');
+        }
+
+        // STEP 4: Convert painted colors to facelet string
+        const facelets = this.toFaceletString(paintState, faces);
+
+        // STEP 5: Convert facelets to Cubies (Corner/Edge pieces)
+        const cubies = this.faceletsToCubies(facelets);
+        if (cubies.error) return fail(cubies.error);
+
+        // Validate Global Invariants (Parity, Orientation), naming the likeliest culprit
+        const invariantCheck = this.validateInvariants(cubies);
+        if (!invariantCheck.valid) {
+            const [issue] = this.diagnoseState(paintState).issues;
+            const culprit = issue && issue.culprits[0];
+            return fail(culprit
+                ? `Unsolvable State: ${issue.message.replace(/\.$/, '')} (likely the ${culprit.piece} at ${culprit.slot}).`
+                : invariantCheck.error);
+        }
+
+        return { cube: CubieCube.fromFacelets(facelets), colorToFace: faces, error: null };
+    }
+
+    // Search for a shorter solution than the two-phase one, proving optimality if time allows
+    solveOptimal(facelets, upperBound, onProgress, timeLimit) {
+        if (onProgress) onProgress({ stage: 'best', solution: upperBound, optimal: false });
+
+        // The time limit is for this solve only
+        const timeout = this.optimal.timeout;
+        this.optimal.onProgress = onProgress;
+        if (timeLimit) this.optimal.timeout = timeLimit;
+        let result;
+        try {
+            result = this.optimal.search(CubieCube.fromFacelets(facelets), upperBound);
+        } finally {
+            this.optimal.onProgress = null;
+            this.optimal.timeout = timeout;
+        }
+
+        const solution = result.solution;
+        const description = result.optimal
+            ? 'Proven optimal: no shorter solution exists'
+            : `Best found in time. Every solution has at least ${result.lowerBound} moves`;
+
+        return {
+            success: true,
+            solution,
+            phases: [{
+                name: result.optimal ? 'Optimal' : 'Best Found',
+                icon: result.optimal ? '🏆' : '⏱️',
+                moves: [...solution],
+                description
+            }],
+            optimal: { proven: result.optimal, lowerBound: result.lowerBound },
+            error: null
+        };
+    }
+
+    // Method solvers (CFOPSolver, RouxSolver) take a CubieCube and return phases by stage name
+    solveWithMethod(methodSolver, facelets, onProgress) {
+        methodSolver.onProgress = onProgress;
+        const result = methodSolver.solve(CubieCube.fromFacelets(facelets));
+        methodSolver.onProgress = null;
+        return result;
+    }
+
+    /**
+     * Finds the edges ZZ would call "bad": those that can only be solved with an F or B quarter turn
+     * @param {Object} paintState - fully painted cube
+     * @returns {Object} - { success, edges: [{ index, name, stickers: [{ face, index }] }], error }
+     */
+    findBadEdges(paintState) {
+        const validation = this.validateState(paintState);
+        if (!validation.valid) {
+            return { success: false, edges: [], error: validation.error };
+        }
+
+        const facelets = this.toFaceletString(paintState, this.mapColorsToFaces(paintState));
+        const cubies = this.faceletsToCubies(facelets);
+        if (cubies.error) {
+            return { success: false, edges: [], error: cubies.error };
+        }
+
+        const edges = [];
+        cubies.eo.forEach((flipped, i) => {
+            if (!flipped) return;
+            edges.push({
+                index: i,
+                name: this.getEdgeName(i),
+                stickers: this.edges[i].facelets.map(idx => ({
+                    face: this.faceOrder[Math.floor(idx / 9)],
+                    index: idx % 9
+                }))
+            });
+        });
+        return { success: true, edges, error: null };
+    }
+
+    getKociembaPhases(result) {
+        return [
+            {
+                name: 'Orient',
+                icon: '🧭',
+                moves: [...result.phase1],
+                description: 'Orienting all pieces and moving middle edges into the middle layer'
+            },
+            {
+                name: 'Permute',
+                icon: '✨',
+                moves: [...result.phase2],
+                description: 'Finishing with U, D and half turns only'
+            }
+        ];
+    }
+
+    /**
+     * Why a fully painted cube can't be solved, with the pieces most likely painted wrong
+     * @param {Object} paintState - fully painted cube
+     * @returns {Object} - { success, solvable, issues, error }. issues are as StateDiagnosis.diagnoseCubies,
+     *   plus kind 'piece' for a piece that can't exist. For those and for doubled pieces the culprits are
+     *   sticker swaps that would make the cube solvable, when there are any
+     */
+    diagnoseState(paintState) {
+        const validation = this.validateState(paintState);
+        if (!validation.valid) {
+            return { success: false, solvable: false, issues: [], error: validation.error };
+        }
+
+        const colorToFace = this.mapColorsToFaces(paintState);
+        const facelets = this.toFaceletString(paintState, colorToFace);
+        const cubies = this.faceletsToCubies(facelets);
+        let issues;
+        if (cubies.error) {
+            const { type, index } = cubies.slot;
+            const slot = type === 'corner' ? this.corners[index] : this.edges[index];
+            issues = [{
+                kind: 'piece',
+                message: cubies.error,
+                culprits: [{
+                    type,
+                    slot: type === 'corner' ? this.getCornerName(index) : this.getEdgeName(index),
+                    piece: slot.facelets.map(idx => this.getColorName(paintState, idx)).join('-'),
+                    stickers: slot.facelets.map(idx => this.toSticker(idx)),
+                    fix: null
+                }]
+            }];
+        } else {
+            const faceToColor = Object.fromEntries(Object.entries(colorToFace).map(([color, face]) => [face, color]));
+            const toSlot = (piece, name) => ({ name, faces: piece.faces, stickers: piece.facelets.map(idx => this.toSticker(idx)) });
+            issues = diagnoseCubies(cubies, {
+                corners: this.corners.map((c, i) => toSlot(c, this.getCornerName(i))),
+                edges: this.edges.map((e, i) => toSlot(e, this.getEdgeName(i))),
+                colorOf: face => faceToColor[face],
+                colorName: color => new CubeState().getColorName(color)
+            });
+        }
+
+        // Impossible and doubled pieces have no direct repaint; two stickers swapped between pieces explain them
+        issues.forEach(issue => {
+            if (issue.kind !== 'piece' && issue.kind !== 'duplicate') return;
+            const swaps = this.findStickerSwaps(paintState, facelets);
+            if (swaps.length > 0) issue.culprits = swaps;
+        });
+        return { success: true, solvable: issues.length === 0, issues, error: null };
+    }
+
+    // Swaps of two stickers that leave a solvable cube, as diagnoseState culprits
+    findStickerSwaps(paintState, facelets) {
+        const slotOf = idx => {
+            const corner = this.corners.findIndex(c => c.facelets.includes(idx));
+            if (corner >= 0) return this.getCornerName(corner) + ' corner';
+            return this.getEdgeName(this.edges.findIndex(e => e.facelets.includes(idx))) + ' edge';
+        };
+
+        const swaps = [];
+        const chars = [...facelets];
+        for (let a = 0; a < 54 && swaps.length < 3; a++) {
+            for (let b = a + 1; b < 54 && swaps.length < 3; b++) {
+                if (a % 9 === 4 || b % 9 === 4 || chars[a] === chars[b]) continue;
+                [chars[a], chars[b]] = [chars[b], chars[a]];
+                const cubies = this.faceletsToCubies(chars.join(''));
+                [chars[a], chars[b]] = [chars[b], chars[a]];
+                if (cubies.error || !this.validateInvariants(cubies).valid) continue;
+
+                const [stickerA, stickerB] = [this.toSticker(a), this.toSticker(b)];
+                const colorA = paintState[stickerA.face][stickerA.index];
+                const colorB = paintState[stickerB.face][stickerB.index];
+                swaps.push({
+                    type: 'sticker',
+                    slot: `${slotOf(a)} and ${slotOf(b)}`,
+                    piece: `${this.getColorName(paintState, a)} and ${this.getColorName(paintState, b)} stickers`,
+                    stickers: [stickerA, stickerB],
+                    fix: {
+                        label: `Swap the ${this.getColorName(paintState, a)} sticker on the ${slotOf(a)} with the ${this.getColorName(paintState, b)} sticker on the ${slotOf(b)}`,
+                        paints: [{ ...stickerA, color: colorB }, { ...stickerB, color: colorA }]
+                    }
+                });
+            }
+        }
+        return swaps;
+    }
+
+    /**
+     * The stickers a partly painted cube forces, and how many cubes it could still be
+     * Unpainted centers take the usual color scheme (White up, Green front).
+     * @param {Object} paintState - { U: [9 colors], ... } with 'U' for unpainted stickers
+     * @returns {Object} - { success, completions: BigInt, forced: [{ face, index, color }], unpainted, error }
+     *   (see StickerInference.inferStickers); forced includes any unpainted centers
+     */
+    inferState(paintState) {
+        const fail = (error) => ({ success: false, completions: 0n, forced: [], unpainted: 0, error });
+        const scheme = new CubeState().getState();
+        const state = JSON.parse(JSON.stringify(paintState));
+        const forcedCenters = [];
+        for (const face of this.faceOrder) {
+            if (state[face][4] === 'U') {
+                state[face][4] = scheme[face][4];
+                forcedCenters.push({ face, index: 4, color: scheme[face][4] });
+            }
+        }
+
+        const faceToColor = {};
+        for (const face of this.faceOrder) {
+            const color = state[face][4];
+            const other = Object.keys(faceToColor).find(f => faceToColor[f] === color);
+            if (other) {
+                return fail(`The ${this.getFaceName(other)} and ${this.getFaceName(face)} centers are both ${new CubeState().getColorName(color)}.`);
+            }
+            faceToColor[face] = color;
+        }
+        const colors = Object.values(faceToColor);
+        const stray = this.faceOrder.find(face => state[face].some(c => c !== 'U' && !colors.includes(c)));
+        if (stray) return fail(`The ${this.getFaceName(stray)} face has a color no center has.`);
+
+        const toSlot = piece => ({ faces: piece.faces, stickers: piece.facelets.map(idx => this.toSticker(idx)) });
+        const result = inferStickers(state, {
+            corners: this.corners.map(toSlot),
+            edges: this.edges.map(toSlot),
+            colorOf: face => faceToColor[face]
+        });
+        return { ...result, forced: [...forcedCenters, ...result.forced], unpainted: result.unpainted + forcedCenters.length };
+    }
+
+    // Facelet 0-53 -> { face, index }
+    toSticker(idx) {
+        return { face: this.faceOrder[Math.floor(idx / 9)], index: idx % 9 };
+    }
+
+    getColorName(paintState, idx) {
+        const { face, index } = this.toSticker(idx);
+        return new CubeState().getColorName(paintState[face][index]);
+    }
+
     validateState(paintState) {
         // 1. Check Center Uniqueness
         const centers = {};
@@ -172,83 +728,58 @@ export class Solver {
         return facelets;
     }
 
-    faceletsToCubies(facelets) {
-        const cornerPositions = [];
-        const cornerOrientations = [];
-        const edgePositions = [];
-        const edgeOrientations = [];
-
-        // Identify corners
-        for (let i = 0; i < 8; i++) {
-            const corner = this.corners[i];
-            const colors = corner.facelets.map(idx => facelets[idx]);
-            const unique = new Set(colors);
-            if (unique.size !== 3) {
-                return { error: `Corner piece at ${this.getCornerName(i)} has duplicate colors.` };
-            }
-            const found = this.findCorner(colors);
-            if (found.index === -1) {
-                return { error: `Impossible corner piece at ${this.getCornerName(i)} (Colors do not form a valid corner).` };
-            }
-            cornerPositions.push(found.index);
-            cornerOrientations.push(found.orientation);
+    /**
+     * A cube written as text: 54 facelets in URFDLB order, a scramble ID, or scramble moves
+     * (applied to the solved cube)
+     * @param {string} text
+     * @returns {Object} - { success, paintState, scramble: string|null, error }
+     */
+    cubeFromText(text) {
+        const input = text.trim();
+        if (/^[URFDLB]{54}$/.test(input)) {
+            return { success: true, paintState: this.toPaintState(input), scramble: null, error: null };
         }
 
-        // Identify edges
-        for (let i = 0; i < 12; i++) {
-            const edge = this.edges[i];
-            const colors = edge.facelets.map(idx => facelets[idx]);
-            if (colors[0] === colors[1]) {
-                return { error: `Edge piece at ${this.getEdgeName(i)} has duplicate colors.` };
+        let scramble = input;
+        if (parseScrambleId(input).success) {
+            const generated = generateScramble(input, this.kociemba);
+            if (!generated.success) {
+                return { success: false, paintState: null, scramble: null, error: generated.error };
             }
-            const found = this.findEdge(colors);
-            if (found.index === -1) {
-                return { error: `Impossible edge piece at ${this.getEdgeName(i)} (Colors do not form a valid edge).` };
-            }
-            edgePositions.push(found.index);
-            edgeOrientations.push(found.orientation);
+            scramble = generated.scramble.join(' ');
         }
 
-        return { cornerPositions, cornerOrientations, edgePositions, edgeOrientations };
-    }
-
-    findCorner(colors) {
-        // Order must match this.corners definitions: [U/D face, side1, side2]
-        const stdCorners = [
-            ['U', 'R', 'F'], ['U', 'F', 'L'], ['U', 'L', 'B'], ['U', 'B', 'R'],
-            ['D', 'R', 'F'], ['D', 'F', 'L'], ['D', 'L', 'B'], ['D', 'B', 'R']
-        ];
-
-        for (let i = 0; i < 8; i++) {
-            const target = stdCorners[i];
-            for (let o = 0; o < 3; o++) {
-                if (colors[0] === target[o] &&
-                    colors[1] === target[(o + 1) % 3] &&
-                    colors[2] === target[(o + 2) % 3]) {
-                    return { index: i, orientation: o };
-                }
-            }
+        const cube = new CubeState();
+        const parsed = cube.applyMoves(scramble, false);
+        if (!parsed.success) {
+            return { success: false, paintState: null, scramble: null, error: `Scramble: ${parsed.error}` };
         }
-        return { index: -1, orientation: 0 };
+        return { success: true, paintState: cube.getState(), scramble, error: null };
     }
 
-    findEdge(colors) {
-        const solvedEdges = [
-            ['U', 'R'], ['U', 'F'], ['U', 'L'], ['U', 'B'],
-            ['D', 'R'], ['D', 'F'], ['D', 'L'], ['D', 'B'],
-            ['F', 'R'], ['F', 'L'], ['B', 'L'], ['B', 'R']
-        ];
+    // The inverse of toFaceletString, in the standard colors
+    toPaintState(facelets) {
+        const cube = new CubeState();
+        cube.fromFacelets(facelets);
+        return cube.getState();
+    }
 
-        for (let i = 0; i < 12; i++) {
-            const target = solvedEdges[i];
-            if (colors[0] === target[0] && colors[1] === target[1]) {
-                return { index: i, orientation: 0 };
-            }
-            if (colors[0] === target[1] && colors[1] === target[0]) {
-                return { index: i, orientation: 1 };
-            }
-        }
-        return { index: -1, orientation: 0 };
+    /**
+     * The pieces of a facelet string in the shared cubie model (see CubeState.faceletsToCubies)
+     * @param {string} facelets - 54 face letters in URFDLB order
+     * @returns {Object} - { cp, co, ep, eo, error, slot }; the error names the slot for the user
+     */
+    faceletsToCubies(facelets) {
+        const cubies = faceletsToCubies(facelets);
+        if (!cubies.error) return cubies;
+
+        const { type, index, problem } = cubies.slot;
+        const name = type === 'corner' ? this.getCornerName(index) : this.getEdgeName(index);
+        const piece = type === 'corner' ? 'Corner' : 'Edge';
+        const error = problem === 'duplicate'
+            ? `${piece} piece at ${name} has duplicate colors.`
+            : `Impossible ${type} piece at ${name} (Colors do not form a valid ${type}).`;
+        return { ...cubies, error, slot: { type, index } };
     }
 
     getCornerName(index) {
@@ -265,27 +796,27 @@ export class Solver {
     }
 
     validateInvariants(cubies) {
-        const { cornerPositions, cornerOrientations, edgePositions, edgeOrientations } = cubies;
+        const { cp, co, ep, eo } = cubies;
 
-        if (new Set(cornerPositions).size !== 8) {
+        if (new Set(cp).size !== 8) {
             return { valid: false, error: 'Cube contains duplicate corner pieces. Check for duplicate corners.' };
         }
-        if (new Set(edgePositions).size !== 12) {
+        if (new Set(ep).size !== 12) {
             return { valid: false, error: 'Cube contains duplicate edge pieces. Check for duplicate edges.' };
         }
 
-        const cornerOrientSum = cornerOrientations.reduce((a, b) => a + b, 0);
+        const cornerOrientSum = co.reduce((a, b) => a + b, 0);
         if (cornerOrientSum % 3 !== 0) {
             return { valid: false, error: 'Unsolvable State: One or more corners are twisted physically.' };
         }
 
-        const edgeOrientSum = edgeOrientations.reduce((a, b) => a + b, 0);
+        const edgeOrientSum = eo.reduce((a, b) => a + b, 0);
         if (edgeOrientSum % 2 !== 0) {
             return { valid: false, error: 'Unsolvable State: One or more edges are flipped physically.' };
         }
 
-        const cornerParity = this.calculateParity(cornerPositions);
-        const edgeParity = this.calculateParity(edgePositions);
+        const cornerParity = permutationParity(cp);
+        const edgeParity = permutationParity(ep);
         if (cornerParity !== edgeParity) {
             return { valid: false, error: 'Unsolvable State: Parity mismatch (likely 2 pieces swapped). Impossible to solve.' };
         }
@@ -293,19 +824,6 @@ export class Solver {
         return { valid: true };
     }
 
-    calculateParity(arr) {
-        let parity = 0;
-        const copy = [...arr];
-        for (let i = 0; i < copy.length; i++) {
-            while (copy[i] !== i) {
-                const target = copy[i];
-                [copy[i], copy[target]] = [copy[target], copy[i]];
-                parity = 1 - parity;
-            }
-        }
-        return parity;
-    }
-
     /**
      * Enhanced Layer-by-Layer Solving
      */
@@ -322,7 +840,8 @@ export class Solver {
             name: 'White Cross',
             icon: '➕',
             moves: [...this.solution.slice(phaseStart)],
-            description: 'Creating the white cross on top'
+            description: 'Creating the white cross on top',
+            goal: layerGoal({ U: [1, 3, 5, 7] }, [1])
         });
         phaseStart = this.solution.length;
 
@@ -332,7 +851,8 @@ export class Solver {
             name: 'First Layer',
             icon: '🧱',
             moves: [...this.solution.slice(phaseStart)],
-            description: 'Inserting white corners'
+            description: 'Inserting white corners',
+            goal: layerGoal({ U: ALL }, [0, 1, 2])
         });
         phaseStart = this.solution.length;
 
@@ -342,7 +862,8 @@ export class Solver {
             name: 'Second Layer',
             icon: '📦',
             moves: [...this.solution.slice(phaseStart)],
-            description: 'Solving middle layer edges'
+            description: 'Solving middle layer edges',
+            goal: layerGoal({ U: ALL }, [0, 1, 2, 3, 4, 5])
         });
         phaseStart = this.solution.length;
 
@@ -352,7 +873,8 @@ export class Solver {
             name: 'Yellow Cross',
             icon: '✚',
             moves: [...this.solution.slice(phaseStart)],
-            description: 'Creating yellow cross'
+            description: 'Creating yellow cross',
+            goal: layerGoal({ U: ALL, D: [1, 3, 5, 7] }, [0, 1, 2, 3, 4, 5])
         });
         phaseStart = this.solution.length;
 
@@ -362,7 +884,8 @@ export class Solver {
             name: 'Yellow Face',
             icon: '🟡',
             moves: [...this.solution.slice(phaseStart)],
-            description: 'Orienting yellow corners'
+            description: 'Orienting yellow corners',
+            goal: layerGoal({ U: ALL, D: ALL }, [0, 1, 2, 3, 4, 5])
         });
         phaseStart = this.solution.length;
 
@@ -372,7 +895,8 @@ export class Solver {
             name: 'Final Layer',
             icon: '✨',
             moves: [...this.solution.slice(phaseStart)],
-            description: 'Permuting last layer'
+            description: 'Permuting last layer',
+            goal: layerGoal({ U: ALL, D: ALL }, ALL)
         });
 
         return { solution: this.solution, phases: this.phases };
@@ -399,50 +923,13 @@ export class Solver {
     }
 
     applyMove(move) {
-        const face = move[0];
-        const prime = move.includes("'");
-        const double = move.includes("2");
-        const times = double ? 2 : (prime ? 3 : 1);
-
-        for (let t = 0; t < times; t++) {
-            this.rotateFace(face);
-        }
-    }
-
-    rotateFace(face) {
-        const f = this.state[face];
-        const temp = [f[0], f[1], f[2], f[3], f[4], f[5], f[6], f[7], f[8]];
-        f[0] = temp[6]; f[1] = temp[3]; f[2] = temp[0];
-        f[3] = temp[7]; f[4] = temp[4]; f[5] = temp[1];
-        f[6] = temp[8]; f[7] = temp[5]; f[8] = temp[2];
-
-        const adj = this.getAdjacentEdges(face);
-        const buffer = adj[0].map(([f, i]) => this.state[f][i]);
-        for (let i = 0; i < 4; i++) {
-            const src = adj[(i + 3) % 4];
-            const dst = adj[i];
-            for (let j = 0; j < 3; j++) {
-                if (i === 0) {
-                    this.state[dst[j][0]][dst[j][1]] = buffer[j];
-                } else {
-                    this.state[dst[j][0]][dst[j][1]] = this.state[src[j][0]][src[j][1]];
-                }
+        for (const parsed of parseMoves(move)) {
+            for (const { layer, amount } of expandMove(parsed)) {
+                for (let t = 0; t < amount; t++) turnLayer(this.state, layer);
             }
         }
     }
 
-    getAdjacentEdges(face) {
-        const edges = {
-            'U': [[['B', 0], ['B', 1], ['B', 2]], [['R', 0], ['R', 1], ['R', 2]], [['F', 0], ['F', 1], ['F', 2]], [['L', 0], ['L', 1], ['L', 2]]],
-            'D': [[['F', 6], ['F', 7], ['F', 8]], [['R', 6], ['R', 7], ['R', 8]], [['B', 6], ['B', 7], ['B', 8]], [['L', 6], ['L', 7], ['L', 8]]],
-            'R': [[['U', 8], ['U', 5], ['U', 2]], [['B', 0], ['B', 3], ['B', 6]], [['D', 8], ['D', 5], ['D', 2]], [['F', 8], ['F', 5], ['F', 2]]],
-            'L': [[['U', 0], ['U', 3], ['U', 6]], [['F', 0], ['F', 3], ['F', 6]], [['D', 0], ['D', 3], ['D', 6]], [['B', 8], ['B', 5], ['B', 2]]],
-            'F': [[['U', 6], ['U', 7], ['U', 8]], [['R', 0], ['R', 3], ['R', 6]], [['D', 2], ['D', 1], ['D', 0]], [['L', 8], ['L', 5], ['L', 2]]],
-            'B': [[['U', 2], ['U', 1], ['U', 0]], [['L', 0], ['L', 3], ['L', 6]], [['D', 6], ['D', 7], ['D', 8]], [['R', 8], ['R', 5], ['R', 2]]]
-        };
-        return edges[face];
-    }
-
     // ==================== PHASE 1: WHITE CROSS ====================
     solveWhiteCross() {
         const crossEdges = [
@@ -1044,54 +1531,6 @@ export class Solver {
             this.doMoves("D");
         }
     }
-
-    // ==================== MOVE OPTIMIZATION ====================
-    optimizeMoves(moves) {
-        let current = [...moves];
-        let changed = true;
-
-        while (changed) {
-            changed = false;
-            const result = [];
-
-            for (let i = 0; i < current.length; i++) {
-                if (i === current.length - 1) {
-                    result.push(current[i]);
-                    continue;
-                }
-
-                const m1 = current[i];
-                const m2 = current[i + 1];
-
-                if (m1[0] === m2[0]) {
-                    const combined = this.combineMoves(m1, m2);
-                    if (combined) {
-                        result.push(combined);
-                    }
-                    i++;
-                    changed = true;
-                } else {
-                    result.push(m1);
-                }
-            }
-
-            current = result;
-        }
-
-        return current;
-    }
-
-    combineMoves(m1, m2) {
-        const face = m1[0];
-        const v1 = m1.includes("'") ? 3 : m1.includes("2") ? 2 : 1;
-        const v2 = m2.includes("'") ? 3 : m2.includes("2") ? 2 : 1;
-        const total = (v1 + v2) % 4;
-
-        if (total === 0) return null;
-        if (total === 1) return face;
-        if (total === 2) return face + "2";
-        if (total === 3) return face + "'";
-    }
 }
 
 export default Solver;
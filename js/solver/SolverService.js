@@ -0,0 +1,278 @@
+// SolverService.js - Asynchronous front end for the Solver
+// Solving happens in SolverWorker.js; if module workers are unavailable it falls back to the main thread
+import { Solver, usesKociembaTables } from './Solver.js';
+import { TableCache } from './TableCache.js';
+import { OPTIMAL_TABLE_VERSION } from './OptimalSolver.js';
+import { generateScramble, parseScrambleId, formatScrambleId, newSeed } from './Scrambler.js';
+
+export class SolverService {
+    constructor() {
+        this.worker = null;
+        this.workerFailed = false;
+        this.fallbackSolver = null;
+        this.fallbackTableCache = null;
+        this.fallbackOptimalTableCache = null;
+        this.pending = null; // { type: 'solve' | 'batch' | 'stress' | 'crosses', id, paintState, inputs, count, onProgress, options, resolve }
+        this.pendingScrambles = new Map(); // id -> { scrambleId, resolve }
+        this.nextId = 1;
+    }
+
+    createWorker() {
+        const worker = new Worker(new URL('./SolverWorker.js', import.meta.url), { type: 'module' });
+        worker.addEventListener('message', (event) => this.handleMessage(event.data));
+        worker.addEventListener('error', (event) => this.handleWorkerError(event));
+        return worker;
+    }
+
+    /**
+     * Solve a painted cube without blocking the UI
+     * @param {Object} paintState - { U: [9 colors], R: [9], F: [9], D: [9], L: [9], B: [9] }
+     * @param {Function} [onProgress] - receives { stage, ... } updates (see KociembaSolver)
+     * @param {Object} [options] - passed to Solver.solve (method, timeLimit)
+     * @returns {Promise<Object>} - Solver result; { success: false, cancelled: true } if cancelled
+     */
+    solve(paintState, onProgress = null, options = {}) {
+        return this.start({ type: 'solve', paintState, onProgress, options });
+    }
+
+    /**
+     * Solve random cubes in the background and report the ones whose solution fails its check
+     * @param {number} count - how many cubes
+     * @param {Function} [onProgress] - receives { stage: 'stress', done, count, failed }
+     * @param {Object} [options] - passed to Solver.stressTest (method, seed)
+     * @returns {Promise<Object>} - see Solver.stressTest; { success: false, cancelled: true } if cancelled
+     */
+    stressTest(count, onProgress = null, options = {}) {
+        return this.start({ type: 'stress', count, onProgress, options });
+    }
+
+    /**
+     * Solve a list of cubes in the background, with statistics
+     * @param {string[]} inputs - facelets, scramble IDs or scramble moves (see Solver.cubeFromText)
+     * @param {Function} [onProgress] - receives { stage: 'batch', done, count, failed }
+     * @param {Object} [options] - passed to Solver.solveBatch (method, timeLimit)
+     * @returns {Promise<Object>} - see Solver.solveBatch; { success: false, cancelled: true } if cancelled
+     */
+    solveBatch(inputs, onProgress = null, options = {}) {
+        return this.start({ type: 'batch', inputs, onProgress, options });
+    }
+
+    /**
+     * Every optimal cross and the shortest X-crosses on one color, without blocking the UI
+     * @param {Object} paintState - { U: [9 colors], R: [9], F: [9], D: [9], L: [9], B: [9] }
+     * @param {string} color - the cross color
+     * @param {Function} [onProgress] - receives { stage, ... } updates
+     * @returns {Promise<Object>} - see Solver.findCrosses; { success: false, cancelled: true } if cancelled
+     */
+    findCrosses(paintState, color, onProgress = null) {
+        return this.start({ type: 'crosses', paintState, onProgress, options: { color } });
+    }
+
+    start(task) {
+        // Only one solve (or batch, or stress test) at a time
+        this.cancel();
+
+        return new Promise((resolve) => {
+            const pending = { ...task, id: this.nextId++, resolve };
+            this.pending = pending;
+
+            if (!this.workerFailed && typeof Worker !== 'undefined') {
+                try {
+                    if (!this.worker) this.worker = this.createWorker();
+                    const { type, id, paintState, count, inputs, options } = pending;
+                    this.worker.postMessage({ type, id, paintState, count, inputs, options });
+                    return;
+                } catch (e) {
+                    console.warn('Solver worker unavailable, solving on the main thread:', e);
+                    this.workerFailed = true;
+                }
+            }
+            this.solveOnMainThread(pending);
+        });
+    }
+
+    /**
+     * A new scramble, or the one a scramble ID stands for. Random-state scrambles are
+     * generated by the worker (they need the Kociemba tables).
+     * @param {Object} [options]
+     * @param {string} [options.id] - regenerate this scramble (see Scrambler.parseScrambleId)
+     * @param {string} [options.type] - 'state' (default) or 'moves', for a new scramble
+     * @returns {Promise<Object>} - { success, id, type, scramble: string[], error }
+     */
+    scramble(options = {}) {
+        const scrambleId = options.id || formatScrambleId(options.type || 'state', newSeed());
+        const parsed = parseScrambleId(scrambleId);
+        if (!parsed.success || parsed.type === 'moves') {
+            return Promise.resolve(generateScramble(scrambleId));
+        }
+
+        return new Promise((resolve) => {
+            if (!this.workerFailed && typeof Worker !== 'undefined') {
+                try {
+                    if (!this.worker) this.worker = this.createWorker();
+                    const id = this.nextId++;
+                    this.pendingScrambles.set(id, { scrambleId, resolve });
+                    this.worker.postMessage({ type: 'scramble', id, scrambleId });
+                    return;
+                } catch (e) {
+                    console.warn('Solver worker unavailable, scrambling on the main thread:', e);
+                    this.workerFailed = true;
+                }
+            }
+            this.scrambleOnMainThread(scrambleId).then(resolve);
+        });
+    }
+
+    /**
+     * Abort the running solve. Its promise resolves with { cancelled: true }.
+     * @returns {boolean} - true if a solve was running
+     */
+    cancel() {
+        const pending = this.pending;
+        if (!pending) return false;
+        this.pending = null;
+
+        // The search is synchronous, so terminating the worker is the only way to stop it.
+        // The next solve starts a fresh worker (and rebuilds its tables).
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.failScrambles('Scramble cancelled.');
+
+        pending.resolve({ success: false, cancelled: true, solution: [], phases: [], error: 'Solve cancelled.' });
+        return true;
+    }
+
+    failScrambles(error) {
+        for (const { scrambleId, resolve } of this.pendingScrambles.values()) {
+            resolve({ success: false, id: scrambleId, type: 'state', scramble: [], error });
+        }
+        this.pendingScrambles.clear();
+    }
+
+    handleMessage(data) {
+        if (data.type === 'scramble') {
+            const pending = this.pendingScrambles.get(data.id);
+            this.pendingScrambles.delete(data.id);
+            if (pending) pending.resolve(data.result);
+            return;
+        }
+
+        const pending = this.pending;
+        // Ignore messages from a solve that has been cancelled
+        if (!pending || data.id !== pending.id) return;
+
+        if (data.type === 'progress') {
+            if (pending.onProgress) pending.onProgress(data.progress);
+        } else if (data.type === 'result') {
+            this.pending = null;
+            pending.resolve(data.result);
+        }
+    }
+
+    handleWorkerError(event) {
+        // Usually means module workers aren't supported (or the page is opened from file://)
+        console.warn('Solver worker failed, solving on the main thread:', event.message);
+        event.preventDefault();
+
+        this.workerFailed = true;
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        if (this.pending) {
+            this.solveOnMainThread(this.pending);
+        }
+        for (const [id, { scrambleId, resolve }] of this.pendingScrambles) {
+            this.pendingScrambles.delete(id);
+            this.scrambleOnMainThread(scrambleId).then(resolve);
+        }
+    }
+
+    /**
+     * Edges the ZZ method would call "bad". Needs no tables, so it runs right away on the main thread.
+     * @param {Object} paintState - { U: [9 colors], R: [9], F: [9], D: [9], L: [9], B: [9] }
+     * @returns {Object} - see Solver.findBadEdges
+     */
+    findBadEdges(paintState) {
+        return this.getFallbackSolver().findBadEdges(paintState);
+    }
+
+    /**
+     * Why a painted cube can't be solved, and repaints that would fix it. Needs no tables either.
+     * @param {Object} paintState - { U: [9 colors], R: [9], F: [9], D: [9], L: [9], B: [9] }
+     * @returns {Object} - see Solver.diagnoseState
+     */
+    diagnoseState(paintState) {
+        return this.getFallbackSolver().diagnoseState(paintState);
+    }
+
+    /**
+     * Stickers a partly painted cube forces, and how many cubes it could still be. Needs no tables.
+     * @param {Object} paintState - { U: [9 colors], R: [9], F: [9], D: [9], L: [9], B: [9] }
+     * @returns {Object} - see Solver.inferState
+     */
+    inferState(paintState) {
+        return this.getFallbackSolver().inferState(paintState);
+    }
+
+    getFallbackSolver() {
+        if (!this.fallbackSolver) {
+            this.fallbackSolver = new Solver();
+            this.fallbackTableCache = new TableCache();
+            this.fallbackOptimalTableCache = new TableCache({ key: 'optimal', version: OPTIMAL_TABLE_VERSION, url: null });
+        }
+        return this.fallbackSolver;
+    }
+
+    async scrambleOnMainThread(scrambleId) {
+        const solver = this.getFallbackSolver();
+        await this.fallbackTableCache.prepare(solver.kociemba);
+        return generateScramble(scrambleId, solver.kociemba);
+    }
+
+    async solveOnMainThread(pending) {
+        this.getFallbackSolver();
+
+        // Allow UI to render loader before blocking
+        await new Promise(resolve => setTimeout(resolve, 50));
+        const stateIds = pending.type === 'batch' && pending.inputs.some(input => parseScrambleId(input).type === 'state');
+        if ((pending.type !== 'crosses' && usesKociembaTables(pending.options)) || stateIds) {
+            await this.fallbackTableCache.prepare(this.fallbackSolver.kociemba, pending.onProgress);
+        }
+        if (pending.options.method === 'optimal') {
+            await this.fallbackOptimalTableCache.prepare(this.fallbackSolver.optimal, pending.onProgress);
+        }
+        if (this.pending !== pending) return;
+
+        const result = runTask(this.fallbackSolver, pending, pending.onProgress);
+        if (this.pending !== pending) return;
+
+        this.pending = null;
+        pending.resolve(result);
+    }
+}
+
+/**
+ * Run a solve, batch, stress test or cross search; shared with SolverWorker
+ * @param {Solver} solver
+ * @param {Object} task - { type: 'solve' | 'batch' | 'stress' | 'crosses', paintState, inputs, count, options }
+ * @param {Function} [onProgress]
+ * @returns {Object} - the Solver result
+ */
+export function runTask(solver, task, onProgress) {
+    const options = task.options || {};
+    switch (task.type) {
+        case 'batch':
+            return solver.solveBatch(task.inputs, onProgress, options);
+        case 'stress':
+            return solver.stressTest(task.count, onProgress, options);
+        case 'crosses':
+            return solver.findCrosses(task.paintState, options.color, onProgress);
+        default:
+            return solver.solve(task.paintState, onProgress, options);
+    }
+}
+
+export default SolverService;
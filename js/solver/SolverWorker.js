@@ -0,0 +1,49 @@
+// SolverWorker.js - Runs the Solver off the UI thread (module worker)
+// In:  { type: 'solve', id, paintState, options }
+// Out: { type: 'progress', id, progress } while solving, then { type: 'result', id, result }
+// In:  { type: 'stress', id, count, options }
+// Out: { type: 'progress', id, progress } per cube, then { type: 'result', id, result } (see Solver.stressTest)
+// In:  { type: 'batch', id, inputs, options }
+// Out: { type: 'progress', id, progress } per cube, then { type: 'result', id, result } (see Solver.solveBatch)
+// In:  { type: 'crosses', id, paintState, options: { color } }
+// Out: { type: 'progress', id, progress } while tables build, then { type: 'result', id, result } (see Solver.findCrosses)
+// In:  { type: 'scramble', id, scrambleId }
+// Out: { type: 'scramble', id, result } (see Scrambler.generateScramble)
+import { Solver, usesKociembaTables } from './Solver.js';
+import { TableCache } from './TableCache.js';
+import { OPTIMAL_TABLE_VERSION } from './OptimalSolver.js';
+import { generateScramble, parseScrambleId } from './Scrambler.js';
+import { runTask } from './SolverService.js';
+
+// Kept for the lifetime of the worker so tables are only built once
+const solver = new Solver();
+const tableCache = new TableCache();
+// The pattern databases are ~48 MB, too big to ship, so they are only cached locally
+const optimalTableCache = new TableCache({ key: 'optimal', version: OPTIMAL_TABLE_VERSION, url: null });
+
+self.addEventListener('message', async (event) => {
+    const { type, id, scrambleId, options = {} } = event.data;
+    if (type === 'scramble') {
+        await tableCache.prepare(solver.kociemba);
+        self.postMessage({ type: 'scramble', id, result: generateScramble(scrambleId, solver.kociemba) });
+        return;
+    }
+    if (!['solve', 'batch', 'stress', 'crosses'].includes(type)) return;
+
+    const onProgress = (progress) => {
+        self.postMessage({ type: 'progress', id, progress });
+    };
+
+    // Load cached tables (or build and cache them) before the synchronous search.
+    // Random-state scramble IDs in a batch need them whatever the method.
+    const stateIds = type === 'batch' && event.data.inputs.some(input => parseScrambleId(input).type === 'state');
+    if ((type !== 'crosses' && usesKociembaTables(options)) || stateIds) {
+        await tableCache.prepare(solver.kociemba, onProgress);
+    }
+    if (options.method === 'optimal') {
+        await optimalTableCache.prepare(solver.optimal, onProgress);
+    }
+    const result = runTask(solver, event.data, onProgress);
+
+    self.postMessage({ type: 'result', id, result });
+});
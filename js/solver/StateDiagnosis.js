@@ -0,0 +1,168 @@
+// StateDiagnosis.js - Works out why a painted cube can't be solved, and how to repaint it so it can
+// A real cube keeps three invariants: the corner twists add up to a multiple of 3, the edge flips to a
+// multiple of 2, and corners and edges are permuted with the same parity. One painting mistake breaks
+// one of them. Any piece could be the one painted wrong, so candidates are ranked by how much they
+// stand out (a piece in its home slot but twisted, or two pieces sitting in each other's slots), and
+// each comes with the repaint that restores the invariant.
+import { permutationParity } from '../cube/CubeState.js';
+
+const MAX_CANDIDATES = 3;
+
+/**
+ * @param {Object} cubies - { cp, co, ep, eo } in the cubie model of CubeState.js (Solver.faceletsToCubies)
+ * @param {Object} layout - { corners: [slot], edges: [slot], colorOf, colorName }. A slot is
+ *   { name, faces, stickers: [{ face, index }] }, faces being its home faces in sticker order (the
+ *   U/D face first, corners clockwise). colorOf maps a face to its paint color, colorName a color to its name
+ * @returns {Array} - issues: [{ kind: 'duplicate'|'twist'|'flip'|'parity', message, culprits }].
+ *   culprits: [{ type, slot, piece, stickers, fix: { label, paints: [{ face, index, color }] } }], most likely
+ *   first; fix is null for duplicates
+ */
+export function diagnoseCubies(cubies, layout) {
+    const pieces = {
+        corner: { positions: cubies.cp, orientations: cubies.co, slots: layout.corners },
+        edge: { positions: cubies.ep, orientations: cubies.eo, slots: layout.edges }
+    };
+    const context = { pieces, layout };
+
+    // Twist, flip and parity only mean something once every piece is there exactly once
+    const duplicates = ['corner', 'edge'].map(type => findDuplicates(context, type)).filter(Boolean);
+    if (duplicates.length > 0) return duplicates;
+
+    return [findTwist(context), findFlip(context), findSwap(context)].filter(Boolean);
+}
+
+// Color counts are checked first, so pieces can only be doubled in pairs with others missing. That
+// comes from stickers swapped between pieces; Solver.diagnoseState looks for the swap to undo.
+function findDuplicates(context, type) {
+    const { positions } = context.pieces[type];
+    const missing = positions.map((_, p) => p).filter(p => !positions.includes(p));
+    if (missing.length === 0) return null;
+
+    const doubled = [...new Set(positions.filter((p, s) => positions.indexOf(p) !== s))];
+    const names = pieces => pieces.map(p => `the ${pieceName(context, type, p)}`).join(', ');
+    return {
+        kind: 'duplicate',
+        message: `Painted twice: ${names(doubled)}. Missing: ${names(missing)}.`,
+        culprits: positions
+            .map((p, slot) => ({ p, slot }))
+            .filter(({ p }) => doubled.includes(p))
+            .map(({ slot }) => culprit(context, type, [slot], null))
+    };
+}
+
+function findTwist(context) {
+    const { positions, orientations } = context.pieces.corner;
+    const twist = mod(orientations.reduce((a, b) => a + b, 0), 3);
+    if (twist === 0) return null;
+
+    // Orientation 1 means the U/D sticker sits one step clockwise from where it belongs
+    const direction = twist === 1 ? 'clockwise' : 'counter-clockwise';
+    const undo = twist === 1 ? 'counter-clockwise' : 'clockwise';
+    let slots = rank(positions, slot => orientations[slot] === twist);
+    if (slots.length === 0) slots = rank(positions, slot => orientations[slot] !== 0);
+
+    return {
+        kind: 'twist',
+        message: `One corner is twisted ${direction}.`,
+        culprits: slots.slice(0, MAX_CANDIDATES).map(slot => culprit(context, 'corner', [slot], {
+            label: `Twist the ${pieceName(context, 'corner', positions[slot])} ${undo}`,
+            paints: repaint(context, 'corner', slot, positions[slot], mod(orientations[slot] - twist, 3))
+        }))
+    };
+}
+
+function findFlip(context) {
+    const { positions, orientations } = context.pieces.edge;
+    if (orientations.reduce((a, b) => a + b, 0) % 2 === 0) return null;
+
+    let slots = rank(positions, slot => orientations[slot] === 1);
+    if (slots.length === 0) slots = rank(positions, () => true);
+
+    return {
+        kind: 'flip',
+        message: 'One edge is flipped.',
+        culprits: slots.slice(0, MAX_CANDIDATES).map(slot => culprit(context, 'edge', [slot], {
+            label: `Flip the ${pieceName(context, 'edge', positions[slot])}`,
+            paints: repaint(context, 'edge', slot, positions[slot], 1 - orientations[slot])
+        }))
+    };
+}
+
+function findSwap(context) {
+    const { corner, edge } = context.pieces;
+    if (permutationParity(corner.positions) === permutationParity(edge.positions)) return null;
+
+    // Two pieces in each other's slots are the classic mistake; next best is a swap that sends one piece home
+    const pairs = [];
+    ['edge', 'corner'].forEach(type => {
+        const { positions } = context.pieces[type];
+        positions.forEach((p, a) => {
+            if (p === a) return;
+            const b = positions.indexOf(a); // where this slot's own piece is
+            if (pairs.some(pair => pair.type === type && pair.slots.includes(a) && pair.slots.includes(b))) return;
+            pairs.push({ type, slots: [Math.min(a, b), Math.max(a, b)], exact: p === b });
+        });
+    });
+    pairs.sort((x, y) => y.exact - x.exact);
+
+    return {
+        kind: 'parity',
+        message: 'Two pieces are swapped.',
+        culprits: pairs.slice(0, MAX_CANDIDATES).map(({ type, slots: [a, b] }) => {
+            const { positions, orientations } = context.pieces[type];
+            return culprit(context, type, [a, b], {
+                label: `Swap the ${pieceName(context, type, positions[a])} and the ${pieceName(context, type, positions[b])}`,
+                paints: [
+                    ...repaint(context, type, a, positions[b], orientations[b]),
+                    ...repaint(context, type, b, positions[a], orientations[a])
+                ]
+            });
+        })
+    };
+}
+
+// Slots matching the test, those holding their own piece first
+function rank(positions, test) {
+    const slots = positions.map((_, slot) => slot).filter(test);
+    return [...slots.filter(slot => positions[slot] === slot), ...slots.filter(slot => positions[slot] !== slot)];
+}
+
+function culprit(context, type, slots, fix) {
+    const { positions, slots: layout } = context.pieces[type];
+    return {
+        type,
+        slot: slots.map(slot => layout[slot].name).join(' and '),
+        piece: slots.map(slot => pieceName(context, type, positions[slot])).join(' and '),
+        stickers: slots.flatMap(slot => layout[slot].stickers),
+        fix
+    };
+}
+
+// "White-Red-Green corner"
+function pieceName(context, type, piece) {
+    const { colorOf, colorName } = context.layout;
+    return `${context.pieces[type].slots[piece].faces.map(face => colorName(colorOf(face))).join('-')} ${type}`;
+}
+
+// The stickers that change when a slot is painted as the given piece, twisted by orientation
+function repaint(context, type, slot, piece, orientation) {
+    const { positions, orientations, slots } = context.pieces[type];
+    const before = stickerFaces(slots, positions[slot], orientations[slot]);
+    const after = stickerFaces(slots, piece, orientation);
+    return slots[slot].stickers
+        .map(({ face, index }, k) => ({ face, index, color: context.layout.colorOf(after[k]), changed: after[k] !== before[k] }))
+        .filter(paint => paint.changed)
+        .map(({ face, index, color }) => ({ face, index, color }));
+}
+
+// Orientation o puts the piece's first face on sticker o, so sticker k shows face k - o (see CubeState.faceletsToCubies)
+function stickerFaces(slots, piece, orientation) {
+    const faces = slots[piece].faces;
+    return faces.map((_, k) => faces[mod(k - orientation, faces.length)]);
+}
+
+function mod(n, m) {
+    return ((n % m) + m) % m;
+}
+
+export default diagnoseCubies;
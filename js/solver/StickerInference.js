@@ -0,0 +1,155 @@
+// StickerInference.js - Fills in the stickers a partly painted cube forces, and counts the cubes it could still be
+// Every completion puts each corner and edge piece in one slot, in one orientation that agrees with
+// the painted stickers, keeping the cube's invariants: corner twists summing to 0 mod 3, edge flips to
+// 0 mod 2, and equal corner and edge permutation parity. Corners and edges only meet through that
+// parity, so each is counted on its own with a dynamic program over the set of pieces used so far
+// (forward over the slots, and backward for the candidates of each slot); a sticker is forced when
+// every candidate left for its slot shows the same color there.
+
+/**
+ * @param {Object} paintState - { U: [9 colors], ... }, 'U' for unpainted stickers. Centers must be painted
+ * @param {Object} layout - { corners: [slot], edges: [slot], colorOf }: as for StateDiagnosis.diagnoseCubies,
+ *   colorOf mapping a face to its center's color
+ * @returns {Object} - { success, completions: BigInt, forced: [{ face, index, color }], unpainted, error }.
+ *   forced lists the unpainted stickers that have only one possible color; completions is 0n when the
+ *   painted stickers already make the cube impossible
+ */
+export function inferStickers(paintState, layout) {
+    const colorOf = layout.colorOf;
+    const painted = ({ face, index }) => paintState[face][index];
+    const unpainted = Object.values(paintState).flat().filter(c => c === 'U').length;
+
+    const types = [
+        analyse(layout.corners, 3, colorOf, painted),
+        analyse(layout.edges, 2, colorOf, painted)
+    ];
+    const [corners, edges] = types;
+    const completions = [0, 1].reduce((sum, par) =>
+        sum + BigInt(corners.totals[par]) * BigInt(edges.totals[par]), 0n);
+    if (completions === 0n) {
+        return { success: true, completions, forced: [], unpainted, error: null };
+    }
+
+    // A candidate survives if the other piece type can match one of its permutation parities
+    const forced = [];
+    types.forEach((type, t) => {
+        const other = types[1 - t];
+        type.slots.forEach((slot, s) => {
+            const possible = type.candidates[s].filter(c => c.counts.some((n, par) => n > 0 && other.totals[par] > 0));
+            slot.stickers.forEach((sticker, k) => {
+                if (painted(sticker) !== 'U') return;
+                const colors = new Set(possible.map(c => c.colors[k]));
+                if (colors.size === 1) forced.push({ ...sticker, color: [...colors][0] });
+            });
+        });
+    });
+    return { success: true, completions, forced, unpainted, error: null };
+}
+
+// Candidates per slot, the number of completions through each (by parity), and the totals by parity
+function analyse(slots, twists, colorOf, painted) {
+    const n = slots.length;
+    const full = (1 << n) - 1;
+
+    // (piece, orientation) pairs that agree with the painted stickers; sticker k shows home face (o + k)
+    const candidates = slots.map(slot => {
+        const list = [];
+        slots.forEach((home, piece) => {
+            for (let o = 0; o < twists; o++) {
+                const colors = slot.stickers.map((_, k) => colorOf(home.faces[(o + k) % twists]));
+                if (slot.stickers.every((sticker, k) => painted(sticker) === 'U' || painted(sticker) === colors[k])) {
+                    list.push({ piece, orientation: o, colors, counts: [0, 0] });
+                }
+            }
+        });
+        return list;
+    });
+
+    // Tables indexed by [mask][twist][parity]: F[i] fills slots 0..i-1, B[i] fills slots i..n-1
+    const size = (1 << n) * twists * 2;
+    const at = (mask, twist, par) => (mask * twists + twist) * 2 + par;
+    const F = Array.from({ length: n + 1 }, () => new Float64Array(size));
+    const B = Array.from({ length: n + 1 }, () => new Float64Array(size));
+    F[0][at(0, 0, 0)] = 1;
+    B[n][at(0, 0, 0)] = 1;
+
+    const byCount = Array.from({ length: n + 1 }, () => []);
+    for (let mask = 0; mask <= full; mask++) byCount[popcount(mask)].push(mask);
+
+    for (let i = 0; i < n; i++) {
+        for (const mask of byCount[i]) {
+            for (let tw = 0; tw < twists; tw++) {
+                for (let par = 0; par < 2; par++) {
+                    const ways = F[i][at(mask, tw, par)];
+                    if (!ways) continue;
+                    for (const { piece, orientation } of candidates[i]) {
+                        if (mask & (1 << piece)) continue;
+                        const inversions = popcount(mask >> (piece + 1)); // earlier pieces that are bigger
+                        F[i + 1][at(mask | (1 << piece), (tw + orientation) % twists, par ^ (inversions & 1))] += ways;
+                    }
+                }
+            }
+        }
+    }
+    for (let i = n - 1; i >= 0; i--) {
+        for (const mask of byCount[n - 1 - i]) {
+            for (let tw = 0; tw < twists; tw++) {
+                for (let par = 0; par < 2; par++) {
+                    const ways = B[i + 1][at(mask, tw, par)];
+                    if (!ways) continue;
+                    for (const { piece, orientation } of candidates[i]) {
+                        if (mask & (1 << piece)) continue;
+                        const inversions = popcount(mask & ((1 << piece) - 1)); // later pieces that are smaller
+                        B[i][at(mask | (1 << piece), (tw + orientation) % twists, par ^ (inversions & 1))] += ways;
+                    }
+                }
+            }
+        }
+    }
+
+    // Completions through each candidate: any prefix set, then the candidate, then the remaining pieces
+    for (let i = 0; i < n; i++) {
+        for (const prefix of byCount[i]) {
+            for (const candidate of candidates[i]) {
+                const bit = 1 << candidate.piece;
+                if (prefix & bit) continue;
+                const suffix = full ^ prefix ^ bit;
+                const cross = (crossInversions(prefix, suffix | bit) + popcount(suffix & (bit - 1))) & 1;
+                for (let t1 = 0; t1 < twists; t1++) {
+                    const t2 = mod(-t1 - candidate.orientation, twists);
+                    for (let q1 = 0; q1 < 2; q1++) {
+                        const before = F[i][at(prefix, t1, q1)];
+                        if (!before) continue;
+                        for (let q2 = 0; q2 < 2; q2++) {
+                            const after = B[i + 1][at(suffix, t2, q2)];
+                            if (after) candidate.counts[q1 ^ q2 ^ cross] += before * after;
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    return { slots, candidates, totals: [F[n][at(full, 0, 0)], F[n][at(full, 0, 1)]] };
+}
+
+// Pairs with the bigger piece in the earlier set
+function crossInversions(earlier, later) {
+    let count = 0;
+    for (let piece = 0; (earlier >> piece) !== 0; piece++) {
+        if (earlier & (1 << piece)) count += popcount(later & ((1 << piece) - 1));
+    }
+    return count;
+}
+
+function popcount(mask) {
+    let count = 0;
+    for (; mask; mask &= mask - 1) count++;
+    return count;
+}
+
+function mod(n, m) {
+    return ((n % m) + m) % m;
+}
+
+export default inferStickers;
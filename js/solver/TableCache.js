@@ -0,0 +1,255 @@
+// TableCache.js - Persists solver tables (Kociemba, optimal) so they are only generated once
+// Tables are stored as a single binary blob in IndexedDB, and can also be shipped
+// pre-generated next to the JS (see tools/build-tables.mjs)
+import { TABLE_VERSION } from './KociembaSolver.js';
+
+// Binary layout (little endian):
+//   header:  magic 'KCTB' | format version u32 | table version u32 | table count u32 | checksum u32
+//   tables:  name length u8 | name (ASCII) | type u8 | element count u32 | padding to 4 bytes | data
+// The checksum (FNV-1a) covers everything after the header.
+const MAGIC = 0x4254434B; // 'KCTB'
+const FORMAT_VERSION = 1;
+const HEADER_SIZE = 20;
+
+// Multi-byte types are read/written element by element so files are little endian on any platform
+const TYPES = [
+    { id: 1, array: Int16Array, get: 'getInt16', set: 'setInt16' },
+    { id: 2, array: Uint8Array },
+    { id: 3, array: Uint16Array, get: 'getUint16', set: 'setUint16' }
+];
+
+export const DEFAULT_TABLE_URL = new URL('./tables/kociemba-tables.bin', import.meta.url).href;
+
+export class TableCache {
+    /**
+     * @param {Object} [options]
+     * @param {string|null} [options.url] - pre-generated table file, or null to skip fetching
+     * @param {boolean} [options.useIndexedDB] - read/write the IndexedDB cache
+     * @param {string} [options.key] - IndexedDB key, one per solver
+     * @param {number} [options.version] - that solver's table version
+     */
+    constructor(options = {}) {
+        this.url = options.url === undefined ? DEFAULT_TABLE_URL : options.url;
+        this.useIndexedDB = options.useIndexedDB !== false && typeof indexedDB !== 'undefined';
+        this.dbName = 'rubiks-cube-solver';
+        this.storeName = 'tables';
+        this.key = options.key || 'kociemba';
+        this.version = options.version || TABLE_VERSION;
+    }
+
+    /**
+     * Load tables into the solver from IndexedDB or the table file, generating
+     * (and caching) them if neither is usable
+     * @param {Object} solver - KociembaSolver or OptimalSolver (hasTables/getTables/setTables)
+     * @param {Function} [onProgress] - receives { stage: 'tables', ... } updates
+     * @returns {Promise<string>} - where the tables came from: 'memory', 'indexeddb', 'file' or 'generated'
+     */
+    async prepare(solver, onProgress = null) {
+        if (solver.hasTables()) {
+            return 'memory';
+        }
+
+        const report = (table) => {
+            if (onProgress) onProgress({ stage: 'tables', percent: 100, table });
+        };
+
+        if (this.useIndexedDB) {
+            const tables = this.deserialize(await this.readFromDatabase());
+            if (tables && solver.setTables(tables)) {
+                report('Loaded from cache');
+                return 'indexeddb';
+            }
+        }
+
+        if (this.url) {
+            const tables = this.deserialize(await this.fetchTables());
+            if (tables && solver.setTables(tables)) {
+                report('Loaded from file');
+                // Save a copy so the next session skips the download
+                if (this.useIndexedDB) await this.writeToDatabase(this.serialize(tables));
+                return 'file';
+            }
+        }
+
+        const previousProgress = solver.onProgress;
+        solver.onProgress = onProgress;
+        const tables = solver.getTables();
+        solver.onProgress = previousProgress;
+
+        if (this.useIndexedDB) await this.writeToDatabase(this.serialize(tables));
+        return 'generated';
+    }
+
+    // ==================== BINARY FORMAT ====================
+
+    /**
+     * @param {Object} tables - { name: Int16Array | Uint16Array | Uint8Array }
+     * @returns {ArrayBuffer}
+     */
+    serialize(tables) {
+        const entries = Object.entries(tables).map(([name, data]) => ({
+            name,
+            data,
+            type: TYPES.find(t => data instanceof t.array)
+        }));
+
+        let size = HEADER_SIZE;
+        for (const entry of entries) {
+            if (!entry.type) throw new Error(`Unsupported table type for ${entry.name}`);
+            size = align4(size + 1 + entry.name.length + 1 + 4) + entry.data.byteLength;
+        }
+
+        const buffer = new ArrayBuffer(align4(size));
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        let offset = HEADER_SIZE;
+        for (const { name, data, type } of entries) {
+            view.setUint8(offset++, name.length);
+            for (let i = 0; i < name.length; i++) {
+                view.setUint8(offset++, name.charCodeAt(i));
+            }
+            view.setUint8(offset++, type.id);
+            view.setUint32(offset, data.length, true);
+            offset = align4(offset + 4);
+
+            if (type.set) {
+                for (let i = 0; i < data.length; i++) {
+                    view[type.set](offset + i * 2, data[i], true);
+                }
+            } else {
+                bytes.set(data, offset);
+            }
+            offset += data.byteLength;
+        }
+
+        view.setUint32(0, MAGIC, true);
+        view.setUint32(4, FORMAT_VERSION, true);
+        view.setUint32(8, this.version, true);
+        view.setUint32(12, entries.length, true);
+        view.setUint32(16, this.checksum(bytes.subarray(HEADER_SIZE)), true);
+        return buffer;
+    }
+
+    /**
+     * @param {ArrayBuffer|null} buffer
+     * @returns {Object|null} - tables, or null if the data is missing, stale or corrupt
+     */
+    deserialize(buffer) {
+        if (!buffer || buffer.byteLength < HEADER_SIZE) return null;
+
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        if (view.getUint32(0, true) !== MAGIC) return null;
+        if (view.getUint32(4, true) !== FORMAT_VERSION || view.getUint32(8, true) !== this.version) {
+            console.log('Cached solver tables are out of date, rebuilding.');
+            return null;
+        }
+        if (view.getUint32(16, true) !== this.checksum(bytes.subarray(HEADER_SIZE))) {
+            console.warn('Cached solver tables failed the checksum, rebuilding.');
+            return null;
+        }
+
+        try {
+            const tables = {};
+            const count = view.getUint32(12, true);
+            let offset = HEADER_SIZE;
+
+            for (let t = 0; t < count; t++) {
+                const nameLength = view.getUint8(offset++);
+                let name = '';
+                for (let i = 0; i < nameLength; i++) {
+                    name += String.fromCharCode(view.getUint8(offset++));
+                }
+                const type = TYPES.find(ty => ty.id === view.getUint8(offset));
+                const length = view.getUint32(offset + 1, true);
+                offset = align4(offset + 5);
+                if (!type) return null;
+
+                const data = new type.array(length);
+                if (type.get) {
+                    for (let i = 0; i < length; i++) {
+                        data[i] = view[type.get](offset + i * 2, true);
+                    }
+                } else {
+                    data.set(bytes.subarray(offset, offset + length));
+                }
+                offset += data.byteLength;
+                tables[name] = data;
+            }
+            return tables;
+        } catch (e) {
+            // Out-of-range reads mean a truncated or malformed file
+            console.warn('Could not read solver tables:', e);
+            return null;
+        }
+    }
+
+    // 32-bit FNV-1a
+    checksum(bytes) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < bytes.length; i++) {
+            hash ^= bytes[i];
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // ==================== STORAGE ====================
+
+    async fetchTables() {
+        try {
+            const response = await fetch(this.url);
+            if (!response.ok) return null;
+            return await response.arrayBuffer();
+        } catch (e) {
+            // No pre-generated file shipped
+            return null;
+        }
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async readFromDatabase() {
+        try {
+            const db = await this.openDatabase();
+            return await new Promise((resolve, reject) => {
+                const request = db.transaction(this.storeName, 'readonly').objectStore(this.storeName).get(this.key);
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(request.error);
+            }).finally(() => db.close());
+        } catch (e) {
+            console.warn('Could not read solver tables from IndexedDB:', e);
+            return null;
+        }
+    }
+
+    async writeToDatabase(buffer) {
+        try {
+            const db = await this.openDatabase();
+            await new Promise((resolve, reject) => {
+                const tx = db.transaction(this.storeName, 'readwrite');
+                tx.objectStore(this.storeName).put(buffer, this.key);
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+            }).finally(() => db.close());
+        } catch (e) {
+            // Private browsing or quota exceeded: tables just get rebuilt next time
+            console.warn('Could not save solver tables to IndexedDB:', e);
+        }
+    }
+}
+
+function align4(n) {
+    return (n + 3) & ~3;
+}
+
+export default TableCache;
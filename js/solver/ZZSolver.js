@@ -0,0 +1,232 @@
+// ZZSolver.js - Solves with the ZZ method
+//   - EOLine: orient every edge and place DF and DB, optimally (table lookup)
+//   - F2L: four corner/edge pairs using only R, U and L, which keeps every edge oriented
+//   - Last layer: edges are already oriented, so OCLL (7 cases) then PLL (21 cases)
+// Edge orientation is relative to F/B: an edge is "bad" if it needs an F or B quarter turn.
+import { CubieCube, MOVE_NAMES, MOVE_CUBES } from './KociembaSolver.js';
+import {
+    PatternTable, stateFromCubie, searchStage, applyMove, applyMoves, lastMoveIndex, LAST_LAYER, STATE_SIZE
+} from './PieceSearch.js';
+import { recognizeOLL, recognizePLL, getOLLName, getPLLName } from './LastLayerAlgorithms.js';
+
+const N_FLIP = 2048;         // 2^11 edge orientations
+const N_LINE = 12 * 12;      // DF and DB edge positions (their flips are part of the flip coordinate)
+const N_MOVES = MOVE_NAMES.length;
+
+// U, R and L turns never flip edges and never touch the line
+const RUL_MOVES = ['U', 'U2', "U'", 'R', 'R2', "R'", 'L', 'L2', "L'"].map(m => MOVE_NAMES.indexOf(m));
+
+const LINE_EDGES = [5, 7]; // DF, DB
+
+// Each slot needs its corner, middle edge and the bottom edge next to it (DL or DR)
+const SLOTS = [
+    { name: 'Front-Left', corner: 5, edge: 9, bottomEdge: 6 },   // DLF, FL, DL
+    { name: 'Back-Left', corner: 6, edge: 10, bottomEdge: 6 },   // DBL, BL, DL
+    { name: 'Front-Right', corner: 4, edge: 8, bottomEdge: 4 },  // DFR, FR, DR
+    { name: 'Back-Right', corner: 7, edge: 11, bottomEdge: 4 }   // DRB, BR, DR
+];
+
+const MAX_PAIR_DEPTH = 16;
+
+export class ZZSolver {
+    constructor() {
+        this.onProgress = null;
+        this.eoLineTable = null;
+        this.flipMove = null;
+        this.lineEdgeMove = null;
+        this.slotTables = null;
+    }
+
+    reportProgress(info) {
+        if (this.onProgress) this.onProgress(info);
+    }
+
+    hasTables() {
+        return this.slotTables !== null;
+    }
+
+    // A couple of seconds of breadth-first search; small enough not to need caching
+    initTables() {
+        if (this.hasTables()) return;
+
+        console.time('Init ZZ Tables');
+        this.reportProgress({ stage: 'tables', percent: 0, table: 'EOLine' });
+        this.buildMoveTables();
+        this.eoLineTable = this.buildEOLineTable();
+
+        this.reportProgress({ stage: 'tables', percent: 70, table: 'F2L' });
+        this.slotTables = SLOTS.map(slot =>
+            new PatternTable([slot.corner], [slot.bottomEdge, slot.edge], RUL_MOVES).build()
+        );
+        this.reportProgress({ stage: 'tables', percent: 100, table: 'F2L' });
+        console.timeEnd('Init ZZ Tables');
+    }
+
+    buildMoveTables() {
+        this.flipMove = new Uint16Array(N_FLIP * N_MOVES);
+        const cube = new CubieCube();
+        for (let flip = 0; flip < N_FLIP; flip++) {
+            cube.setFlip(flip);
+            for (let m = 0; m < N_MOVES; m++) {
+                this.flipMove[flip * N_MOVES + m] = cube.multiply(MOVE_CUBES[m]).getFlip();
+            }
+        }
+
+        // Where an edge at each position goes under each move
+        this.lineEdgeMove = new Uint8Array(12 * N_MOVES);
+        const state = new Uint8Array(STATE_SIZE);
+        for (let pos = 0; pos < 12; pos++) {
+            state[8] = pos * 2;
+            for (let m = 0; m < N_MOVES; m++) {
+                this.lineEdgeMove[pos * N_MOVES + m] = applyMove(state, m)[8] >> 1;
+            }
+        }
+    }
+
+    lineMove(line, m) {
+        const df = this.lineEdgeMove[Math.floor(line / 12) * N_MOVES + m];
+        const db = this.lineEdgeMove[(line % 12) * N_MOVES + m];
+        return df * 12 + db;
+    }
+
+    // Exact EOLine distances for every edge orientation x DF/DB placement (295,000 entries)
+    buildEOLineTable() {
+        const table = new Uint8Array(N_FLIP * N_LINE).fill(0xFF);
+        const solved = LINE_EDGES[0] * 12 + LINE_EDGES[1];
+        table[solved] = 0;
+
+        let frontier = [solved];
+        for (let depth = 0; frontier.length > 0; depth++) {
+            const nextFrontier = [];
+            for (const idx of frontier) {
+                const flip = Math.floor(idx / N_LINE);
+                const line = idx % N_LINE;
+                for (let m = 0; m < N_MOVES; m++) {
+                    const next = this.flipMove[flip * N_MOVES + m] * N_LINE + this.lineMove(line, m);
+                    if (table[next] === 0xFF) {
+                        table[next] = depth + 1;
+                        nextFrontier.push(next);
+                    }
+                }
+            }
+            frontier = nextFrontier;
+        }
+        return table;
+    }
+
+    // Follow the table down: each step takes a move one closer to a solved EOLine
+    solveEOLine(cube) {
+        const state = stateFromCubie(cube);
+        let flip = cube.getFlip();
+        let line = (state[8 + LINE_EDGES[0]] >> 1) * 12 + (state[8 + LINE_EDGES[1]] >> 1);
+        let distance = this.eoLineTable[flip * N_LINE + line];
+        const moves = [];
+
+        while (distance > 0) {
+            let found = false;
+            for (let m = 0; m < N_MOVES; m++) {
+                const nextFlip = this.flipMove[flip * N_MOVES + m];
+                const nextLine = this.lineMove(line, m);
+                if (this.eoLineTable[nextFlip * N_LINE + nextLine] === distance - 1) {
+                    moves.push(MOVE_NAMES[m]);
+                    flip = nextFlip;
+                    line = nextLine;
+                    distance--;
+                    found = true;
+                    break;
+                }
+            }
+            if (!found) return null;
+        }
+        return moves;
+    }
+
+    /**
+     * @param {CubieCube} cube - a solvable cube
+     * @returns {Object} - { success, solution: string[], phases: object[], error }
+     */
+    solve(cube) {
+        this.initTables();
+
+        const fail = (error) => ({ success: false, solution: [], phases: [], error });
+        const phases = [];
+
+        this.reportProgress({ stage: 'search', phase: 'EOLine', depth: 0 });
+        const eoLine = this.solveEOLine(cube);
+        if (!eoLine) return fail('Could not solve the EOLine.');
+        phases.push({
+            name: 'EOLine',
+            icon: '➖',
+            moves: eoLine,
+            description: 'Orienting all edges and placing the DF and DB edges',
+            targets: { corners: [], edges: LINE_EDGES }
+        });
+
+        let state = applyMoves(stateFromCubie(cube), eoLine);
+
+        // F2L with <R, U, L>: of the unsolved pairs, insert whichever takes the fewest moves
+        const solvedSlots = [];
+        for (let n = 1; n <= SLOTS.length; n++) {
+            this.reportProgress({ stage: 'search', phase: `F2L ${n}`, depth: 0 });
+            const lastMove = lastMoveIndex(phases);
+
+            let best = null;
+            let bestSlot = -1;
+            for (let s = 0; s < SLOTS.length; s++) {
+                if (solvedSlots.includes(s)) continue;
+                const tables = [this.slotTables[s], ...solvedSlots.map(i => this.slotTables[i])];
+                const maxDepth = best ? best.length - 1 : MAX_PAIR_DEPTH;
+                const moves = searchStage(state, tables, RUL_MOVES, { maxDepth, lastMove });
+                if (moves && (!best || moves.length < best.length)) {
+                    best = moves;
+                    bestSlot = s;
+                    if (best.length === 0) break;
+                }
+            }
+            if (!best) return fail(`Could not solve F2L pair ${n}.`);
+
+            solvedSlots.push(bestSlot);
+            phases.push({
+                name: `F2L ${n}`,
+                icon: '🧩',
+                moves: best,
+                description: `Building the ${SLOTS[bestSlot].name} pair with R, U and L`,
+                targets: { corners: [SLOTS[bestSlot].corner], edges: [SLOTS[bestSlot].edge, SLOTS[bestSlot].bottomEdge] }
+            });
+            state = applyMoves(state, best);
+        }
+
+        // Every edge is oriented, so only the seven corner-orientation cases can come up
+        const ocll = recognizeOLL(state);
+        if (!ocll) return fail('Could not recognise the OCLL case.');
+        phases.push({
+            name: ocll.case ? `OCLL (${getOLLName(ocll.case)})` : 'OCLL (skip)',
+            icon: '🟨',
+            moves: ocll.moves,
+            notation: ocll.notation,
+            description: ocll.case ? 'Orienting the last-layer corners' : 'Last-layer corners already oriented',
+            targets: LAST_LAYER
+        });
+        state = applyMoves(state, ocll.moves);
+
+        const pll = recognizePLL(state);
+        if (!pll) return fail('Could not recognise the PLL case.');
+        phases.push({
+            name: pll.case ? `PLL (${getPLLName(pll.case)})` : 'PLL (skip)',
+            icon: '✨',
+            moves: pll.moves,
+            notation: pll.notation,
+            description: pll.case ? `Permuting the last layer: ${getPLLName(pll.case)}` : 'Last layer only needs a final turn',
+            targets: LAST_LAYER
+        });
+
+        return {
+            success: true,
+            solution: phases.flatMap(p => p.moves),
+            phases,
+            error: null
+        };
+    }
+}
+
+export default ZZSolver;
@@ -1,16 +1,38 @@
 // Controls.js - UI Controls with Undo/Redo and Mobile Support
 import soundManager from '../audio/SoundManager.js';
+import { countMoves, formatMetrics } from '../cube/MoveMetrics.js';
+import { optimizeMoves } from '../cube/MoveOptimizer.js';
+import {
+    parseAlgorithm, parseMoves, formatMove, invertMoves, isCompactAlgorithm
+} from '../cube/Notation.js';
+import { generateScramble, formatScrambleId, newSeed } from '../solver/Scrambler.js';
+import { recognizeLastLayer } from '../solver/LastLayerRecognizer.js';
+import { renderLastLayer } from './LastLayerReadout.js';
+import { renderCrosses } from './CrossReadout.js';
 
 export class Controls {
-    constructor(cubeState, cubeRenderer, onMoveCallback) {
+    /**
+     * @param {CubeState} cubeState
+     * @param {CubeRenderer} cubeRenderer
+     * @param {Function} [onMoveCallback]
+     * @param {Function} [requestScramble] - ({ id, type }) => Promise of a scramble (see SolverService.scramble)
+     * @param {Function} [requestCrosses] - (state, color) => Promise of the crosses (see SolverService.findCrosses)
+     */
+    constructor(cubeState, cubeRenderer, onMoveCallback, requestScramble = null, requestCrosses = null) {
         this.cubeState = cubeState;
         this.renderer = cubeRenderer;
         this.onMove = onMoveCallback || (() => { });
+        this.requestScramble = requestScramble;
+        this.requestCrosses = requestCrosses;
         this.selectedColor = 'W';
+        this.crossColor = 'W';
+        this.crossPractice = null; // { result, start, historyLength }: the last cross search and the cube it ran on
 
         // Separate history for user moves (not scramble)
         this.userMoveHistory = [];
         this.redoStack = [];
+        this.isApplyingAlgorithm = false;
+        this.isScrambling = false;
 
         this.init();
     }
@@ -19,6 +41,9 @@ export class Controls {
         this.setupMoveButtons();
         this.setupActionButtons();
         this.setupKeyboardShortcuts();
+        this.setupAlgorithmInput();
+        this.setupScrambleInput();
+        this.setupCrossPractice();
         this.setupHelpModal();
         this.setupMobileNav();
     }
@@ -59,6 +84,8 @@ export class Controls {
         if (redoBtn) {
             redoBtn.addEventListener('click', () => this.redo());
         }
+
+        document.getElementById('expand-history')?.addEventListener('change', () => this.updateMoveHistory());
     }
 
     setupKeyboardShortcuts() {
@@ -88,6 +115,198 @@ export class Controls {
         });
     }
 
+    setupAlgorithmInput() {
+        const input = document.getElementById('algorithm-input');
+        const applyBtn = document.getElementById('apply-algorithm-btn');
+        const optimizeBtn = document.getElementById('optimize-algorithm-btn');
+        if (!input) return;
+
+        input.addEventListener('input', () => this.updateAlgorithmMetrics());
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.applyAlgorithm(input.value);
+            }
+        });
+        applyBtn?.addEventListener('click', () => this.applyAlgorithm(input.value));
+        optimizeBtn?.addEventListener('click', () => this.optimizeAlgorithm());
+    }
+
+    setupScrambleInput() {
+        const input = document.getElementById('scramble-id-input');
+        const loadBtn = document.getElementById('load-scramble-btn');
+        if (!input) return;
+
+        const load = () => {
+            if (input.value.trim()) this.scramble({ id: input.value });
+        };
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                load();
+            }
+        });
+        loadBtn?.addEventListener('click', load);
+    }
+
+    // Show the scramble and its ID, so it can be shared and loaded again
+    showScramble({ success, id, scramble, error }) {
+        const input = document.getElementById('scramble-id-input');
+        const textEl = document.getElementById('scramble-text');
+        const statusEl = document.getElementById('scramble-status');
+
+        if (statusEl) {
+            statusEl.classList.toggle('error', !success);
+            statusEl.textContent = success ? `${scramble.length} moves` : error;
+        }
+        if (!success) return;
+        if (input) input.value = id;
+        if (textEl) textEl.textContent = scramble.join(' ');
+    }
+
+    optimizeAlgorithm() {
+        const input = document.getElementById('algorithm-input');
+        const useWideMoves = document.getElementById('optimize-wide-moves')?.checked;
+        if (!input || !input.value.trim()) return;
+
+        const before = countMoves(input.value);
+        if (before.error) {
+            this.showAlgorithmError(before);
+            return;
+        }
+        input.value = optimizeMoves(input.value, { replaceSequences: useWideMoves }).join(' ');
+        this.updateAlgorithmMetrics();
+
+        const metricsEl = document.getElementById('algorithm-metrics');
+        const saved = before.STM - countMoves(input.value).STM;
+        if (metricsEl) {
+            if (!input.value) metricsEl.textContent = 'The moves cancel out completely';
+            else metricsEl.textContent += saved > 0 ? ` (${saved} fewer)` : ' (nothing to cancel)';
+        }
+    }
+
+    updateAlgorithmMetrics() {
+        const input = document.getElementById('algorithm-input');
+        const metricsEl = document.getElementById('algorithm-metrics');
+        if (!input || !metricsEl) return;
+
+        const counts = countMoves(input.value);
+        metricsEl.classList.toggle('error', !!counts.error);
+        if (counts.error) {
+            metricsEl.textContent = counts.error;
+        } else {
+            metricsEl.textContent = input.value.trim() ? formatMetrics(counts) : '';
+        }
+    }
+
+    // Show a syntax error and select the character it points at
+    showAlgorithmError({ error, position }) {
+        const input = document.getElementById('algorithm-input');
+        const metricsEl = document.getElementById('algorithm-metrics');
+        if (metricsEl) {
+            metricsEl.classList.add('error');
+            metricsEl.textContent = error;
+        }
+        if (input && position !== null) {
+            input.focus();
+            input.setSelectionRange(position, position + 1);
+        }
+    }
+
+    async applyAlgorithm(text) {
+        if (!text.trim() || this.isApplyingAlgorithm) return;
+
+        const parsed = parseAlgorithm(text);
+        if (!parsed.success) {
+            this.showAlgorithmError(parsed);
+            return;
+        }
+
+        this.isApplyingAlgorithm = true;
+        try {
+            const historyLength = this.userMoveHistory.length;
+            for (const move of parsed.moves.filter(m => m.amount !== 0)) {
+                await this.executeMove(formatMove(move));
+            }
+
+            // Commutators, conjugates and groups stay one history entry, undone in one step
+            if (isCompactAlgorithm(parsed.notation) && this.userMoveHistory.length > historyLength) {
+                this.userMoveHistory.splice(historyLength, Infinity, parsed.notation);
+                this.updateMoveHistory();
+            }
+        } finally {
+            this.isApplyingAlgorithm = false;
+        }
+    }
+
+    setupCrossPractice() {
+        document.querySelectorAll('#play-cross-colors .cross-color').forEach(btn => {
+            btn.addEventListener('click', () => {
+                document.querySelectorAll('#play-cross-colors .cross-color').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                this.crossColor = btn.dataset.color;
+            });
+        });
+        document.getElementById('find-crosses-btn')?.addEventListener('click', () => this.findCrosses());
+    }
+
+    // Every optimal cross and the shortest X-crosses of the cube as it is now
+    async findCrosses() {
+        const readoutEl = document.getElementById('cross-readout');
+        const findBtn = document.getElementById('find-crosses-btn');
+        if (!readoutEl || !this.requestCrosses) return;
+
+        readoutEl.innerHTML = '<span class="placeholder">Searching...</span>';
+        if (findBtn) findBtn.disabled = true;
+        const start = this.cubeState.getState();
+        const historyLength = this.userMoveHistory.length;
+        const result = await this.requestCrosses(start, this.crossColor);
+        if (findBtn) findBtn.disabled = false;
+
+        this.crossPractice = { result, start: JSON.stringify(start), historyLength };
+        readoutEl.innerHTML = renderCrosses(result);
+        readoutEl.querySelectorAll('.cross-solution').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const { kind, index } = btn.dataset;
+                const moves = kind === 'cross' ? result.cross.solutions[index] : result.xcross.solutions[index].moves;
+                this.playCross([result.rotation, ...moves].filter(Boolean));
+            });
+        });
+    }
+
+    // Each solution plays from the searched cube: the one played before is undone first.
+    // It goes into the history as one group, so Undo also takes it back in one step.
+    async playCross(moves) {
+        if (this.isApplyingAlgorithm || !this.crossPractice) return;
+        const { start, historyLength } = this.crossPractice;
+        const atStart = () => JSON.stringify(this.cubeState.getState()) === start;
+
+        if (!atStart() && this.userMoveHistory.length === historyLength + 1) {
+            await this.undo();
+        }
+        if (!atStart()) {
+            const readoutEl = document.getElementById('cross-readout');
+            if (readoutEl) readoutEl.innerHTML = '<span class="placeholder">The cube has changed since; find the crosses again</span>';
+            this.crossPractice = null;
+            return;
+        }
+        await this.applyAlgorithm(`(${moves.join(' ')})`);
+    }
+
+    /**
+     * Start over from a given cube, e.g. one painted in the Solver, with an empty history
+     * @param {Object} state - { U: [9 colors], ... }
+     */
+    loadState(state) {
+        this.cubeState.setState(state);
+        this.renderer.resetCube(false);
+        this.renderer.syncWithState(this.cubeState);
+        this.userMoveHistory = [];
+        this.redoStack = [];
+        this.crossPractice = null;
+        this.updateMoveHistory();
+    }
+
     setupHelpModal() {
         const helpBtn = document.getElementById('help-btn');
         const modal = document.getElementById('shortcuts-modal');
@@ -180,7 +399,31 @@ export class Controls {
         }
     }
 
-    async scramble() {
+    /**
+     * A new scramble (random state, or random turns if that fails), or the one for a scramble ID
+     * @param {Object} [options] - { id, type }, see SolverService.scramble
+     * @returns {Promise<Object>} - { success, id, type, scramble: string[], error }
+     */
+    async getScramble(options = {}) {
+        const type = document.getElementById('move-scramble')?.checked ? 'moves' : 'state';
+        const request = { type, ...options };
+        const result = this.requestScramble
+            ? await this.requestScramble(request)
+            : generateScramble(request.id || formatScrambleId('moves', newSeed()));
+
+        // A scramble asked for by ID is reported as is; a new one can fall back to random turns
+        if (result.success || options.id) return result;
+        console.warn('Random-state scramble failed, using random moves:', result.error);
+        return generateScramble(formatScrambleId('moves', newSeed()));
+    }
+
+    /**
+     * @param {Object} [options] - { id } to recreate a shared scramble
+     */
+    async scramble(options = {}) {
+        if (this.isScrambling) return;
+        this.isScrambling = true;
+
         // Initialize sound on first interaction
         soundManager.init();
 
@@ -189,10 +432,21 @@ export class Controls {
             navigator.vibrate([20, 50, 20]);
         }
 
+        // The first scramble waits for the solver tables
+        const scrambleBtn = document.getElementById('scramble-btn');
+        if (scrambleBtn) scrambleBtn.disabled = true;
+        const result = await this.getScramble(options);
+        this.showScramble(result);
+        if (!result.success) {
+            if (scrambleBtn) scrambleBtn.disabled = false;
+            this.isScrambling = false;
+            return;
+        }
+
         this.cubeState.reset();
         this.renderer.resetCube();
 
-        const scramble = this.cubeState.scramble(20);
+        const scramble = this.cubeState.scramble(result.scramble);
         const moves = scramble.split(' ');
 
         // Animate scramble faster with sound
@@ -205,6 +459,9 @@ export class Controls {
         this.userMoveHistory = [];
         this.redoStack = [];
         this.updateMoveHistory();
+
+        if (scrambleBtn) scrambleBtn.disabled = false;
+        this.isScrambling = false;
     }
 
     reset() {
@@ -242,12 +499,8 @@ export class Controls {
         // Play undo sound
         soundManager.playUndoSound();
 
-        // Apply inverse move to state
-        const inverse = this.getInverseMove(lastMove);
-        this.cubeState.applyMove(inverse);
-
-        // Animate
-        await this.renderer.animateMove(inverse, 200);
+        // Apply and animate the inverse, move by move for a whole algorithm
+        await this.playMoves(this.getInverseMoves(lastMove), 200);
 
         // Add to redo stack
         this.redoStack.push(lastMove);
@@ -270,11 +523,8 @@ export class Controls {
         // Play redo sound
         soundManager.playRedoSound();
 
-        // Apply move to state
-        this.cubeState.applyMove(move);
-
-        // Animate
-        await this.renderer.animateMove(move, 200);
+        // Apply and animate
+        await this.playMoves(this.expandEntry(move), 200);
 
         // Add back to history
         this.userMoveHistory.push(move);
@@ -282,10 +532,20 @@ export class Controls {
         this.updateMoveHistory();
     }
 
-    getInverseMove(move) {
-        if (move.includes("'")) return move.replace("'", "");
-        if (move.includes("2")) return move;
-        return move + "'";
+    async playMoves(moves, duration) {
+        for (const move of moves) {
+            this.cubeState.applyMove(move);
+            await this.renderer.animateMove(move, duration);
+        }
+    }
+
+    // A history entry is a single move or a compact algorithm like "[R, U]"
+    expandEntry(entry) {
+        return parseMoves(entry).filter(m => m.amount !== 0).map(formatMove);
+    }
+
+    getInverseMoves(entry) {
+        return invertMoves(parseMoves(entry)).filter(m => m.amount !== 0).map(formatMove);
     }
 
     updateMoveHistory() {
@@ -293,18 +553,27 @@ export class Controls {
         if (!historyEl) return;
 
         const moves = this.userMoveHistory;
+        const expand = document.getElementById('expand-history')?.checked;
+        const entries = expand ? moves.flatMap(m => this.expandEntry(m)) : moves;
 
-        if (moves.length === 0) {
+        if (entries.length === 0) {
             historyEl.innerHTML = '<span class="placeholder">No moves yet</span>';
         } else {
-            // Show last 25 moves
-            historyEl.innerHTML = moves.slice(-25).map(m =>
-                `<span class="history-move">${m}</span>`
+            // Show last 25 moves; compact algorithms show their expansion on hover
+            historyEl.innerHTML = entries.slice(-25).map(m => isCompactAlgorithm(m)
+                ? `<span class="history-move compact" title="${this.expandEntry(m).join(' ')}">${m}</span>`
+                : `<span class="history-move">${m}</span>`
             ).join('');
 
             historyEl.scrollTop = historyEl.scrollHeight;
         }
 
+        // Metrics cover the whole history, not just the moves shown
+        const metricsEl = document.getElementById('move-metrics');
+        if (metricsEl) {
+            metricsEl.textContent = moves.length > 0 ? formatMetrics(countMoves(moves)) : '';
+        }
+
         // Update button states
         const undoBtn = document.getElementById('undo-btn');
         const redoBtn = document.getElementById('redo-btn');
@@ -315,6 +584,16 @@ export class Controls {
         if (redoBtn) {
             redoBtn.disabled = this.redoStack.length === 0;
         }
+
+        this.updateLastLayer();
+    }
+
+    // Live OLL / PLL readout; the history updates after every change to the cube, so this does too
+    updateLastLayer() {
+        const readoutEl = document.getElementById('last-layer-readout');
+        if (readoutEl) {
+            readoutEl.innerHTML = renderLastLayer(recognizeLastLayer(this.cubeState));
+        }
     }
 
     showSolvedMessage() {
@@ -0,0 +1,58 @@
+// CrossReadout.js - HTML for a Solver.findCrosses result: the optimal crosses, then the shortest X-crosses
+// Each solution is a button (data-kind, data-index) so the panel can play it on the cube.
+
+/**
+ * @param {Object} result - see Solver.findCrosses
+ * @returns {string}
+ */
+export function renderCrosses(result) {
+    if (result.cancelled) return '<span class="placeholder">Search cancelled</span>';
+    if (!result.success) return `<span class="placeholder">${result.error}</span>`;
+
+    const { cross, xcross, rotation } = result;
+    const rows = [header('Cross', cross)];
+    if (cross.length === 0) {
+        rows.push('<span class="placeholder">The cross is already solved</span>');
+    } else {
+        rows.push(...cross.solutions.map((moves, i) => button('cross', i, rotation, moves, null)));
+    }
+
+    rows.push(header('X-cross', xcross));
+    if (xcross.length === null) {
+        rows.push('<span class="placeholder">No short X-cross here; solve the cross first</span>');
+    } else if (xcross.length === 0) {
+        rows.push('<span class="placeholder">An X-cross is already solved</span>');
+    } else {
+        rows.push(...xcross.solutions.map((solution, i) => button('xcross', i, rotation, solution.moves, solution.slot)));
+    }
+    return rows.join('');
+}
+
+// "7 moves · 12 of 40 solutions shown" when the list was cut short
+function header(label, { length, total, truncated, solutions }) {
+    const count = truncated ? `${solutions.length} of ${total} solutions shown` : plural(total, 'solution');
+    const detail = length ? `${plural(length, 'move')} · ${count}` : '';
+    return `
+        <div class="ll-row">
+            <span class="ll-label">${label}</span>
+            <span class="ll-case">${detail}</span>
+        </div>
+    `;
+}
+
+function plural(n, word) {
+    return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+// The rotation that brings the cross color down comes first, dimmed
+function button(kind, index, rotation, moves, slot) {
+    return `
+        <button class="cross-solution" data-kind="${kind}" data-index="${index}">
+            ${rotation ? `<span class="cross-rotation">${rotation}</span>` : ''}
+            ${moves.join(' ')}
+            ${slot ? `<span class="cross-slot">${slot}</span>` : ''}
+        </button>
+    `;
+}
+
+export default renderCrosses;
@@ -0,0 +1,49 @@
+// LastLayerReadout.js - HTML for a recognizeLastLayer result, shared by the Play and Solver panels
+// Algorithms are shown as cubers write them: AUFs in brackets around the chart algorithm.
+
+/**
+ * @param {Object} result - see LastLayerRecognizer.recognizeLastLayer
+ * @param {string} [unsolvedText] - shown when the first two layers aren't solved
+ * @returns {string}
+ */
+export function renderLastLayer(result, unsolvedText = 'Solve the first two layers to see the last-layer case') {
+    if (!result.success) {
+        return `<span class="placeholder">${result.f2lSolved ? result.error : unsolvedText}</span>`;
+    }
+
+    const { stage, oll, coll, pll } = result;
+    if (stage === 'solved') return '<span class="ll-done">Solved 🎉</span>';
+    if (stage === 'auf') return `<span class="ll-done">Last layer done, finish with ${pll.finalAuf}</span>`;
+
+    const rows = [];
+    if (oll) {
+        rows.push(row('OLL', oll.name, algorithmText(oll.auf, oll.algorithm, '')));
+    }
+    if (pll.case) {
+        rows.push(row(oll ? 'then PLL' : 'PLL', pll.name, algorithmText(pll.auf, pll.algorithm, pll.finalAuf)));
+    } else if (oll) {
+        rows.push(row('then PLL', pll.finalAuf ? `skip, finish with ${pll.finalAuf}` : 'skip', null));
+    }
+    // COLL solves the corners in one look instead, leaving only the edges to permute
+    if (coll) {
+        rows.push(row('or COLL', coll.name, algorithmText(coll.auf, coll.algorithm, coll.finalAuf)));
+    }
+    return rows.join('');
+}
+
+function row(label, name, algorithm) {
+    return `
+        <div class="ll-row">
+            <span class="ll-label">${label}</span>
+            <span class="ll-case">${name}</span>
+        </div>
+        ${algorithm ? `<div class="ll-algorithm">${algorithm}</div>` : ''}
+    `;
+}
+
+// "(U') R U R' U R U2 R' (U2)"
+function algorithmText(auf, algorithm, finalAuf) {
+    return [auf && `(${auf})`, algorithm, finalAuf && `(${finalAuf})`].filter(Boolean).join(' ');
+}
+
+export default renderLastLayer;
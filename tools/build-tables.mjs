@@ -0,0 +1,18 @@
+// build-tables.mjs - Pre-generate the Kociemba tables shipped next to the JS
+// Usage: node tools/build-tables.mjs [output file]
+// The browser loads js/solver/tables/kociemba-tables.bin when IndexedDB has no cached copy.
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { KociembaSolver } from '../js/solver/KociembaSolver.js';
+import { TableCache } from '../js/solver/TableCache.js';
+
+const root = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const output = resolve(process.argv[2] || resolve(root, 'js/solver/tables/kociemba-tables.bin'));
+
+const kociemba = new KociembaSolver();
+const buffer = new TableCache({ url: null, useIndexedDB: false }).serialize(kociemba.getTables());
+
+mkdirSync(dirname(output), { recursive: true });
+writeFileSync(output, new Uint8Array(buffer));
+console.log(`Wrote ${(buffer.byteLength / 1024).toFixed(0)} KB to ${output}`);